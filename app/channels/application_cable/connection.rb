@@ -0,0 +1,24 @@
+# app/channels/application_cable/connection.rb
+module ApplicationCable
+  class Connection < ActionCable::Connection::Base
+    include SessionExpiry
+
+    identified_by :current_user
+
+    def connect
+      self.current_user = find_verified_user
+    end
+
+    private
+
+    # Same rules as ApplicationController#authenticate_user_from_session
+    def find_verified_user
+      reject_unauthorized_connection if session_expired?(request.session)
+
+      user = User.find_by(id: request.session[:user_id])
+      return user if user&.email_verified?
+
+      reject_unauthorized_connection
+    end
+  end
+end
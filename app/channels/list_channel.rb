@@ -0,0 +1,23 @@
+# app/channels/list_channel.rb
+
+# Live item events for a single list, consumed by realtime_controller.js
+# Events are lightweight hints (type, item id, positions); clients fetch the
+# rendered items from ListsController#updates so each viewer gets markup
+# rendered with their own permissions.
+class ListChannel < ApplicationCable::Channel
+  def subscribed
+    list = List.find_by(id: params[:list_id])
+
+    if list&.readable_by?(current_user)
+      stream_for list
+    else
+      reject
+    end
+  end
+
+  def self.broadcast_event(list, type, **payload)
+    broadcast_to(list, { type: type, sent_at: Time.current.iso8601(6), **payload })
+  rescue => e
+    Rails.logger.error "Failed to broadcast #{type} for list #{list.id}: #{e.message}"
+  end
+end
@@ -0,0 +1,47 @@
+# app/channels/list_presence_channel.rb
+
+# Who is viewing a list and which item each of them is editing, consumed by presence_controller.js
+# Nothing is stored server-side: every open tab announces itself, repeats the announcement as a
+# heartbeat, and peers forget tabs they stop hearing from. Leaving is broadcast on unsubscribe.
+class ListPresenceChannel < ApplicationCable::Channel
+  STATES = %w[active idle away].freeze
+
+  def subscribed
+    @list = List.find_by(id: params[:list_id])
+
+    if @list&.readable_by?(current_user)
+      stream_for @list
+    else
+      reject
+    end
+  end
+
+  def unsubscribed
+    return unless @list && @connection_id
+
+    ListPresenceChannel.broadcast_to(@list, type: "left", connection_id: @connection_id, user_id: current_user.id)
+  end
+
+  # data: { connection_id, state, editing_item_id, hello }
+  def announce(data)
+    @connection_id ||= data["connection_id"].to_s.first(64).presence
+    return unless @connection_id
+
+    editing_item_id = data["editing_item_id"].presence
+    editing_item_id = nil if editing_item_id && !@list.list_items.exists?(id: editing_item_id)
+
+    ListPresenceChannel.broadcast_to(@list, {
+      type: "presence",
+      connection_id: @connection_id,
+      state: data["state"].presence_in(STATES) || "active",
+      editing_item_id: editing_item_id,
+      # A tab's first announcement; everyone already here answers with their own
+      hello: data["hello"] == true,
+      user: {
+        id: current_user.id,
+        name: current_user.name,
+        avatar_url: current_user.avatar_url.presence
+      }
+    })
+  end
+end
@@ -174,6 +174,6 @@ class Admin::OrganizationsController < Admin::BaseController
   end
 
   def organization_params
-    params.require(:organization).permit(:name, :size)
+    params.require(:organization).permit(:name, :size, :workday_start, :workday_end, :holidays, working_days: [])
   end
 end
@@ -2,6 +2,7 @@
 class ApplicationController < ActionController::Base
   include Pundit::Authorization
   include Pagy::Method
+  include SessionExpiry
 
   # Prevent outdated browsers from accessing the application
   # This is a security measure to ensure users are on modern browsers.
@@ -227,21 +228,6 @@ class ApplicationController < ActionController::Base
     session.delete(:stored_location)
   end
 
-  # Check if session is expired (optional security feature)
-  def session_expired?
-    return false unless session[:user_signed_in_at]
-
-    begin
-      # Parse the stored time string back to Time object
-      signed_in_at = Time.parse(session[:user_signed_in_at])
-      # Sessions expire after 24 hours of inactivity
-      Time.current > (signed_in_at + 24.hours)
-    rescue ArgumentError, TypeError
-      # If we can't parse the time, consider the session expired
-      true
-    end
-  end
-
   # Authenticate user from session
   def authenticate_user_from_session
     return nil unless session[:user_id]
@@ -0,0 +1,51 @@
+# app/controllers/board_columns_controller.rb
+# Column settings for list kanban boards (WIP limits)
+class BoardColumnsController < ApplicationController
+  before_action :authenticate_user!
+  before_action :set_list
+  before_action :set_board_column
+
+  def update
+    authorize @list, :update?
+
+    if @board_column.update(board_column_params)
+      respond_to do |format|
+        format.html { redirect_to kanban_list_path(@list), notice: "Column settings saved." }
+        format.turbo_stream do
+          render turbo_stream: turbo_stream.replace(
+            "kanban-column-header-#{@board_column.id}",
+            partial: "lists/kanban_column_header",
+            locals: { column: @board_column, list: @list }
+          )
+        end
+        format.json { render json: @board_column }
+      end
+    else
+      respond_to do |format|
+        format.html { redirect_to kanban_list_path(@list), alert: @board_column.errors.full_messages.join(", ") }
+        format.turbo_stream do
+          render turbo_stream: turbo_stream.replace(
+            "kanban-column-header-#{@board_column.id}",
+            partial: "lists/kanban_column_header",
+            locals: { column: @board_column, list: @list }
+          ), status: :unprocessable_content
+        end
+        format.json { render json: @board_column.errors, status: :unprocessable_content }
+      end
+    end
+  end
+
+  private
+
+  def set_list
+    @list = List.find(params[:list_id])
+  end
+
+  def set_board_column
+    @board_column = @list.board_columns.find(params[:id])
+  end
+
+  def board_column_params
+    params.require(:board_column).permit(:wip_limit, :enforce_wip_limit)
+  end
+end
@@ -16,7 +16,7 @@ class ChatsController < ApplicationController
   # View single chat
   def show
     @messages = @chat.recent_messages(50)
-    @chat_context = @chat.build_ui_context(location: :dashboard)
+    @chat_context = @chat.build_ui_context(location: params[:location] || :dashboard)
 
     respond_to do |format|
       format.html
@@ -65,6 +65,8 @@ class ChatsController < ApplicationController
     content = raw_message[:content] || raw_message["content"]
     answers = raw_message[:answers] || raw_message["answers"] || {}
     questions = raw_message[:questions] || raw_message["questions"] || []
+    # Signed ids of files uploaded directly from the composer
+    files = Array(raw_message[:files] || raw_message["files"]).filter_map { |signed_id| ActiveStorage::Blob.find_signed(signed_id) }
 
     Rails.logger.info("ChatsController#create_message - Extracted:")
     Rails.logger.info("  content: #{content.inspect[0..100]}")
@@ -83,42 +85,31 @@ class ChatsController < ApplicationController
       content = content&.to_s&.strip
     end
 
+    # A message can be just attachments; their names stand in for the text
+    files_only = content.blank? && files.any?
+    content = files.map { |file| file.filename.to_s }.join(", ") if files_only
+
     Rails.logger.info("ChatsController#create_message - Final content: #{content.inspect[0..200]}")
 
     return if content.blank?
 
     # SECURITY CHECK 1: Detect prompt injection attempts
-    injection_detector = PromptInjectionDetector.new(message: content, context: @chat.focused_resource)
-    injection_result = injection_detector.call
-
-    if injection_result[:detected] && injection_result[:risk_level] == "high"
-      create_security_log(
-        violation_type: :prompt_injection,
-        action_taken: :blocked,
-        detected_patterns: injection_result[:patterns],
-        risk_score: injection_result[:risk_score],
-        details: "High-risk prompt injection attempt detected"
-      )
+    if prompt_injection_blocked?(content)
       return render_security_error("Suspicious input detected and blocked for security reasons", 422)
     end
 
-    if injection_result[:detected]
-      create_security_log(
-        violation_type: :prompt_injection,
-        action_taken: :warned,
-        detected_patterns: injection_result[:patterns],
-        risk_score: injection_result[:risk_score],
-        details: "Medium-risk prompt injection attempt - message allowed"
+    # Create user message
+    begin
+      @user_message = Message.create_user(
+        chat: @chat,
+        user: current_user,
+        content: content,
+        files: files
       )
+    rescue ActiveRecord::RecordInvalid => e
+      return render_security_error(e.record.errors.full_messages.to_sentence, 422)
     end
 
-    # Create user message
-    @user_message = Message.create_user(
-      chat: @chat,
-      user: current_user,
-      content: content
-    )
-
     # Parse mentions and references in message
     mention_parser = ChatMentionParser.new(
       message: content,
@@ -133,33 +124,13 @@ class ChatsController < ApplicationController
         mentions: parse_result[:mentions],
         references: parse_result[:references],
         has_mentions: parse_result[:has_mentions],
-        has_references: parse_result[:has_references]
+        has_references: parse_result[:has_references],
+        files_only: files_only
       }
     )
 
     # SECURITY CHECK 2: Check content moderation (OpenAI)
-    moderation_service = ContentModerationService.new(
-      content: content,
-      user: current_user,
-      chat: @chat
-    )
-    moderation_result = moderation_service.call
-
-    if moderation_result[:flagged]
-      @user_message.update(blocked: true)
-      violation_type = categorize_moderation_violation(moderation_result[:categories])
-      create_security_log(
-        violation_type: violation_type,
-        action_taken: :blocked,
-        message: @user_message,
-        detected_patterns: moderation_result[:categories].select { |_k, v| v }.keys.map(&:to_s),
-        moderation_scores: moderation_result[:scores],
-        details: "Content flagged by OpenAI moderation"
-      )
-
-      # Check if auto-archive threshold is exceeded
-      ModerationLog.check_auto_archive(@chat, current_organization)
-
+    if moderation_blocked?(@user_message)
       return render_security_error("This message violates content policies and cannot be sent", 422)
     end
 
@@ -205,6 +176,31 @@ class ChatsController < ApplicationController
     end
   end
 
+  # Ask the background job to stop generating the response to a message.
+  # ChatResponseStreamer picks the flag up on its next chunk.
+  def stop_generation
+    message = @chat.messages.where(role: :user).find(params[:message_id])
+    message.update(metadata: message.metadata.merge("stop_requested" => true))
+
+    head :no_content
+  end
+
+  # Edit one of the user's messages. The chat is branched at that message so the
+  # original thread stays available from the branch switcher.
+  def edit_message
+    message = @chat.messages.user_messages.find(params[:message_id])
+    start_branch(message, params[:content])
+  end
+
+  # Regenerate an assistant reply by branching at the prompt that produced it
+  def regenerate_message
+    reply = @chat.messages.assistant_messages.find(params[:message_id])
+    prompt = @chat.messages.user_messages.where("created_at < ?", reply.created_at).recent.first
+    return render json: { error: "There is no prompt to regenerate this reply from" }, status: :unprocessable_content unless prompt
+
+    start_branch(prompt, prompt.content)
+  end
+
   # Archive chat
   def archive
     @chat.archive!
@@ -310,6 +306,39 @@ class ChatsController < ApplicationController
     formatted_parts.join("\n\n")
   end
 
+  # Branch the chat at a user message with new content, show the branch in place of the
+  # current chat and answer the new prompt there
+  def start_branch(message, content)
+    content = content.to_s.strip
+
+    if prompt_injection_blocked?(content)
+      return render_security_error("Suspicious input detected and blocked for security reasons", 422)
+    end
+
+    # Moderate before branching so a blocked edit doesn't leave a branch behind
+    if moderation_blocked?(nil, content: content)
+      return render_security_error("This message violates content policies and cannot be sent", 422)
+    end
+
+    result = ChatBranchService.call(chat: @chat, message: message, content: content, user: current_user)
+    return render json: { error: result.errors.to_sentence }, status: :unprocessable_content if result.failure?
+
+    @chat = result.data[:chat]
+    @user_message = result.data[:user_message]
+
+    @chat_context = @chat.build_ui_context(location: params[:location] || :dashboard)
+    @is_command = @user_message.content.start_with?("/")
+    process_message(@user_message) if @is_command
+    @messages = @chat.recent_messages(50)
+
+    respond_to do |format|
+      format.turbo_stream { render action: :branch }
+      format.json { render json: { success: true, chat_id: @chat.id, message_id: @user_message.id } }
+    end
+
+    ProcessChatMessageJob.perform_later(@user_message.id, @chat.id, current_user.id) unless @is_command
+  end
+
   def process_message(user_message)
     # Process command - only called for messages starting with "/"
     handle_command(user_message)
@@ -384,13 +413,14 @@ class ChatsController < ApplicationController
     # Get all lists for current user's organization
     lists = policy_scope(List).where(organization_id: current_organization.id)
 
-    # Apply filter if provided
+    # Apply filter if provided: a List status, otherwise part of a list title
     filter = nil
     if filter_arg.present?
       filter = filter_arg.strip.downcase
-      # Validate filter is a valid List status
-      if List.statuses.key?(filter)
-        lists = lists.where(status: filter)
+      lists = if List.statuses.key?(filter)
+                lists.where(status: filter)
+      else
+                lists.where("lists.title ILIKE ?", "%#{ActiveRecord::Base.sanitize_sql_like(filter)}%")
       end
     end
 
@@ -420,12 +450,10 @@ class ChatsController < ApplicationController
 
   def handle_help_command(user_message)
     template_data = {
-      commands: [
-        { name: "/search", description: "Search lists" },
-        { name: "/browse", description: "Browse lists" },
-        { name: "/clear", description: "Clear chat" },
-        { name: "/new", description: "New conversation" }
-      ],
+      commands: @chat_context.commands.map { |command|
+        usage = command[:args].map { |arg| arg[:required] ? "<#{arg[:name]}>" : "[#{arg[:name]}]" }
+        { name: [ command[:name], *usage ].join(" "), description: command[:description] }
+      },
       features: [
         { symbol: "@name", description: "Mention someone" },
         { symbol: "#list", description: "Reference a list" }
@@ -538,6 +566,50 @@ class ChatsController < ApplicationController
     end
   end
 
+  # Log prompt injection attempts; high-risk ones are blocked
+  def prompt_injection_blocked?(content)
+    injection_detector = PromptInjectionDetector.new(message: content, context: @chat.focused_resource)
+    injection_result = injection_detector.call
+    return false unless injection_result[:detected]
+
+    blocked = injection_result[:risk_level] == "high"
+    create_security_log(
+      violation_type: :prompt_injection,
+      action_taken: blocked ? :blocked : :warned,
+      detected_patterns: injection_result[:patterns],
+      risk_score: injection_result[:risk_score],
+      details: blocked ? "High-risk prompt injection attempt detected" : "Medium-risk prompt injection attempt - message allowed"
+    )
+    blocked
+  end
+
+  # Run a user message, or text not yet saved as one, past content moderation,
+  # blocking and logging it when flagged
+  def moderation_blocked?(message, content: message.content)
+    moderation_service = ContentModerationService.new(
+      content: content,
+      user: current_user,
+      chat: @chat
+    )
+    moderation_result = moderation_service.call
+    return false unless moderation_result[:flagged]
+
+    message&.update(blocked: true)
+    violation_type = categorize_moderation_violation(moderation_result[:categories])
+    create_security_log(
+      violation_type: violation_type,
+      action_taken: :blocked,
+      message: message,
+      detected_patterns: moderation_result[:categories].select { |_k, v| v }.keys.map(&:to_s),
+      moderation_scores: moderation_result[:scores],
+      details: "Content flagged by OpenAI moderation"
+    )
+
+    # Check if auto-archive threshold is exceeded
+    ModerationLog.check_auto_archive(@chat, current_organization)
+    true
+  end
+
   # Create security/moderation log entry
   def create_security_log(violation_type:, action_taken:, message: nil, **details)
     ModerationLog.create!(
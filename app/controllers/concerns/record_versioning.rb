@@ -0,0 +1,35 @@
+# app/controllers/concerns/record_versioning.rb
+module RecordVersioning
+  extend ActiveSupport::Concern
+
+  # auto_save_controller.js sends the version it last saw in this header and reads the new one back
+  VERSION_HEADER = "X-Record-Version"
+
+  private
+
+  # updated_at with full precision, so two saves within the same second still differ
+  def record_version(record)
+    record.updated_at&.utc&.iso8601(6)
+  end
+
+  # True when the client edited an older copy of the record than the stored one.
+  # Requests without the header (regular form submits) are never considered stale.
+  def stale_write?(record)
+    expected = request.headers[VERSION_HEADER]
+    expected.present? && expected != record_version(record)
+  end
+
+  def set_record_version_header(record)
+    response.headers[VERSION_HEADER] = record_version(record)
+  end
+
+  # 409 with the stored values of the submitted fields, for the client's merge UI
+  def render_stale_write(record, attributes)
+    set_record_version_header(record)
+    render json: {
+      error: "This #{record.model_name.human.downcase} was changed by someone else.",
+      version: record_version(record),
+      current: record.slice(*attributes)
+    }, status: :conflict
+  end
+end
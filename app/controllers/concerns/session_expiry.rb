@@ -0,0 +1,23 @@
+# app/controllers/concerns/session_expiry.rb
+# Inactivity limit for signed-in sessions. ApplicationController and the Action Cable
+# connection both check it, so a session refused over HTTP can't open a socket either.
+module SessionExpiry
+  extend ActiveSupport::Concern
+
+  # Sessions expire after 24 hours of inactivity
+  INACTIVITY_LIMIT = 24.hours
+
+  # Check if session is expired (optional security feature)
+  def session_expired?(session = self.session)
+    return false unless session[:user_signed_in_at]
+
+    begin
+      # Parse the stored time string back to Time object
+      signed_in_at = Time.parse(session[:user_signed_in_at])
+      Time.current > (signed_in_at + INACTIVITY_LIMIT)
+    rescue ArgumentError, TypeError
+      # If we can't parse the time, consider the session expired
+      true
+    end
+  end
+end
@@ -2,11 +2,14 @@ module Connectors
   module Calendars
     # Controller for detecting scheduling collisions across calendar accounts
     class CollisionsController < Connectors::BaseController
+      MAX_SUGGESTED_SLOTS = 5
+
       before_action :authenticate_user!
       before_action :require_current_organization!
 
       # POST /connectors/calendars/collisions/check
-      # Check for scheduling collisions in the given time range
+      # Check for scheduling collisions in the given time range.
+      # With suggest_slots: n, also returns up to n nearby free slots of the same length.
       def check
         start_time = parse_time_param(params[:start_time])
         end_time = parse_time_param(params[:end_time])
@@ -18,9 +21,12 @@ module Connectors
           user: current_user,
           start_time: start_time,
           end_time: end_time,
-          exclude_external_id: params[:exclude_external_id]
+          exclude_external_id: params[:exclude_external_id],
+          suggest_slots: params[:suggest_slots].to_i.clamp(0, MAX_SUGGESTED_SLOTS)
         )
 
+        return render json: { error: result.message }, status: :internal_server_error if result.failure?
+
         render json: result.data
       rescue StandardError => e
         Rails.logger.error("Collision check failed: #{e.message}")
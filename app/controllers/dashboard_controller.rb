@@ -2,6 +2,9 @@
 class DashboardController < ApplicationController
   before_action :authenticate_user!
 
+  # Quick actions on a suggested item in the adaptive sidebar (dashboard_action_controller.js)
+  ITEM_ACTIONS = %w[mark_complete snooze reassign bump_priority convert_to_event].freeze
+
   def index
     @stats = DashboardStatsService.new(current_user, current_organization).call
 
@@ -111,7 +114,6 @@ class DashboardController < ApplicationController
   def execute_action
     action_type = params[:action_type]
     list_id = params[:list_id]
-    item_id = params[:item_id]
 
     case action_type
     when "create_list"
@@ -119,32 +121,8 @@ class DashboardController < ApplicationController
     when "add_item"
       list = current_user.accessible_lists.find_by(id: list_id)
       redirect_to new_list_item_path(list) if list
-    when "mark_complete"
-      item = ListItem.find_by(id: item_id)
-      if item&.update(status: :completed, status_changed_at: Time.current)
-        respond_to do |format|
-          format.turbo_stream do
-            # Refresh the adaptive sidebar
-            context = {
-              selected_list_id: list_id,
-              in_chat: false,
-              chat_available: true,
-              user_id: current_user.id
-            }
-            @adaptive_dashboard = DashboardAdaptiveService.new(current_user, context).call
-            render turbo_stream: [
-              turbo_stream.replace(
-                "dashboard-adaptive-sidebar",
-                partial: "dashboard/adaptive_sidebar",
-                locals: { adaptive_dashboard: @adaptive_dashboard, current_user: current_user }
-              ),
-              turbo_stream.update("flash-messages") do
-                render_to_string(partial: "shared/flash_success", locals: { message: "Item marked as complete!" })
-              end
-            ]
-          end
-        end
-      end
+    when *ITEM_ACTIONS
+      perform_item_action(action_type)
     when "view_list"
       list = current_user.accessible_lists.find_by(id: list_id)
       redirect_to list if list
@@ -159,6 +137,116 @@ class DashboardController < ApplicationController
 
   private
 
+  def perform_item_action(action_type)
+    item = ListItem.where(list: current_user.accessible_lists).find_by(id: params[:item_id])
+    raise ActiveRecord::RecordNotFound, "Item not found" unless item
+
+    authorize item, :update?
+
+    attributes, message = item_action_changes(item, action_type)
+
+    if attributes && item.update(attributes)
+      push_event_to_calendar(item) if action_type == "convert_to_event"
+
+      respond_to do |format|
+        format.turbo_stream do
+          flash.now[:notice] = message
+          @adaptive_dashboard = adaptive_dashboard_for(item.list_id)
+          render turbo_stream: [
+            turbo_stream.replace(
+              "dashboard-adaptive-sidebar",
+              partial: "dashboard/adaptive_sidebar",
+              locals: { adaptive_dashboard: @adaptive_dashboard, current_user: current_user }
+            ),
+            turbo_stream.replace("flash-messages", partial: "shared/flash_messages")
+          ]
+        end
+        format.json { render json: { message: message, item: item.slice(:id, :status, :priority, :due_date, :start_date, :assigned_user_id, :item_type) } }
+      end
+    else
+      error = message || item.errors.full_messages.to_sentence
+
+      respond_to do |format|
+        format.turbo_stream do
+          flash.now[:alert] = error
+          render turbo_stream: turbo_stream.replace("flash-messages", partial: "shared/flash_messages"),
+                 status: :unprocessable_content
+        end
+        format.json { render json: { error: error }, status: :unprocessable_content }
+      end
+    end
+  end
+
+  # Attributes to update and the confirmation message, or nil and an error message
+  def item_action_changes(item, action_type)
+    case action_type
+    when "mark_complete"
+      [ { status: :completed, status_changed_at: Time.current }, "Item marked as complete!" ]
+    when "snooze"
+      until_date = snooze_until_param
+      return [ nil, "Pick a date from today on to snooze until." ] unless until_date && until_date >= Date.current
+
+      # Keep the time of day the item was due at, or 9am
+      due_date = Time.zone.local(until_date.year, until_date.month, until_date.day,
+                                 item.due_date&.hour || 9, item.due_date&.min || 0)
+      [ { due_date: due_date }, "Snoozed until #{until_date.strftime('%a, %b %-d')}." ]
+    when "reassign"
+      assignee = item_assignees(item).find { |user| user.id == params[:assigned_user_id] }
+      return [ nil, "That person can't be assigned items on this list." ] if params[:assigned_user_id].present? && assignee.nil?
+
+      [ { assigned_user_id: assignee&.id }, assignee ? "Assigned to #{assignee.name}." : "Item unassigned." ]
+    when "bump_priority"
+      priorities = ListItem.priorities.keys
+      next_priority = priorities[priorities.index(item.priority) + 1]
+      return [ nil, "This item is already urgent." ] unless next_priority
+
+      [ { priority: next_priority }, "Priority raised to #{next_priority.humanize.downcase}." ]
+    when "convert_to_event"
+      starts_at = item.start_date || item.due_date || 1.hour.from_now.beginning_of_hour
+      length = item.estimated_duration.positive? ? item.estimated_duration.hours : 1.hour
+      [
+        { item_type: :meeting, start_date: starts_at, due_date: item.due_date || starts_at + length },
+        "Converted to an event on #{starts_at.strftime('%a, %b %-d at %-l:%M %p')}."
+      ]
+    end
+  end
+
+  def snooze_until_param
+    Date.iso8601(params[:until].to_s)
+  rescue Date::Error
+    nil
+  end
+
+  def item_assignees(item)
+    [ item.list.owner, *item.list.collaborator_users ].compact.uniq(&:id)
+  end
+
+  # Add the event to the user's connected calendar, if they have one
+  def push_event_to_calendar(item)
+    account = Connectors::Account.for_user(current_user)
+                                 .active_only
+                                 .where(provider: %w[google_calendar microsoft_outlook], organization_id: item.list.organization_id)
+                                 .recent
+                                 .first
+    return unless account
+
+    Connectors::PushItemEventJob.perform_later(connector_account_id: account.id, list_item_id: item.id)
+  end
+
+  # Sidebar state after an action; keeps the mode the user was looking at
+  def adaptive_dashboard_for(list_id)
+    context = {
+      selected_list_id: list_id,
+      in_chat: false,
+      chat_available: true,
+      user_id: current_user.id,
+      organization_id: current_organization&.id,
+      forced_mode: params[:mode].presence&.to_sym
+    }
+
+    DashboardAdaptiveService.new(current_user, context).call
+  end
+
   # Initialize or fetch the active chat for dashboard
   def initialize_dashboard_chat
     # Get the most recent active chat for the user in this organization
@@ -1,5 +1,7 @@
 # app/controllers/list_items_controller.rb
 class ListItemsController < ApplicationController
+  include RecordVersioning
+
   before_action :authenticate_user!
   before_action :set_list
   before_action :set_list_item, only: [ :show, :edit, :update, :destroy, :toggle_completion, :toggle_status, :share, :visit_url, :inline_update ]
@@ -58,7 +60,12 @@ class ListItemsController < ApplicationController
   end
 
   def update
+    # Auto-saved forms send the version they were editing; refuse to overwrite newer changes
+    return render_stale_write(@list_item, list_item_params.keys) if stale_write?(@list_item)
+
     if @list_item.update(list_item_params)
+      set_record_version_header(@list_item)
+
       # Reload list associations to get fresh count data for stats
       @list.reload
 
@@ -249,6 +256,29 @@ class ListItemsController < ApplicationController
   end
 
   # Bulk operations
+  # Create several items at once, e.g. a checklist pasted into quick add
+  # Expects items as [{ title:, status:, parent_index: }], parents listed before their children
+  def bulk_create
+    service = ListItemService.new(@list, current_user)
+    result = service.bulk_create_items(bulk_create_params)
+
+    if result.success?
+      @created_items = result.data
+
+      respond_to do |format|
+        format.html { redirect_to @list, notice: "#{@created_items.size} items added." }
+        format.turbo_stream
+        format.json { render json: { created_count: @created_items.size, item_ids: @created_items.map(&:id) }, status: :created }
+      end
+    else
+      respond_to do |format|
+        format.html { redirect_to @list, alert: result.errors.join(", ") }
+        format.turbo_stream { head :unprocessable_content }
+        format.json { render json: { errors: result.errors }, status: :unprocessable_content }
+      end
+    end
+  end
+
   def bulk_complete
     item_ids = params[:item_ids] || []
     items = @list.list_items.where(id: item_ids, status: :pending)
@@ -263,9 +293,10 @@ class ListItemsController < ApplicationController
     respond_to do |format|
       format.html { redirect_to @list, notice: "#{completed_count} items marked as completed." }
       format.turbo_stream do
+        nesting = @list.item_nesting
         render turbo_stream: [
           turbo_stream.replace("list-stats", partial: "shared/list_stats", locals: { list: @list }),
-          items.map { |item| turbo_stream.replace(item, partial: "list_items/item", locals: { item: item, list: @list }) }
+          items.map { |item| turbo_stream.replace(item, partial: "list_items/item", locals: { item: item, list: @list, nesting: nesting }) }
         ].flatten
       end
       format.json { render json: { completed_count: completed_count } }
@@ -289,17 +320,71 @@ class ListItemsController < ApplicationController
       format.html { redirect_to @list, notice: "#{updated_count} items updated." }
       format.turbo_stream do
         items.reload
+        nesting = @list.item_nesting
         render turbo_stream: [
           turbo_stream.replace("list-stats", partial: "shared/list_stats", locals: { list: @list }),
-          items.map { |item| turbo_stream.replace(item, partial: "list_items/item", locals: { item: item, list: @list }) }
+          items.map { |item| turbo_stream.replace(item, partial: "list_items/item", locals: { item: item, list: @list, nesting: nesting }) }
         ].flatten
       end
       format.json { render json: { updated_count: updated_count } }
     end
   end
 
+  # Persist a new item order, e.g. after drag-and-drop in the list or kanban views
+  # Expects positions as { item_id => position }
+  # Two payloads: the kanban board sends { positions: { item_id => position } };
+  # the list view (sortable_controller.js) sends the full resulting order with the
+  # revision it was based on, plus new parents for items dragged under another item.
+  def reorder
+    return reorder_list if params[:order].present?
+
+    positions = params.require(:positions)
+    item_positions = positions.keys.index_with { |item_id| positions[item_id] }
+
+    service = ListItemService.new(@list, current_user)
+    result = service.reorder_items(item_positions)
+
+    if result.success?
+      head :no_content
+    else
+      render json: { errors: result.errors }, status: :unprocessable_content
+    end
+  end
+
   private
 
+  def reorder_list
+    # Requests without a revision (e.g. replayed by undo) skip the check. A stale revision
+    # is still fine when the items the client saw kept their order and nesting (the list
+    # only gained or lost items, e.g. after deleting one).
+    if params[:revision].present? && params[:revision] != @list.item_order_revision && !base_order_unchanged?
+      return render json: {
+        error: "This list was reordered by someone else.",
+        revision: @list.item_order_revision,
+        order: @list.list_items.order(:position, :created_at).pluck(:id)
+      }, status: :conflict
+    end
+
+    parents = params[:parents] || {}
+    item_parents = parents.keys.index_with { |item_id| parents[item_id].presence }
+
+    service = ListItemService.new(@list, current_user)
+    result = service.reorder_list(Array(params[:order]), parents: item_parents)
+
+    if result.success?
+      render json: { revision: @list.item_order_revision }
+    else
+      render json: { errors: result.errors }, status: :unprocessable_content
+    end
+  end
+
+  def base_order_unchanged?
+    base = params.fetch(:base, {}).permit(order: [], parents: {})
+    return false if base[:order].blank?
+
+    @list.item_order_unchanged?(base[:order], base[:parents].to_h)
+  end
+
   def set_list
     @list = List.find_by(id: params[:list_id])
     unless @list
@@ -319,12 +404,18 @@ class ListItemsController < ApplicationController
     end
   end
 
+  def bulk_create_params
+    params.require(:items).map do |item|
+      item.permit(:title, :status, :parent_index).to_h
+    end
+  end
+
   def list_item_params
     params.require(:list_item).permit(
       :title, :description, :item_type, :priority, :status,
       :due_date, :assigned_user_id, :url, :position,
-      :estimated_duration, :duration_days, :start_date, :board_column_id,
-      :recurrence_rule, :recurrence_end_date
+      :estimated_duration, :duration_days, :duration_unit, :start_date, :board_column_id,
+      :recurrence_rule, :recurrence_end_date, :tag_list
     )
   end
 end
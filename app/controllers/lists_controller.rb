@@ -3,9 +3,11 @@ class ListsController < ApplicationController
   include ListBroadcasting
 
   before_action :authenticate_user!, except: [ :show, :show_by_slug ]
-  before_action :set_list, only: [ :show, :kanban, :edit, :update, :destroy, :share, :toggle_public_access, :duplicate, :toggle_status, :ai_context ]
+  before_action :set_list, only: [ :show, :kanban, :updates, :edit, :update, :destroy, :share, :toggle_public_access, :duplicate, :toggle_status, :ai_context ]
   before_action :authorize_list_access!, only: [ :show, :kanban, :edit, :update, :destroy, :share, :toggle_public_access, :duplicate, :ai_context ]
 
+  KANBAN_SWIMLANES = %w[assignee priority].freeze
+
   # Display all lists accessible to the current user
   def index
     # Start with base scope from policy, filtered by current organization
@@ -101,8 +103,9 @@ class ListsController < ApplicationController
   def show
     authorize @list
 
-    @list_items = @list.list_items.includes(:assigned_user)
+    @list_items = @list.list_items.includes(:assigned_user, :tags)
                       .order(:position, :created_at)
+    @item_nesting = @list.item_nesting
 
     @new_list_item = @list.list_items.build if can_collaborate_on_list?
 
@@ -111,17 +114,52 @@ class ListsController < ApplicationController
   end
 
   # Display list in kanban board view grouped by board columns
+  # Optional swimlanes (?swimlanes=assignee or ?swimlanes=priority) split the columns into rows
   def kanban
     authorize @list
     @board_columns = @list.board_columns.order(:position)
+
+    @swimlane_attribute = params[:swimlanes].presence_in(KANBAN_SWIMLANES)
+    if @swimlane_attribute
+      @swimlanes = kanban_swimlanes(@swimlane_attribute)
+      lane_field = @swimlanes.first[:field]
+      @swimlane_items = @list.list_items.includes(:assigned_user)
+                             .reorder(:position, :created_at)
+                             .group_by { |item| [ item.board_column_id, item.public_send(lane_field) ] }
+    end
+
     track_list_view if current_user
   end
 
+  # Items changed since a point in time, rendered for the current viewer
+  # Used by realtime_controller.js to apply live ListChannel events and to catch up after a reconnect
+  def updates
+    authorize @list, :show?
+
+    server_time = Time.current
+    since = parse_updates_since(params[:since])
+    items = @list.list_items.includes(:assigned_user, :tags).order(:position, :created_at)
+    changed_items = since ? items.where("list_items.updated_at >= ?", since) : items
+    nesting = @list.item_nesting
+
+    render json: {
+      server_time: server_time.iso8601(6),
+      item_ids: items.pluck(:id),
+      items: changed_items.map do |item|
+        {
+          id: item.id,
+          html: render_to_string(partial: "list_items/item", formats: [ :html ], locals: { item: item, list: @list, nesting: nesting })
+        }
+      end
+    }
+  end
+
   # Show public list by slug (prettier URLs for sharing)
   def show_by_slug
     @list = List.find_by!(public_slug: params[:slug], is_public: true)
-    @list_items = @list.list_items.includes(:assigned_user)
+    @list_items = @list.list_items.includes(:assigned_user, :tags)
                       .order(:position, :created_at)
+    @item_nesting = @list.item_nesting
 
     @new_list_item = @list.list_items.build if can_collaborate_on_list?
 
@@ -347,6 +385,31 @@ class ListsController < ApplicationController
     authorize @list
   end
 
+  def parse_updates_since(value)
+    Time.zone.iso8601(value) if value.present?
+  rescue ArgumentError
+    nil
+  end
+
+  # Swimlanes for the kanban board. Each lane names the item field a drop into it sets
+  # and the value it sets it to (nil clears the assignee).
+  def kanban_swimlanes(attribute)
+    case attribute
+    when "assignee"
+      assignees = User.where(id: @list.list_items.select(:assigned_user_id))
+                      .or(User.where(id: @list.collaborator_users.select(:id)))
+                      .or(User.where(id: @list.user_id))
+                      .order(:name)
+
+      assignees.map { |user| { id: user.id, label: user.name, field: :assigned_user_id, value: user.id } } +
+        [ { id: "unassigned", label: "Unassigned", field: :assigned_user_id, value: nil } ]
+    when "priority"
+      ListItem.priorities.keys.reverse.map do |priority|
+        { id: priority, label: priority.titleize, field: :priority, value: priority }
+      end
+    end
+  end
+
   # Check if user can collaborate on this list
   def can_collaborate_on_list?
     current_user && policy(@list).update?
@@ -12,6 +12,23 @@ class OrganizationsController < ApplicationController
     end
   end
 
+  # Organization settings, including the working calendar used for business days
+  def edit
+    @organization = Organization.find(params[:id])
+    authorize @organization, :update?
+  end
+
+  def update
+    @organization = Organization.find(params[:id])
+    authorize @organization, :update?
+
+    if @organization.update(organization_params)
+      redirect_to edit_organization_path(@organization), notice: "Organization updated successfully."
+    else
+      render :edit, status: :unprocessable_content
+    end
+  end
+
   # Show the organization switcher modal
   def switcher
     # Only allow turbo_stream requests - HTML requests should not directly access this
@@ -55,4 +72,10 @@ class OrganizationsController < ApplicationController
       end
     end
   end
+
+  private
+
+  def organization_params
+    params.require(:organization).permit(:name, :size, :workday_start, :workday_end, :holidays, working_days: [])
+  end
 end
@@ -0,0 +1,39 @@
+# app/controllers/push_subscriptions_controller.rb
+#
+# Stores the browser subscriptions created by push_subscription_controller.js.
+# A browser has one endpoint, so subscribing again (or as another user) updates it.
+class PushSubscriptionsController < ApplicationController
+  before_action :authenticate_user!
+
+  def create
+    subscription = PushSubscription.find_or_initialize_by(endpoint: subscription_params[:endpoint])
+    subscription.assign_attributes(
+      user: current_user,
+      p256dh_key: subscription_params.dig(:keys, :p256dh),
+      auth_key: subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent.to_s.truncate(255)
+    )
+
+    if subscription.save
+      current_user.notification_preferences.update(push_notifications: true)
+      render json: { status: "success" }, status: :created
+    else
+      render json: { errors: subscription.errors.full_messages }, status: :unprocessable_content
+    end
+  end
+
+  def destroy
+    current_user.push_subscriptions.where(endpoint: params[:endpoint]).destroy_all
+
+    # Push stays on for the user's other browsers
+    current_user.notification_preferences.update(push_notifications: false) unless current_user.push_subscriptions.exists?
+
+    head :no_content
+  end
+
+  private
+
+  def subscription_params
+    params.require(:subscription).permit(:endpoint, keys: [ :p256dh, :auth ])
+  end
+end
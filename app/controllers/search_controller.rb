@@ -1,14 +1,20 @@
 class SearchController < ApplicationController
+  SPOTLIGHT_COMMAND_LISTS = 10
+  # The `type` facets spotlight offers, by the prefix typed for them ("list:", ...)
+  FACETS = { "list" => List, "item" => ListItem, "user" => User }.freeze
+
   before_action :authenticate_user!
 
   def index
     @query = params[:q]&.strip
     @limit = params[:limit]&.to_i || 20
+    @facet = params[:type].presence_in(FACETS.keys)
 
     @results = if @query.present?
       result = SearchService.call(
         query: @query,
         user: current_user,
+        models: FACETS[@facet],
         limit: @limit
       )
 
@@ -29,7 +35,17 @@ class SearchController < ApplicationController
     end
   end
 
+  # Command mode needs the places it can act on: recent lists in this organization the
+  # user can add items to, and the other organizations to switch to
   def spotlight_modal
+    @command_lists = List.writable_by(current_user)
+                         .by_organization(current_organization)
+                         .order(updated_at: :desc)
+                         .limit(SPOTLIGHT_COMMAND_LISTS)
+    @command_organizations = current_user.organizations.where(status: :active)
+                                         .where.not(id: current_organization&.id)
+                                         .order(name: :asc)
+
     render partial: "search/spotlight_modal", layout: false
   end
 
@@ -47,6 +63,7 @@ class SearchController < ApplicationController
   def format_json_response
     {
       query: @query,
+      type: @facet,
       results: @results.map { |record| format_result_json(record) },
       count: @results.length
     }
@@ -148,18 +148,17 @@ module ChatHelper
 
   # Check if message has attachments
   def has_attachments?(message)
-    message.metadata["attachments"].present?
+    message.files.attached?
   end
 
-  # Get attachment preview
-  def attachment_preview(attachment)
-    case attachment["type"]
-    when "image"
-      tag.img(src: attachment["url"], alt: attachment["name"], class: "max-w-xs rounded-md")
-    when "file"
-      tag.a(attachment["name"], href: attachment["url"], class: "text-accent hover:underline", download: true)
+  # Thumbnail for attached images, download link for other files
+  def attachment_preview(file)
+    if file.representable?
+      link_to rails_blob_path(file, disposition: "inline"), target: "_blank", rel: "noopener" do
+        image_tag file.representation(resize_to_limit: [ 320, 320 ]), alt: file.filename.to_s, class: "max-w-full max-h-40 rounded-md"
+      end
     else
-      tag.span(attachment["name"], class: "text-ink-muted")
+      link_to file.filename.to_s, rails_blob_path(file, disposition: "attachment"), class: "text-accent hover:underline"
     end
   end
 
@@ -101,4 +101,13 @@ module DashboardHelper
       date.strftime("%b %d, %Y")
     end
   end
+
+  # People a suggested item can be reassigned to from its quick actions, once per list
+  def dashboard_item_assignees(list_id)
+    @dashboard_item_assignees ||= {}
+    @dashboard_item_assignees[list_id] ||= begin
+      list = List.find_by(id: list_id)
+      list ? [ list.owner, *list.collaborator_users ].compact.uniq(&:id) : []
+    end
+  end
 end
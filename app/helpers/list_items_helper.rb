@@ -7,4 +7,10 @@ module ListItemsHelper
       user.name
     end
   end
+
+  # People an item can be assigned to with "@name" in the quick-add title
+  def quick_add_assignees(list)
+    users = [ current_user, list.owner, *list.collaborator_users ].compact.uniq(&:id)
+    users.map { |user| { id: user.id, name: user.name, email: user.email } }
+  end
 end
@@ -17,6 +17,21 @@ module ListsHelper
     }
   end
 
+  # DOM id of a kanban drop zone: one per board column, or one per column and swimlane
+  def kanban_cell_dom_id(column, swimlane_attribute = nil, lane_id = nil)
+    column_id = column.respond_to?(:id) ? column.id : column
+    swimlane_attribute ? "column_#{column_id}_#{swimlane_attribute}_#{lane_id}" : "column_#{column_id}"
+  end
+
+  # Selector matching the drop zone an item belongs in, whichever swimlane grouping the board uses
+  def kanban_cell_selector(item)
+    [
+      kanban_cell_dom_id(item.board_column_id),
+      kanban_cell_dom_id(item.board_column_id, "assignee", item.assigned_user_id || "unassigned"),
+      kanban_cell_dom_id(item.board_column_id, "priority", item.priority)
+    ].map { |dom_id| "##{dom_id}" }.join(", ")
+  end
+
   # Display list type badge (personal/professional)
   def list_type_badge(list)
     colors = {
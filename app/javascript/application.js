@@ -1,3 +1,7 @@
 // Entry point for the build script in your package.json
 import "@hotwired/turbo-rails"
+import { cable } from "@hotwired/turbo-rails"
 import "./controllers"
+
+// Share Turbo's ActionCable consumer with controllers that subscribe to channels directly
+cable.getConsumer().then(consumer => { window.consumer = consumer })
@@ -1,80 +1,332 @@
 // app/javascript/controllers/auto_save_controller.js
 import { Controller } from "@hotwired/stimulus"
 
+// Auto-saves fields with an optimistic-locking precondition (X-Record-Version, see
+// RecordVersioning). A 409 opens a "yours vs theirs" merge panel; saves made while
+// offline are queued in localStorage and flushed when the connection comes back.
+const VERSION_HEADER = "X-Record-Version"
+
 export default class extends Controller {
-  static values = { url: String, delay: { type: Number, default: 1000 } }
+  static values = {
+    url: String,
+    delay: { type: Number, default: 1000 },
+    version: String
+  }
   static targets = ["field"]
 
   connect() {
     this.timeout = null
+    this.baseValues = this.currentValues()
+
+    this.boundScheduleAutoSave = this.scheduleAutoSave.bind(this)
+    this.boundOnline = this.flushQueue.bind(this)
+
     this.fieldTargets.forEach(field => {
-      field.addEventListener('input', this.scheduleAutoSave.bind(this))
+      field.addEventListener('input', this.boundScheduleAutoSave)
+      field.addEventListener('change', this.boundScheduleAutoSave)
     })
+    window.addEventListener('online', this.boundOnline)
+
+    // A save queued before the page was closed
+    if (this.queuedSave() && navigator.onLine) this.flushQueue()
   }
 
   disconnect() {
     if (this.timeout) {
       clearTimeout(this.timeout)
     }
+
+    this.fieldTargets.forEach(field => {
+      field.removeEventListener('input', this.boundScheduleAutoSave)
+      field.removeEventListener('change', this.boundScheduleAutoSave)
+    })
+    window.removeEventListener('online', this.boundOnline)
   }
 
   scheduleAutoSave() {
     if (this.timeout) {
       clearTimeout(this.timeout)
     }
-    
+
+    // Don't save over a conflict the user hasn't resolved yet
+    if (this.conflictPanel) return
+
     this.timeout = setTimeout(() => {
       this.autoSave()
     }, this.delayValue)
   }
 
-  async autoSave() {
+  async autoSave(values = this.currentValues(), version = this.versionValue) {
+    if (!navigator.onLine) {
+      this.queueSave(values, version)
+      return
+    }
+
     const formData = new FormData()
-    
-    this.fieldTargets.forEach(field => {
-      formData.append(field.name, field.value)
-    })
-    
+    Object.entries(values).forEach(([name, value]) => formData.append(name, value))
+
+    let response
     try {
-      const response = await fetch(this.urlValue, {
+      response = await fetch(this.urlValue, {
         method: 'PATCH',
         headers: {
+          'Accept': 'application/json',
           'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
+          ...(version ? { [VERSION_HEADER]: version } : {})
         },
         body: formData
       })
-      
-      if (response.ok) {
-        this.showSaveStatus('saved')
-      } else {
-        this.showSaveStatus('error')
-      }
     } catch (error) {
+      // Network failure: keep the save for when we're back online
       console.error('Auto-save error:', error)
+      this.queueSave(values, version)
+      return
+    }
+
+    if (response.headers.get('X-Offline-Queued')) {
+      // The service worker kept it and replays it when we're back online
+      this.showSaveStatus('queued')
+    } else if (response.ok) {
+      this.clearQueue()
+      this.versionValue = response.headers.get(VERSION_HEADER) || this.versionValue
+      this.baseValues = values
+      this.showSaveStatus('saved')
+    } else if (response.status === 409) {
+      this.clearQueue()
+      this.handleConflict(values, await response.json())
+    } else {
       this.showSaveStatus('error')
     }
   }
 
+  // Conflicts
+
+  handleConflict(mine, { version, current }) {
+    const theirs = {}
+    Object.entries(current || {}).forEach(([attribute, value]) => {
+      const name = this.fieldNameFor(attribute)
+      if (name) theirs[name] = value == null ? '' : String(value)
+    })
+
+    const conflicts = []
+    Object.keys(mine).forEach(name => {
+      if (!(name in theirs) || theirs[name] === mine[name]) return
+
+      if (mine[name] === this.baseValues[name]) {
+        // Only they changed it: take their value quietly
+        this.setFieldValue(name, theirs[name])
+      } else if (theirs[name] !== this.baseValues[name]) {
+        conflicts.push(name)
+      }
+    })
+
+    this.versionValue = version
+    this.baseValues = { ...this.baseValues, ...theirs }
+
+    if (conflicts.length === 0) {
+      // Nothing overlapping, save our changes on top of theirs
+      this.autoSave()
+    } else {
+      this.showConflictPanel(conflicts, mine, theirs)
+    }
+  }
+
+  showConflictPanel(names, mine, theirs) {
+    this.conflictPanel?.remove()
+
+    const panel = document.createElement('div')
+    panel.className = 'auto-save-conflict'
+    panel.setAttribute('role', 'alert')
+
+    const heading = document.createElement('p')
+    heading.className = 'auto-save-conflict-title'
+    heading.textContent = 'Someone else changed this while you were editing. Choose what to keep:'
+    panel.appendChild(heading)
+
+    names.forEach(name => panel.appendChild(this.buildConflictRow(name, mine[name], theirs[name])))
+
+    const actions = document.createElement('div')
+    actions.className = 'auto-save-conflict-actions'
+    actions.append(
+      this.buildButton('Keep all mine', 'btn btn-secondary btn-sm', () => this.chooseAll(panel, 'mine')),
+      this.buildButton('Take all theirs', 'btn btn-secondary btn-sm', () => this.chooseAll(panel, 'theirs')),
+      this.buildButton('Save', 'btn btn-primary btn-sm', () => this.resolveConflict(panel, mine, theirs))
+    )
+    panel.appendChild(actions)
+
+    this.conflictPanel = panel
+    this.element.prepend(panel)
+    panel.querySelector('input')?.focus()
+  }
+
+  buildConflictRow(name, mine, theirs) {
+    const row = document.createElement('fieldset')
+    row.className = 'auto-save-conflict-field'
+    row.dataset.fieldName = name
+
+    const legend = document.createElement('legend')
+    legend.textContent = this.fieldLabel(name)
+    row.appendChild(legend)
+
+    const choices = [
+      ['mine', 'Yours', mine],
+      ['theirs', 'Theirs', theirs]
+    ]
+    // Long text can keep both versions
+    if (this.isTextArea(name)) choices.push(['both', 'Both', `${theirs}\n\n${mine}`])
+
+    choices.forEach(([choice, label, value], index) => {
+      const option = document.createElement('label')
+      option.className = 'auto-save-conflict-option'
+
+      const radio = document.createElement('input')
+      radio.type = 'radio'
+      radio.name = `conflict-${name}`
+      radio.value = choice
+      radio.checked = index === 0
+
+      const title = document.createElement('span')
+      title.className = 'auto-save-conflict-label'
+      title.textContent = label
+
+      const preview = document.createElement('span')
+      preview.className = 'auto-save-conflict-value'
+      preview.textContent = value || '(empty)'
+
+      option.append(radio, title, preview)
+      row.appendChild(option)
+    })
+
+    return row
+  }
+
+  buildButton(label, className, handler) {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = className
+    button.textContent = label
+    button.addEventListener('click', handler)
+    return button
+  }
+
+  chooseAll(panel, choice) {
+    panel.querySelectorAll(`input[type="radio"][value="${choice}"]`).forEach(radio => { radio.checked = true })
+  }
+
+  resolveConflict(panel, mine, theirs) {
+    panel.querySelectorAll('.auto-save-conflict-field').forEach(row => {
+      const name = row.dataset.fieldName
+      const choice = row.querySelector('input[type="radio"]:checked')?.value
+      const value = {
+        mine: mine[name],
+        theirs: theirs[name],
+        both: `${theirs[name]}\n\n${mine[name]}`
+      }[choice]
+
+      this.setFieldValue(name, value)
+    })
+
+    panel.remove()
+    this.conflictPanel = null
+    this.autoSave()
+  }
+
+  // Offline queue
+
+  queueKey() {
+    return `auto-save:${this.urlValue}`
+  }
+
+  queuedSave() {
+    try {
+      return JSON.parse(localStorage.getItem(this.queueKey()))
+    } catch {
+      return null
+    }
+  }
+
+  queueSave(values, version) {
+    // Latest values win; the version is the one those edits were based on
+    localStorage.setItem(this.queueKey(), JSON.stringify({ values, version }))
+    this.showSaveStatus('queued')
+  }
+
+  clearQueue() {
+    localStorage.removeItem(this.queueKey())
+  }
+
+  flushQueue() {
+    const queued = this.queuedSave()
+    if (!queued) return
+
+    // Restore queued edits that a reload may have reset
+    Object.entries(queued.values).forEach(([name, value]) => this.setFieldValue(name, value))
+    this.autoSave(queued.values, queued.version || this.versionValue)
+  }
+
+  // Fields
+
+  currentValues() {
+    const values = {}
+    this.fieldTargets.forEach(field => {
+      values[field.name] = field.value
+    })
+    return values
+  }
+
+  setFieldValue(name, value) {
+    const field = this.fieldTargets.find(target => target.name === name)
+    if (!field || field.value === value) return
+
+    field.value = value
+    // Let editors layered on top (e.g. wysiwyg-markdown) pick up the new value
+    field.dispatchEvent(new CustomEvent('auto-save:replaced', { bubbles: true }))
+  }
+
+  // "list_item[title]" for the "title" attribute the server sends back
+  fieldNameFor(attribute) {
+    return this.fieldTargets.map(field => field.name).find(name => name.endsWith(`[${attribute}]`))
+  }
+
+  fieldLabel(name) {
+    const field = this.fieldTargets.find(target => target.name === name)
+    const label = field?.id && this.element.querySelector(`label[for="${CSS.escape(field.id)}"]`)
+    return label?.textContent.trim() || name.replace(/^.*\[(\w+)\]$/, '$1').replace(/_/g, ' ')
+  }
+
+  isTextArea(name) {
+    const field = this.fieldTargets.find(target => target.name === name)
+    return field?.tagName === 'TEXTAREA' || field?.type === 'hidden'
+  }
+
   showSaveStatus(status) {
     // Create or update save status indicator
     let statusElement = this.element.querySelector('.auto-save-status')
-    
+
     if (!statusElement) {
       statusElement = document.createElement('div')
       statusElement.className = 'auto-save-status text-xs text-gray-500 mt-1'
+      statusElement.setAttribute('aria-live', 'polite')
       this.element.appendChild(statusElement)
     }
-    
+
+    clearTimeout(this.statusTimeout)
+
     if (status === 'saved') {
       statusElement.textContent = 'Saved'
       statusElement.className = 'auto-save-status text-xs text-green-600 mt-1'
     } else if (status === 'error') {
       statusElement.textContent = 'Error saving'
       statusElement.className = 'auto-save-status text-xs text-red-600 mt-1'
+    } else if (status === 'queued') {
+      // Stays visible until the queued save goes through
+      statusElement.textContent = 'Offline, changes will be saved when you reconnect'
+      statusElement.className = 'auto-save-status text-xs text-gray-500 mt-1'
+      return
     }
-    
+
     // Hide status after 2 seconds
-    setTimeout(() => {
+    this.statusTimeout = setTimeout(() => {
       statusElement.textContent = ''
     }, 2000)
   }
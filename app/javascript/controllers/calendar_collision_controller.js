@@ -1,8 +1,19 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Warns when an item's time overlaps events in the user's connected calendars and
+// offers the nearest free slots of the same length.
+//
+// The item's time comes from the start date, duration (days) and due date fields
+// that date_calculator_controller fills in; forms without a start date or duration
+// field fall back to durationDaysValue, then to defaultMinutesValue ending at the due date.
 export default class extends Controller {
-  static targets = ["dueDateInput", "collisionWarning"]
-  static values = { debounceMs: { type: Number, default: 600 } }
+  static targets = ["startDateInput", "durationInput", "dueDateInput", "collisionWarning"]
+  static values = {
+    debounceMs: { type: Number, default: 600 },
+    durationDays: Number,
+    defaultMinutes: { type: Number, default: 60 },
+    suggestions: { type: Number, default: 3 }
+  }
 
   connect() {
     this._timeout = null
@@ -17,17 +28,24 @@ export default class extends Controller {
     this._timeout = setTimeout(() => this._performCheck(), this.debounceMsValue)
   }
 
+  // Move the item to a suggested slot
+  useSlot(event) {
+    const start = new Date(event.params.start)
+    const end = new Date(event.params.end)
+
+    if (this.hasStartDateInputTarget) this._setField(this.startDateInputTarget, start)
+    this._setField(this.dueDateInputTarget, end)
+
+    this.dueDateInputTarget.dispatchEvent(new Event("change", { bubbles: true }))
+  }
+
   async _performCheck() {
-    const dueDate = this.dueDateInputTarget.value
-    if (!dueDate) {
+    const range = this._itemRange()
+    if (!range) {
       this._clearWarning()
       return
     }
 
-    // Use due_date as end_time, 1 hour before as start_time (approximation)
-    const endTime = new Date(dueDate)
-    const startTime = new Date(endTime.getTime() - 60 * 60 * 1000)
-
     this._showLoading()
 
     try {
@@ -39,20 +57,48 @@ export default class extends Controller {
           "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content || ""
         },
         body: JSON.stringify({
-          start_time: startTime.toISOString(),
-          end_time: endTime.toISOString()
+          start_time: range.start.toISOString(),
+          end_time: range.end.toISOString(),
+          suggest_slots: this.suggestionsValue
         })
       })
 
       if (!resp.ok) { this._clearWarning(); return }
 
       const data = await resp.json()
-      data.has_conflicts ? this._showConflicts(data.collisions) : this._showClear()
+      data.has_conflicts ? this._showConflicts(data.collisions, data.free_slots || []) : this._showClear()
     } catch {
       this._clearWarning()
     }
   }
 
+  // The time the item occupies: start to due date when both are set, otherwise
+  // the duration counted from whichever one is
+  _itemRange() {
+    const start = this._dateFrom(this.hasStartDateInputTarget ? this.startDateInputTarget : null)
+    const due = this._dateFrom(this.dueDateInputTarget)
+    const days = this.hasDurationInputTarget ? parseInt(this.durationInputTarget.value, 10) : this.durationDaysValue
+    const length = days > 0 ? days * 24 * 60 * 60 * 1000 : this.defaultMinutesValue * 60 * 1000
+
+    if (start && due && due > start) return { start, end: due }
+    if (start) return { start, end: new Date(start.getTime() + length) }
+    if (due) return { start: new Date(due.getTime() - length), end: due }
+    return null
+  }
+
+  _dateFrom(input) {
+    if (!input?.value) return null
+    const date = new Date(input.value)
+    return isNaN(date.getTime()) ? null : date
+  }
+
+  // Fire input so date_calculator_controller treats the value as the user's own
+  _setField(input, date) {
+    const pad = (n) => String(n).padStart(2, "0")
+    input.value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+    input.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
   _showLoading() {
     if (!this.hasCollisionWarningTarget) return
     this.collisionWarningTarget.innerHTML = `
@@ -77,24 +123,58 @@ export default class extends Controller {
     setTimeout(() => this._clearWarning(), 3000)
   }
 
-  _showConflicts(collisions) {
+  _showConflicts(collisions, freeSlots) {
     if (!this.hasCollisionWarningTarget) return
-    const items = collisions.slice(0, 3).map(c => {
-      const start = new Date(c.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-      return `<li class="truncate">${c.title} @ ${start} <span class="text-gray-400">(${c.calendar})</span></li>`
-    }).join("")
+    const items = collisions.map(c => `
+      <li class="flex justify-between gap-2">
+        <span class="truncate">${this._escape(c.title || "Busy")}</span>
+        <span class="shrink-0 text-gray-400">${this._formatRange(c.start, c.end)} · ${this._escape(c.calendar)}</span>
+      </li>`).join("")
+    const slots = freeSlots.map(slot => `
+      <button type="button"
+              class="px-2 py-0.5 rounded border border-amber-300 bg-white text-amber-700 hover:bg-amber-100"
+              data-action="calendar-collision#useSlot"
+              data-calendar-collision-start-param="${this._escape(slot.start)}"
+              data-calendar-collision-end-param="${this._escape(slot.end)}">
+        ${this._formatRange(slot.start, slot.end)}
+      </button>`).join("")
+
     this.collisionWarningTarget.innerHTML = `
-      <div class="mt-1 text-xs border border-amber-200 bg-amber-50 rounded p-2">
-        <p class="font-medium text-amber-700 flex items-center gap-1 mb-1">
-          <svg class="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
-            <path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd"/>
-          </svg>
-          ${collisions.length} calendar conflict${collisions.length > 1 ? 's' : ''}
-        </p>
-        <ul class="space-y-0.5 text-amber-600">${items}</ul>
+      <div class="mt-1 text-xs border border-amber-200 bg-amber-50 rounded p-2 space-y-2">
+        <details>
+          <summary class="font-medium text-amber-700 cursor-pointer">
+            <svg class="w-3 h-3 inline" fill="currentColor" viewBox="0 0 20 20">
+              <path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd"/>
+            </svg>
+            ${collisions.length} calendar conflict${collisions.length > 1 ? 's' : ''}
+          </summary>
+          <ul class="mt-1 space-y-0.5 text-amber-600">${items}</ul>
+        </details>
+        ${slots ? `
+          <div>
+            <p class="text-amber-700 mb-1">Free instead:</p>
+            <div class="flex flex-wrap gap-1">${slots}</div>
+          </div>` : ""}
       </div>`
   }
 
+  // "Tue, Mar 3, 2:00 PM – 3:00 PM", with the end date only when it differs
+  _formatRange(startValue, endValue) {
+    const start = new Date(startValue)
+    const end = new Date(endValue)
+    const dateTime = { weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }
+    const endFormat = start.toDateString() === end.toDateString() ? { hour: "numeric", minute: "2-digit" } : dateTime
+
+    return `${start.toLocaleString([], dateTime)} – ${end.toLocaleString([], endFormat)}`
+  }
+
+  // Event titles come from external calendars
+  _escape(text) {
+    const div = document.createElement("div")
+    div.textContent = text ?? ""
+    return div.innerHTML.replace(/"/g, "&quot;")
+  }
+
   _clearWarning() {
     if (!this.hasCollisionWarningTarget) return
     this.collisionWarningTarget.innerHTML = ""
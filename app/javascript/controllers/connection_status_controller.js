@@ -7,7 +7,10 @@ export default class extends Controller {
     checkInterval: { type: Number, default: 30000 }, // 30 seconds
     timeoutDuration: { type: Number, default: 10000 }, // 10 seconds
     retryAttempts: { type: Number, default: 3 },
-    retryDelay: { type: Number, default: 1000 } // 1 second base delay
+    retryDelay: { type: Number, default: 1000 }, // 1 second base delay
+    // Pages that need to notice an unreachable server (e.g. chat) poll /up throughout;
+    // elsewhere the browser's online/offline events are enough until a check fails
+    poll: { type: Boolean, default: false }
   }
 
   connect() {
@@ -15,8 +18,12 @@ export default class extends Controller {
     this.connectionState = 'unknown'
     this.retryCount = 0
     this.setupEventListeners()
-    this.startPeriodicCheck()
-    this.checkConnection()
+
+    if (this.pollValue) {
+      this.checkConnection()
+    } else {
+      this.updateConnectionState(navigator.onLine ? 'online' : 'offline')
+    }
   }
 
   disconnect() {
@@ -24,9 +31,14 @@ export default class extends Controller {
   }
 
   setupEventListeners() {
+    // Keep the bound handlers so cleanup() removes the same functions
+    this.boundOnline = this.handleOnline.bind(this)
+    this.boundOffline = this.handleOffline.bind(this)
+    this.boundTurboError = this.handleTurboError.bind(this)
+
     // Browser online/offline events
-    window.addEventListener('online', this.handleOnline.bind(this))
-    window.addEventListener('offline', this.handleOffline.bind(this))
+    window.addEventListener('online', this.boundOnline)
+    window.addEventListener('offline', this.boundOffline)
     
     // ActionCable connection events (if available)
     if (window.consumer) {
@@ -40,14 +52,22 @@ export default class extends Controller {
     }
 
     // Turbo events for failed requests
-    document.addEventListener('turbo:fetch-request-error', this.handleTurboError.bind(this))
-    document.addEventListener('turbo:frame-missing', this.handleTurboError.bind(this))
+    document.addEventListener('turbo:fetch-request-error', this.boundTurboError)
+    document.addEventListener('turbo:frame-missing', this.boundTurboError)
   }
 
-  startPeriodicCheck() {
-    this.checkTimer = setInterval(() => {
-      this.checkConnection()
-    }, this.checkIntervalValue)
+  // Poll while the page asks for it, or until a failed check recovers
+  updatePeriodicCheck() {
+    const shouldPoll = this.pollValue || this.connectionState !== 'online'
+
+    if (shouldPoll && !this.checkTimer) {
+      this.checkTimer = setInterval(() => {
+        this.checkConnection()
+      }, this.checkIntervalValue)
+    } else if (!shouldPoll && this.checkTimer) {
+      clearInterval(this.checkTimer)
+      this.checkTimer = null
+    }
   }
 
   async checkConnection() {
@@ -108,6 +128,7 @@ export default class extends Controller {
     const previousState = this.connectionState
     this.connectionState = newState
     
+    this.updatePeriodicCheck()
     this.updateUI()
     this.dispatchConnectionEvent(newState, previousState)
   }
@@ -255,12 +276,13 @@ export default class extends Controller {
   cleanup() {
     if (this.checkTimer) {
       clearInterval(this.checkTimer)
+      this.checkTimer = null
     }
     
-    window.removeEventListener('online', this.handleOnline.bind(this))
-    window.removeEventListener('offline', this.handleOffline.bind(this))
-    document.removeEventListener('turbo:fetch-request-error', this.handleTurboError.bind(this))
-    document.removeEventListener('turbo:frame-missing', this.handleTurboError.bind(this))
+    window.removeEventListener('online', this.boundOnline)
+    window.removeEventListener('offline', this.boundOffline)
+    document.removeEventListener('turbo:fetch-request-error', this.boundTurboError)
+    document.removeEventListener('turbo:frame-missing', this.boundTurboError)
   }
 
   // Public methods for manual checks
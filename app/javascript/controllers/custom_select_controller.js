@@ -76,6 +76,11 @@ export default class extends Controller {
     this.hiddenInputTarget.dispatchEvent(new Event('change', { bubbles: true }))
   }
 
+  // Lets other controllers pick an option by setting data-custom-select-value-value
+  valueValueChanged(value) {
+    this.updateSelectedDisplay(value)
+  }
+
   updateSelectedDisplay(value) {
     // Find the option element with this value and update display
     const optionElement = this.element.querySelector(`[data-value="${value}"]`)
@@ -1,84 +1,134 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Quick actions on a suggested item in the dashboard's adaptive sidebar
+// Every action posts to dashboard/execute_action. Reversible ones are recorded with the
+// undo history (undo_controller), whose toast confirms them; the sidebar is then refreshed.
 // Connects to data-controller="dashboard-action"
 export default class extends Controller {
+  static targets = ["menu", "snoozeDate"]
   static values = {
     itemId: String,
-    listId: String
-  }
-
-  connect() {
-    console.log("DashboardAction controller connected")
+    listId: String,
+    url: { type: String, default: "/dashboard/execute_action" },
+    // The item's current values, so a change can be undone
+    status: String,
+    priority: String,
+    dueDate: String,
+    assigneeId: String
   }
 
   markComplete(event) {
     event.preventDefault()
-    
+    this.perform("mark_complete", {}, { "list_item[status]": this.statusValue || "pending" })
+  }
+
+  snooze(event) {
+    const until = event.params.until || (this.hasSnoozeDateTarget ? this.snoozeDateTarget.value : "")
+    if (!until) {
+      this.snoozeDateTarget?.focus()
+      return
+    }
+
+    this.perform("snooze", { until }, { "list_item[due_date]": this.dueDateValue })
+  }
+
+  reassign(event) {
+    this.perform("reassign", { assigned_user_id: event.params.assigneeId || "" }, { "list_item[assigned_user_id]": this.assigneeIdValue })
+  }
+
+  bumpPriority() {
+    this.perform("bump_priority", {}, { "list_item[priority]": this.priorityValue })
+  }
+
+  // Not undoable: the copy pushed to a connected calendar can't be taken back
+  convertToEvent() {
+    this.perform("convert_to_event")
+  }
+
+  // Show one option panel (snooze dates, assignees) at a time
+  toggleMenu(event) {
+    const name = event.params.menu
+    this.menuTargets.forEach(menu => {
+      menu.hidden = menu.dataset.menu !== name || !menu.hidden
+    })
+  }
+
+  async perform(actionType, params = {}, previousValues = null) {
     const itemId = this.itemIdValue
     const listId = this.listIdValue
-    
+
     if (!itemId || !listId) {
       console.error("Missing item or list ID")
       return
     }
 
-    // Send request to mark item as complete
-    fetch(`/list_items/${itemId}/toggle_status`, {
-      method: "PATCH",
-      headers: {
-        "Content-Type": "application/json",
-        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]').content
-      },
-      body: JSON.stringify({
-        status: "completed"
+    const actionParams = { action_type: actionType, item_id: itemId, list_id: listId, mode: this.sidebarMode(), ...params }
+
+    try {
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]').content
+        },
+        body: JSON.stringify(actionParams)
       })
-    })
-    .then(response => {
-      if (response.ok) {
-        // Refresh the sidebar
-        this.refreshAdaptiveSidebar(listId)
-        this.showSuccessMessage("Item marked as complete!")
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        this.showErrorMessage(data.error || "That didn't work. Please try again.")
+        return
+      }
+
+      this.refreshAdaptiveSidebar(listId)
+
+      if (previousValues) {
+        const itemUrl = `/lists/${listId}/items/${itemId}`
+        document.dispatchEvent(new CustomEvent("undo:record", {
+          detail: {
+            label: data.message,
+            undo: [{ url: itemUrl, method: "PATCH", params: previousValues, accept: "application/json" }],
+            redo: [{ url: this.urlValue, method: "POST", params: actionParams, accept: "application/json" }],
+            afterUndo: () => this.refreshAdaptiveSidebar(listId),
+            afterRedo: () => this.refreshAdaptiveSidebar(listId)
+          }
+        }))
       } else {
-        this.showErrorMessage("Failed to mark item as complete")
+        document.dispatchEvent(new CustomEvent("error-handler:show", {
+          detail: { type: "dashboard", title: "Done", message: data.message, actions: ["dismiss"], severity: "success", autoHide: true }
+        }))
       }
-    })
-    .catch(error => {
+    } catch (error) {
       console.error("Error:", error)
       this.showErrorMessage("An error occurred")
-    })
+    }
   }
 
+  // Re-render the sidebar from focus_list's Turbo Stream
   refreshAdaptiveSidebar(listId) {
-    // Trigger a refresh of the adaptive sidebar
-    const url = `/dashboard/focus_list?list_id=${listId}&format=turbo_stream`
-    
+    const url = new URL("/dashboard/focus_list", window.location.origin)
+    url.searchParams.set("list_id", listId)
+    if (this.sidebarMode()) url.searchParams.set("mode", this.sidebarMode())
+    url.searchParams.set("format", "turbo_stream")
+
     fetch(url, {
       method: "GET",
       headers: {
         "Accept": "text/vnd.turbo-stream.html"
       }
     })
-    .then(response => response.text())
-    .then(html => {
-      Turbo.connectStreamSource(new EventSource(url))
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      return response.text()
     })
+    .then(html => Turbo.renderStreamMessage(html))
+    .catch(error => console.error("Error refreshing the dashboard sidebar:", error))
   }
 
-  showSuccessMessage(message) {
-    const messageEl = document.createElement('div')
-    messageEl.className = 'fixed top-20 right-4 z-50 bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg shadow-md flex items-center space-x-3 max-w-md'
-    messageEl.innerHTML = `
-      <svg class="w-5 h-5 text-green-600" fill="currentColor" viewBox="0 0 20 20">
-        <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd"></path>
-      </svg>
-      <span>${message}</span>
-    `
-    
-    document.body.appendChild(messageEl)
-    
-    setTimeout(() => {
-      messageEl.remove()
-    }, 3000)
+  // Stay in the mode the user is looking at (recommendations, spotlight, nudge)
+  sidebarMode() {
+    return document.querySelector("[data-adaptive-mode]")?.dataset.adaptiveMode || ""
   }
 
   showErrorMessage(message) {
@@ -88,13 +138,14 @@ export default class extends Controller {
       <svg class="w-5 h-5 text-red-600" fill="currentColor" viewBox="0 0 20 20">
         <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd"></path>
       </svg>
-      <span>${message}</span>
+      <span></span>
     `
-    
+    messageEl.querySelector('span').textContent = message
+
     document.body.appendChild(messageEl)
-    
+
     setTimeout(() => {
       messageEl.remove()
     }, 3000)
   }
-}
\ No newline at end of file
+}
@@ -8,9 +8,18 @@ import { Controller } from "@hotwired/stimulus"
  * 1. Start Date + Duration → calculates Due Date
  * 2. Due Date + Duration → calculates Start Date
  * 3. Start Date + Due Date → calculates Duration
+ *
+ * Durations count calendar days, or business days when the businessDaysToggle is on.
+ * The toggle is the item's duration_unit field, so the unit is saved with the item.
+ * Business days follow the organization's working calendar (calendarValue, from
+ * Organization#business_calendar): working weekdays, working hours and holidays.
  */
 export default class extends Controller {
-  static targets = ["startDate", "duration", "dueDate"]
+  // Upper bound on days walked when counting, in case no day is a working day
+  static maxDaysScanned = 3660
+
+  static targets = ["startDate", "duration", "dueDate", "businessDaysToggle", "durationUnit", "derivationNote"]
+  static values = { calendar: Object }
 
   // Track which fields the user explicitly filled (vs which were auto-calculated)
   connect() {
@@ -44,6 +53,12 @@ export default class extends Controller {
     this.updateCalculations()
   }
 
+  // Switch between calendar and business days
+  toggleBusinessDays() {
+    this.updateDurationUnit()
+    this.updateCalculations()
+  }
+
   // Event handlers for each field
   onStartDateChange() {
     if (this.startDateTarget.value) {
@@ -79,13 +94,15 @@ export default class extends Controller {
     const dueDate = this.getDateValue(this.dueDateTarget)
     const duration = this.getDurationValue(this.durationTarget)
 
+    this.clearCalculatedStates()
+
     // Scenario 1: Start Date + Duration → Calculate Due Date
     // ONLY if user didn't explicitly set a due date
-    // (unless they just changed duration - then we update it for them)
     if (startDate && duration && !this.userFilledFields.has("dueDate")) {
       const calculated = this.addDaysToDate(startDate, duration)
-      this.setDateValue(this.dueDateTarget, calculated)
-      this.updateFieldState("dueDate", this.isDurationFieldActive())
+      this.setDateValue(this.dueDateTarget, calculated.date)
+      this.updateFieldState("dueDate", "start date and duration")
+      this.showDerivation(`Due date calculated from the start date plus ${this.describeDays(duration)}${this.describeSkipped(calculated)}.${this.describeShift(calculated, "starts")}`)
       return
     }
 
@@ -93,8 +110,9 @@ export default class extends Controller {
     // ONLY if user didn't explicitly set a start date
     if (dueDate && duration && !this.userFilledFields.has("startDate")) {
       const calculated = this.subtractDaysFromDate(dueDate, duration)
-      this.setDateValue(this.startDateTarget, calculated)
-      this.updateFieldState("startDate", true)
+      this.setDateValue(this.startDateTarget, calculated.date)
+      this.updateFieldState("startDate", "due date and duration")
+      this.showDerivation(`Start date calculated back from the due date by ${this.describeDays(duration)}${this.describeSkipped(calculated)}.${this.describeShift(calculated, "ends")}`)
       return
     }
 
@@ -102,20 +120,16 @@ export default class extends Controller {
     // ONLY if user didn't explicitly set a duration
     if (startDate && dueDate && !this.userFilledFields.has("duration")) {
       const calculated = this.calculateDurationDays(startDate, dueDate)
-      if (calculated >= 0) {
-        this.durationTarget.value = calculated
-        this.updateFieldState("duration", true)
+      if (calculated.days >= 0) {
+        this.durationTarget.value = calculated.days
+        this.updateFieldState("duration", "start and due dates")
+        this.showDerivation(`Duration calculated from the start and due dates: ${this.describeDays(calculated.days)}${this.describeSkipped(calculated)}.`)
       }
-      return
     }
-
-    // Reset field states if conditions aren't met
-    this.clearCalculatedStates()
   }
 
-  // Check if duration field was the trigger for the calculation
-  isDurationFieldActive() {
-    return document.activeElement === this.durationTarget
+  get businessDays() {
+    return this.hasBusinessDaysToggleTarget && this.businessDaysToggleTarget.checked
   }
 
   // Helper methods for date calculations
@@ -148,41 +162,171 @@ export default class extends Controller {
     return `${year}-${month}-${day}T${hours}:${minutes}`
   }
 
+  // The calculations return the result with what was skipped on the way:
+  // { date | days, offDays, holidays, shiftedTo }, where shiftedTo is set when the
+  // given time was outside working hours and counting began at the nearest working time
   addDaysToDate(date, days) {
+    if (this.businessDays) return this.shiftBusinessDays(date, days, 1)
+
     const result = new Date(date)
     result.setDate(result.getDate() + days)
-    return result
+    return { date: result }
   }
 
   subtractDaysFromDate(date, days) {
+    if (this.businessDays) return this.shiftBusinessDays(date, days, -1)
+
     const result = new Date(date)
     result.setDate(result.getDate() - days)
-    return result
+    return { date: result }
   }
 
   calculateDurationDays(startDate, dueDate) {
-    const msPerDay = 24 * 60 * 60 * 1000
-    return Math.ceil((dueDate - startDate) / msPerDay)
+    if (!this.businessDays) {
+      const msPerDay = 24 * 60 * 60 * 1000
+      return { days: Math.ceil((dueDate - startDate) / msPerDay) }
+    }
+    if (dueDate < startDate) return { days: -1 }
+
+    // Working days after the start day, up to and including the due day
+    const calendar = this.workingCalendar()
+    const counts = { days: 0, offDays: 0, holidays: 0 }
+    const day = new Date(startDate)
+    day.setHours(0, 0, 0, 0)
+    const lastDay = new Date(dueDate)
+    lastDay.setHours(0, 0, 0, 0)
+
+    for (let i = 0; i < this.constructor.maxDaysScanned && day < lastDay; i++) {
+      day.setDate(day.getDate() + 1)
+      this.countDay(day, calendar, counts)
+    }
+    return counts
   }
 
-  // Visual feedback for calculated fields
-  updateFieldState(fieldType, isCalculated) {
-    if (isCalculated) {
-      const target = this.getTargetByFieldType(fieldType)
-      target.classList.add("bg-blue-50", "border-blue-300", "ring-blue-100")
-      target.classList.remove("border-gray-300")
+  // Move by whole working days in the given direction (1 or -1)
+  shiftBusinessDays(date, days, direction) {
+    const calendar = this.workingCalendar()
+    const start = this.nearestWorkingTime(date, calendar, direction)
+    const result = { date: new Date(start), days: 0, offDays: 0, holidays: 0 }
+    if (start.getTime() !== date.getTime()) result.shiftedTo = start
+
+    for (let i = 0; i < this.constructor.maxDaysScanned && result.days < days; i++) {
+      result.date.setDate(result.date.getDate() + direction)
+      this.countDay(result.date, calendar, result)
+    }
+    return result
+  }
+
+  countDay(day, calendar, counts) {
+    if (!calendar.workingDays.includes(day.getDay())) {
+      counts.offDays++
+    } else if (calendar.holidays.has(this.formatDateKey(day))) {
+      counts.holidays++
+    } else {
+      counts.days++
+    }
+  }
+
+  // The first working moment at or after the date (direction 1), or at or before it (-1)
+  nearestWorkingTime(date, calendar, direction) {
+    const result = new Date(date)
+    const minutes = result.getHours() * 60 + result.getMinutes()
+
+    if (this.isWorkingDay(result, calendar)) {
+      if (minutes >= calendar.start && minutes <= calendar.end) return result
+      if (direction > 0 && minutes < calendar.start) return this.atMinutes(result, calendar.start)
+      if (direction < 0 && minutes > calendar.end) return this.atMinutes(result, calendar.end)
+    }
+
+    for (let i = 0; i < this.constructor.maxDaysScanned; i++) {
+      result.setDate(result.getDate() + direction)
+      if (this.isWorkingDay(result, calendar)) break
+    }
+    return this.atMinutes(result, direction > 0 ? calendar.start : calendar.end)
+  }
 
-      // Add aria-label to indicate field was auto-calculated
-      target.setAttribute("aria-label", `${fieldType} (auto-calculated)`)
+  isWorkingDay(date, calendar) {
+    return calendar.workingDays.includes(date.getDay()) && !calendar.holidays.has(this.formatDateKey(date))
+  }
+
+  workingCalendar() {
+    const calendar = this.calendarValue
+    const workingDays = (calendar.working_days || []).map(Number)
+
+    return {
+      workingDays: workingDays.length > 0 ? workingDays : [1, 2, 3, 4, 5],
+      start: this.parseMinutes(calendar.workday_start, 9 * 60),
+      end: this.parseMinutes(calendar.workday_end, 17 * 60),
+      holidays: new Set(calendar.holidays || [])
     }
   }
 
+  parseMinutes(time, fallback) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(time || "")
+    return match ? Number(match[1]) * 60 + Number(match[2]) : fallback
+  }
+
+  atMinutes(date, minutes) {
+    date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0)
+    return date
+  }
+
+  formatDateKey(date) {
+    return this.formatDateTimeLocal(date).slice(0, 10)
+  }
+
+  // Wording for the derivation note
+  describeDays(days) {
+    const unit = this.businessDays ? "business day" : "day"
+    return `${days} ${unit}${days === 1 ? "" : "s"}`
+  }
+
+  describeSkipped({ offDays = 0, holidays = 0 }) {
+    const skipped = []
+    if (offDays > 0) skipped.push(`${offDays} non-working day${offDays === 1 ? "" : "s"}`)
+    if (holidays > 0) skipped.push(`${holidays} holiday${holidays === 1 ? "" : "s"}`)
+    return skipped.length > 0 ? `, skipping ${skipped.join(" and ")}` : ""
+  }
+
+  describeShift({ shiftedTo }, verb) {
+    if (!shiftedTo) return ""
+
+    const when = shiftedTo.toLocaleString([], { weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })
+    return ` That's outside working hours, so the work ${verb} ${when}.`
+  }
+
+  showDerivation(text) {
+    if (!this.hasDerivationNoteTarget) return
+    this.derivationNoteTarget.textContent = text
+    this.derivationNoteTarget.hidden = false
+  }
+
+  updateDurationUnit() {
+    if (!this.hasDurationUnitTarget) return
+    this.durationUnitTarget.textContent = this.businessDays ? "Business Days" : "Days"
+  }
+
+  // Visual feedback for calculated fields
+  updateFieldState(fieldType, source) {
+    const target = this.getTargetByFieldType(fieldType)
+    target.classList.add("bg-blue-50", "border-blue-300", "ring-blue-100")
+    target.classList.remove("border-gray-300")
+
+    // Add aria-label to indicate field was auto-calculated
+    target.setAttribute("aria-label", `${fieldType} (calculated from ${source})`)
+  }
+
   clearCalculatedStates() {
     ;[this.startDateTarget, this.dueDateTarget, this.durationTarget].forEach((target) => {
       target.classList.remove("bg-blue-50", "border-blue-300", "ring-blue-100")
       target.classList.add("border-gray-300")
       target.removeAttribute("aria-label")
     })
+
+    if (this.hasDerivationNoteTarget) {
+      this.derivationNoteTarget.textContent = ""
+      this.derivationNoteTarget.hidden = true
+    }
   }
 
   getTargetByFieldType(fieldType) {
@@ -18,18 +18,31 @@ export default class extends Controller {
     this.setupErrorListeners()
   }
 
+  disconnect() {
+    clearTimeout(this.autoHideTimer)
+    Object.entries(this.listeners).forEach(([eventName, handler]) => {
+      document.removeEventListener(eventName, handler)
+    })
+  }
+
   setupErrorListeners() {
-    // Listen for connection status changes
-    document.addEventListener('connection:status-changed', this.handleConnectionChange.bind(this))
-    
-    // Listen for chat-specific errors
-    document.addEventListener('chat:error', this.handleChatError.bind(this))
-    
-    // Listen for form errors
-    document.addEventListener('turbo:submit-end', this.handleFormError.bind(this))
-    
-    // Listen for fetch errors
-    document.addEventListener('turbo:fetch-request-error', this.handleFetchError.bind(this))
+    // Keep the bound handlers so disconnect() can remove the same functions
+    this.listeners = {
+      // Listen for connection status changes
+      'connection:status-changed': this.handleConnectionChange.bind(this),
+      // Listen for chat-specific errors
+      'chat:error': this.handleChatError.bind(this),
+      // Listen for form errors
+      'turbo:submit-end': this.handleFormError.bind(this),
+      // Listen for fetch errors
+      'turbo:fetch-request-error': this.handleFetchError.bind(this),
+      // Listen for errors reported by other controllers
+      'error-handler:show': this.handleShowRequest.bind(this)
+    }
+
+    Object.entries(this.listeners).forEach(([eventName, handler]) => {
+      document.addEventListener(eventName, handler)
+    })
   }
 
   handleConnectionChange(event) {
@@ -93,6 +106,11 @@ export default class extends Controller {
     })
   }
 
+  handleShowRequest(event) {
+    // detail is a showError config; retryEvent/retryDetail let the sender handle "Try Again"
+    this.showError(event.detail)
+  }
+
   showError(config) {
     this.lastError = config
     this.updateNotificationUI(config)
@@ -138,8 +156,8 @@ export default class extends Controller {
           ${this.getIconForSeverity(severity)}
         </div>
         <div class="ml-3 flex-1">
-          <h3 class="text-sm font-medium">${title}</h3>
-          <p class="mt-1 text-sm opacity-90">${message}</p>
+          <h3 class="text-sm font-medium" data-notification-title></h3>
+          <p class="mt-1 text-sm opacity-90" data-notification-message></p>
           ${this.renderActions(actions)}
         </div>
         <div class="ml-4 flex-shrink-0">
@@ -152,6 +170,10 @@ export default class extends Controller {
         </div>
       </div>
     `
+
+    // Title and message carry item titles, file names and server text: set them as text
+    this.notificationTarget.querySelector('[data-notification-title]').textContent = title || ''
+    this.notificationTarget.querySelector('[data-notification-message]').textContent = message || ''
     
     // Show the notification
     this.notificationTarget.classList.remove('hidden')
@@ -171,7 +193,8 @@ export default class extends Controller {
       const buttonText = {
         retry: 'Try Again',
         dismiss: 'Dismiss', 
-        reload: 'Reload Page'
+        reload: 'Reload Page',
+        undo: 'Undo'
       }
       
       return `
@@ -231,6 +254,11 @@ export default class extends Controller {
       document.dispatchEvent(new CustomEvent('chat:retry-requested', {
         detail: { error: this.lastError }
       }))
+    } else if (this.lastError?.retryEvent) {
+      // Let the controller that reported the error retry its own request
+      document.dispatchEvent(new CustomEvent(this.lastError.retryEvent, {
+        detail: this.lastError.retryDetail
+      }))
     } else {
       // For other errors, just reload
       window.location.reload()
@@ -243,13 +271,26 @@ export default class extends Controller {
     this.clearError()
   }
 
+  undo() {
+    // The undo history (undo_controller) reverts the change the toast reported
+    if (this.lastError?.undoEvent) {
+      document.dispatchEvent(new CustomEvent(this.lastError.undoEvent, {
+        detail: this.lastError.undoDetail
+      }))
+    }
+
+    this.clearError()
+  }
+
   reload() {
     window.location.reload()
   }
 
   // Utility methods
   scheduleAutoHide(delay) {
-    setTimeout(() => {
+    // A newer notification shouldn't be hidden by the previous one's timer
+    clearTimeout(this.autoHideTimer)
+    this.autoHideTimer = setTimeout(() => {
       this.clearError()
     }, delay)
   }
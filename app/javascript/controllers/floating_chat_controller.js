@@ -25,10 +25,25 @@ export default class extends Controller {
 
     // Prevent body scroll when chat is open on mobile
     this.setupScrollLock()
+
+    this.boundRegisterCommands = this.registerCommands.bind(this)
+    document.addEventListener("spotlight:commands", this.boundRegisterCommands)
   }
 
   disconnect() {
     this.removeScrollLock()
+    document.removeEventListener("spotlight:commands", this.boundRegisterCommands)
+  }
+
+  // Offer "Open chat" in the spotlight command palette
+  registerCommands(event) {
+    event.detail.register({
+      id: "open-chat",
+      title: "Open chat",
+      section: "Chat",
+      keywords: ["assistant", "ai", "message", "ask"],
+      perform: () => this.expand()
+    })
   }
 
   // Toggle between collapsed and expanded states
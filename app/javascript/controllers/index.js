@@ -52,6 +52,9 @@ application.register("inline-edit", InlineEditController)
 import InvitationFilterController from "./invitation_filter_controller"
 application.register("invitation-filter", InvitationFilterController)
 
+import ItemCommandsController from "./item_commands_controller"
+application.register("item-commands", ItemCommandsController)
+
 import KanbanController from "./kanban_controller"
 application.register("kanban", KanbanController)
 
@@ -85,15 +88,27 @@ application.register("notifications", NotificationsController)
 import OrganizationFilterController from "./organization_filter_controller"
 application.register("organization-filter", OrganizationFilterController)
 
+import PresenceController from "./presence_controller"
+application.register("presence", PresenceController)
+
 import ProgressAnimationController from "./progress_animation_controller"
 application.register("progress-animation", ProgressAnimationController)
 
+import PushSubscriptionController from "./push_subscription_controller"
+application.register("push-subscription", PushSubscriptionController)
+
 import QuickAddController from "./quick_add_controller"
 application.register("quick-add", QuickAddController)
 
 import RealtimeController from "./realtime_controller"
 application.register("realtime", RealtimeController)
 
+import ServiceWorkerController from "./service_worker_controller"
+application.register("service-worker", ServiceWorkerController)
+
+import SignOutController from "./sign_out_controller"
+application.register("sign-out", SignOutController)
+
 import SortableController from "./sortable_controller"
 application.register("sortable", SortableController)
 
@@ -109,6 +124,9 @@ application.register("theme", ThemeController)
 import ToggleController from "./toggle_controller"
 application.register("toggle", ToggleController)
 
+import UndoController from "./undo_controller"
+application.register("undo", UndoController)
+
 import UnifiedChatController from "./unified_chat_controller"
 application.register("unified-chat", UnifiedChatController)
 
@@ -6,10 +6,24 @@ export default class extends Controller {
   static values = { itemId: String }
 
   connect() {
+    // What the item looked like before editing, so the save can be undone
+    this.initialValues = this.fieldValues()
+
     if (this.hasTitleInputTarget) {
       this.titleInputTarget.focus()
       this.titleInputTarget.select()
     }
+
+    // Let collaborators see who is editing this item (presence_controller)
+    document.dispatchEvent(new CustomEvent('presence:editing', {
+      detail: { itemId: this.itemIdValue }
+    }))
+  }
+
+  disconnect() {
+    document.dispatchEvent(new CustomEvent('presence:editing', {
+      detail: { itemId: null, previousItemId: this.itemIdValue }
+    }))
   }
 
   cancel(event) {
@@ -32,7 +46,34 @@ export default class extends Controller {
   }
 
   handleSuccess(event) {
-    console.log('Item updated successfully')
+    if (!event.detail.success) return
+
+    const savedValues = this.fieldValues()
+    const changedFields = Object.keys(savedValues).filter(name => savedValues[name] !== this.initialValues[name])
+    if (changedFields.length === 0) return
+
+    const pick = (values) => Object.fromEntries(changedFields.map(name => [name, values[name]]))
+    const url = `/lists/${this.getListId()}/items/${this.itemIdValue}/inline_update`
+
+    document.dispatchEvent(new CustomEvent('undo:record', {
+      detail: {
+        label: `Edited "${this.initialValues['list_item[title]'] || 'item'}"`,
+        undo: [{ url, method: 'PATCH', params: pick(this.initialValues) }],
+        redo: [{ url, method: 'PATCH', params: pick(savedValues) }]
+      }
+    }))
+  }
+
+  // The form's list_item[...] fields by name
+  fieldValues() {
+    const form = this.element.querySelector('form')
+    if (!form) return {}
+
+    const values = {}
+    new FormData(form).forEach((value, name) => {
+      if (name.startsWith('list_item[') && typeof value === 'string') values[name] = value
+    })
+    return values
   }
 
   clearError() {
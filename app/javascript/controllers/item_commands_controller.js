@@ -0,0 +1,54 @@
+import { Controller } from "@hotwired/stimulus"
+
+/**
+ * Item Commands Controller
+ * Adds commands for the item being viewed or edited to the spotlight command palette.
+ */
+export default class extends Controller {
+  static values = {
+    title: String,
+    completed: Boolean,
+    toggleUrl: String
+  }
+
+  connect() {
+    this.boundRegisterCommands = this.registerCommands.bind(this)
+    document.addEventListener("spotlight:commands", this.boundRegisterCommands)
+  }
+
+  disconnect() {
+    document.removeEventListener("spotlight:commands", this.boundRegisterCommands)
+  }
+
+  registerCommands(event) {
+    if (this.completedValue) return
+
+    event.detail.register({
+      id: "complete-current-item",
+      title: `Mark "${this.titleValue}" complete`,
+      section: "Item",
+      keywords: ["done", "finish", "complete", "check"],
+      perform: () => this.complete()
+    })
+  }
+
+  // The turbo stream response moves the item into its new place on the list page
+  async complete() {
+    const response = await fetch(this.toggleUrlValue, {
+      method: "PATCH",
+      headers: {
+        "Accept": "text/vnd.turbo-stream.html",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content || ""
+      }
+    })
+
+    if (!response.ok) throw new Error(`Could not complete "${this.titleValue}".`)
+
+    Turbo.renderStreamMessage(await response.text())
+    this.completedValue = true
+
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: { type: "command", title: "Done", message: `Marked "${this.titleValue}" complete.`, actions: ["dismiss"], severity: "success", autoHide: true }
+    }))
+  }
+}
@@ -4,6 +4,10 @@ export default class extends Controller {
   static targets = ["column", "card"]
 
   connect() {
+    // Cards selected with Shift/Cmd-click or Space move together
+    this.selectedItemIds = new Set()
+    this.createLiveRegion()
+
     // Initialize drag-and-drop for existing cards and columns
     this.initializeDragAndDrop()
 
@@ -18,6 +22,10 @@ export default class extends Controller {
     // Also listen on document for bubbled custom events
     this.boundDocumentReInitialize = () => this.initializeDragAndDrop()
     document.addEventListener("kanban:reinitialize", this.boundDocumentReInitialize)
+
+    // "Try Again" on a failed move toast
+    this.boundRetryMove = (e) => this.retryMove(e)
+    document.addEventListener("kanban:retry-move", this.boundRetryMove)
   }
 
   disconnect() {
@@ -31,6 +39,12 @@ export default class extends Controller {
     if (this.boundDocumentReInitialize) {
       document.removeEventListener("kanban:reinitialize", this.boundDocumentReInitialize)
     }
+    if (this.boundRetryMove) {
+      document.removeEventListener("kanban:retry-move", this.boundRetryMove)
+    }
+
+    this.liveRegion?.remove()
+    this.instructions?.remove()
   }
 
   initializeDragAndDrop() {
@@ -52,24 +66,41 @@ export default class extends Controller {
         card.removeEventListener("dragend", handlers.dragend)
         card.removeEventListener("mousedown", handlers.mousedown)
         card.removeEventListener("mouseup", handlers.mouseup)
+        card.removeEventListener("click", handlers.click)
+        card.removeEventListener("keydown", handlers.keydown)
       }
 
       // Start with draggable = false
       card.draggable = false
 
+      // Make cards reachable and operable from the keyboard
+      card.tabIndex = 0
+      card.setAttribute("aria-describedby", this.instructions.id)
+      this.renderSelection(card)
+
       // Create bound handlers for this card
       const dragstart = (e) => this.handleDragStart(e)
       const dragend = (e) => this.handleDragEnd(e)
       const mousedown = (e) => this.handleMouseDown(e)
       const mouseup = (e) => this.handleMouseUp(e)
+      const click = (e) => this.handleCardClick(e)
+      const keydown = (e) => this.handleCardKeyDown(e)
 
       card.addEventListener("dragstart", dragstart)
       card.addEventListener("dragend", dragend)
       card.addEventListener("mousedown", mousedown)
       card.addEventListener("mouseup", mouseup)
+      card.addEventListener("click", click)
+      card.addEventListener("keydown", keydown)
 
       // Store handlers for potential cleanup
-      this.dragHandlers.set(card, { dragstart, dragend, mousedown, mouseup })
+      this.dragHandlers.set(card, { dragstart, dragend, mousedown, mouseup, click, keydown })
+    })
+
+    // Forget selected cards that are no longer on the board
+    const cardIds = new Set(Array.from(cards, card => card.dataset.itemId))
+    this.selectedItemIds.forEach(itemId => {
+      if (!cardIds.has(itemId)) this.selectedItemIds.delete(itemId)
     })
 
     // Make columns drop zones
@@ -134,10 +165,14 @@ export default class extends Controller {
     const card = event.target.closest("[data-kanban-target='card']")
     if (!card || !card.draggable) return
 
+    // Remember what is being dragged; dataTransfer can't be read during dragover
+    this.draggedItemIds = this.itemIdsToMove(card)
+
     // Store data in the drag event
     event.dataTransfer.effectAllowed = "move"
     event.dataTransfer.setData("text/html", card.innerHTML)
     event.dataTransfer.setData("item-id", card.dataset.itemId)
+    event.dataTransfer.setData("item-ids", JSON.stringify(this.draggedItemIds))
 
     // Add visual feedback
     card.classList.add("opacity-50", "bg-gray-100")
@@ -151,6 +186,8 @@ export default class extends Controller {
     // Remove visual feedback
     card.classList.remove("opacity-50", "bg-gray-100")
     card.style.transform = ""
+    this.removeDropIndicator()
+    this.draggedItemIds = null
   }
 
   handleDragOver(event) {
@@ -158,15 +195,29 @@ export default class extends Controller {
     event.dataTransfer.dropEffect = "move"
 
     const column = event.target.closest("[data-kanban-target='column']")
-    if (column) {
-      column.classList.add("bg-blue-50", "ring-2", "ring-blue-400")
+    if (!column) return
+
+    // Full columns with an enforced WIP limit refuse the drop
+    if (this.draggedItemIds && this.wouldExceedWipLimit(column, this.draggedItemIds)) {
+      event.dataTransfer.dropEffect = "none"
+      column.classList.add("ring-2", "ring-red-400")
+      this.removeDropIndicator()
+      return
     }
+
+    column.classList.add("bg-blue-50", "ring-2", "ring-blue-400")
+    this.showDropIndicator(column, this.getCardAfterPointer(column, event.clientY))
   }
 
   handleDragLeave(event) {
     const column = event.target.closest("[data-kanban-target='column']")
     if (column) {
-      column.classList.remove("bg-blue-50", "ring-2", "ring-blue-400")
+      column.classList.remove("bg-blue-50", "ring-2", "ring-blue-400", "ring-red-400")
+
+      // dragleave also fires when crossing into a child card, only clear when leaving the column
+      if (!column.contains(event.relatedTarget)) {
+        this.removeDropIndicator()
+      }
     }
   }
 
@@ -177,28 +228,268 @@ export default class extends Controller {
     if (!column) return
 
     // Remove visual feedback
-    column.classList.remove("bg-blue-50", "ring-2", "ring-blue-400")
+    column.classList.remove("bg-blue-50", "ring-2", "ring-blue-400", "ring-red-400")
+    this.removeDropIndicator()
 
+    // Multi-selected drags carry every selected id, single drags only item-id
+    const itemIdsData = event.dataTransfer.getData("item-ids")
     const itemId = event.dataTransfer.getData("item-id")
+    const itemIds = itemIdsData ? JSON.parse(itemIdsData) : [itemId].filter(Boolean)
 
-    // Get columnId - try data attribute first (for list-specific kanban),
-    // then fall back to extracting from the element ID (for items_kanban)
-    let columnId = column.dataset.columnId
-    if (!columnId && column.id) {
-      // Extract from id like "column_to-do" or "column_<uuid>"
-      columnId = column.id.replace("column_", "")
+    const beforeCard = this.getCardAfterPointer(column, event.clientY, itemIds)
+    this.moveCards(itemIds, column, { beforeItemId: beforeCard?.dataset.itemId })
+  }
+
+  // First card whose vertical midpoint is below the pointer, ignoring the cards being dragged
+  getCardAfterPointer(column, clientY, excludedItemIds = []) {
+    const cards = Array.from(column.querySelectorAll("[data-kanban-target='card']"))
+      .filter(card => !excludedItemIds.includes(card.dataset.itemId) && !card.classList.contains("opacity-50"))
+
+    return cards.find(card => {
+      const rect = card.getBoundingClientRect()
+      return clientY < rect.top + rect.height / 2
+    })
+  }
+
+  showDropIndicator(column, beforeCard) {
+    if (!this.dropIndicator) {
+      this.dropIndicator = document.createElement("div")
+      this.dropIndicator.className = "kanban-drop-indicator"
+      this.dropIndicator.setAttribute("aria-hidden", "true")
+    }
+
+    const reference = beforeCard || column.querySelector(":scope > [data-kanban-target='add-form']")
+    if (this.dropIndicator.parentElement !== column || this.dropIndicator.nextElementSibling !== reference) {
+      column.insertBefore(this.dropIndicator, reference)
     }
+  }
+
+  removeDropIndicator() {
+    this.dropIndicator?.remove()
+  }
+
+  // Move one or more cards into a column (before beforeItemId, or to the end),
+  // persist the resulting order and announce the result to screen readers
+  moveCards(itemIds, column, { focusItemId = null, beforeItemId = null } = {}) {
+    const columnId = this.getColumnId(column)
+    if (!columnId || itemIds.length === 0) return
+
+    const columnName = this.getColumnName(column)
+    const firstTitle = this.getCardTitle(itemIds[0])
 
-    if (itemId && columnId) {
-      // Update the item's board_column via a hidden form submission with Turbo
-      this.updateItemColumn(itemId, columnId)
+    if (this.wouldExceedWipLimit(column, itemIds)) {
+      this.reportWipLimitReached(column, columnName)
+      return
     }
+
+    // Where each card started and how the affected columns looked, so the move can be undone
+    const origins = new Map(itemIds.map(itemId => [itemId, this.element.querySelector(`[data-item-id="${itemId}"]`)?.parentElement]))
+    const before = this.snapshotColumns([column, ...origins.values()])
+
+    this.clearSelection()
+
+    const moves = itemIds.map(itemId => {
+      const card = this.element.querySelector(`[data-item-id="${itemId}"]`)
+      const focus = itemId === focusItemId
+
+      // Cards already in this column only change position
+      if (card && card.parentElement === column) {
+        this.placeCard(card, column, beforeItemId)
+        if (focus) card.focus()
+        return Promise.resolve(true)
+      }
+
+      return this.updateItemColumn(itemId, column, { focus, beforeItemId })
+    })
+
+    // Remember the intended order; Turbo re-renders moved cards at the end of the column
+    const intendedOrder = this.getColumnItemIds(column)
+
+    Promise.all(moves).then(results => {
+      const movedCount = results.filter(Boolean).length
+      const failedItemIds = itemIds.filter((_itemId, index) => !results[index])
+
+      if (failedItemIds.length > 0) {
+        this.reportFailedMove(failedItemIds, column, columnName, beforeItemId)
+      }
+      if (movedCount === 0) {
+        this.announce(`Could not move ${itemIds.length === 1 ? "card" : "cards"} to ${columnName}.`)
+        return
+      }
+
+      this.applyColumnOrder(column, intendedOrder)
+      this.focusCard(focusItemId)
+
+      if (movedCount === 1 && itemIds.length === 1) {
+        const order = this.getColumnItemIds(column)
+        this.announce(`Moved ${firstTitle} to ${columnName}, position ${order.indexOf(itemIds[0]) + 1} of ${order.length}.`)
+      } else {
+        this.announce(`Moved ${movedCount} of ${itemIds.length} cards to ${columnName}.`)
+      }
+
+      const movedItemIds = itemIds.filter((_itemId, index) => results[index])
+      const label = movedCount === 1 ? `Moved "${firstTitle}" to ${columnName}` : `Moved ${movedCount} cards to ${columnName}`
+
+      this.persistColumnOrder(column).then(failedListIds => {
+        // The column changes are saved either way; only the order in the failed lists goes back
+        if (failedListIds.length > 0) {
+          this.revertColumnOrder(column, failedListIds)
+          this.reportFailedReorder(movedItemIds, column, columnName, beforeItemId)
+        }
+        this.recordMove(movedItemIds, column, origins, before, label)
+      })
+    })
+  }
+
+  // Hand the move to the undo history: put cards back in their old columns, then
+  // restore the positions that changed; redo does the same towards the new state
+  recordMove(itemIds, column, origins, before, label) {
+    const after = this.snapshotColumns([column, ...origins.values()])
+    const undo = []
+    const redo = []
+
+    itemIds.forEach(itemId => {
+      const origin = origins.get(itemId)
+      if (!origin || origin === column) return
+
+      const url = `/lists/${before.cards[itemId]?.listId}/items/${itemId}`
+      undo.push({ url, method: "PATCH", params: this.columnUpdatePayload(origin, column.dataset.laneValue) })
+      redo.push({ url, method: "PATCH", params: this.columnUpdatePayload(column, origin.dataset.laneValue) })
+    })
+    undo.push(...this.reorderRequests(before.cards, after.cards))
+    redo.push(...this.reorderRequests(after.cards, before.cards))
+
+    if (undo.length === 0) return
+
+    document.dispatchEvent(new CustomEvent("undo:record", {
+      detail: {
+        label,
+        undo,
+        redo,
+        afterUndo: () => this.restoreColumns(before),
+        afterRedo: () => this.restoreColumns(after)
+      }
+    }))
+  }
+
+  // Card order per column and each card's list and saved position
+  snapshotColumns(columns) {
+    const snapshot = { orders: {}, cards: {} }
+
+    new Set(columns).forEach(column => {
+      if (!column?.id) return
+
+      snapshot.orders[column.id] = this.getColumnItemIds(column)
+      column.querySelectorAll(":scope > [data-kanban-target='card']").forEach(card => {
+        snapshot.cards[card.dataset.itemId] = {
+          listId: card.dataset.listId || this.getListId(),
+          position: card.dataset.position
+        }
+      })
+    })
+
+    return snapshot
+  }
+
+  // Reorder requests (one per list) that bring positions from currentCards to targetCards
+  reorderRequests(targetCards, currentCards) {
+    const paramsByList = {}
+
+    Object.entries(targetCards).forEach(([itemId, { listId, position }]) => {
+      if (position === undefined || currentCards[itemId]?.position === position) return
+
+      paramsByList[listId] ||= {}
+      paramsByList[listId][`positions[${itemId}]`] = position
+    })
+
+    return Object.entries(paramsByList).map(([listId, params]) => ({
+      url: `/lists/${listId}/items/reorder`,
+      method: "PATCH",
+      params,
+      accept: "application/json"
+    }))
+  }
+
+  // Undo/redo re-render moved cards at the end of their column; put everything back in order
+  restoreColumns({ orders, cards }) {
+    this.initializeDragAndDrop()
+
+    Object.entries(orders).forEach(([columnElementId, itemIds]) => {
+      const column = this.columnTargets.find(column => column.id === columnElementId)
+      if (column) this.applyColumnOrder(column, itemIds, { animate: true })
+    })
+    Object.entries(cards).forEach(([itemId, { position }]) => {
+      const card = this.element.querySelector(`[data-item-id="${itemId}"]`)
+      if (card && position !== undefined) card.dataset.position = position
+    })
+
+    this.updateColumnCounts()
+  }
+
+  // Show an error toast whose "Try Again" re-sends the failed moves
+  reportFailedMove(itemIds, column, columnName, beforeItemId = null) {
+    const subject = itemIds.length === 1 ? `"${this.getCardTitle(itemIds[0])}"` : `${itemIds.length} cards`
+
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: {
+        type: "kanban",
+        title: "Move Failed",
+        message: `Couldn't move ${subject} to ${columnName}. The card was put back.`,
+        actions: ["retry", "dismiss"],
+        severity: "error",
+        retryEvent: "kanban:retry-move",
+        retryDetail: { itemIds, columnElementId: column.id, beforeItemId }
+      }
+    }))
+  }
+
+  // The cards reached the column but their order there wasn't saved
+  reportFailedReorder(itemIds, column, columnName, beforeItemId = null) {
+    const subject = itemIds.length === 1 ? `"${this.getCardTitle(itemIds[0])}"` : `${itemIds.length} cards`
+
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: {
+        type: "kanban",
+        title: "Order Not Saved",
+        message: `Moved ${subject} to ${columnName}, but couldn't save the order. The column's previous order was restored.`,
+        actions: ["retry", "dismiss"],
+        severity: "error",
+        retryEvent: "kanban:retry-move",
+        retryDetail: { itemIds, columnElementId: column.id, beforeItemId }
+      }
+    }))
+  }
+
+  reportWipLimitReached(column, columnName) {
+    const message = `${columnName} is at its WIP limit of ${this.getWipLimit(column).limit}.`
+    this.announce(`Could not move. ${message}`)
+
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: {
+        type: "kanban",
+        title: "Column Full",
+        message: `${message} Finish or move a card out first.`,
+        actions: ["dismiss"],
+        severity: "warning",
+        autoHide: true
+      }
+    }))
   }
 
-  updateItemColumn(itemId, columnId) {
+  retryMove(event) {
+    const { itemIds, columnElementId, beforeItemId } = event.detail || {}
+    const column = this.columnTargets.find(column => column.id === columnElementId)
+    if (!column || !itemIds) return
+
+    // Cards may have been deleted or moved by someone else in the meantime
+    const remainingItemIds = itemIds.filter(itemId => this.element.querySelector(`[data-item-id="${itemId}"]`))
+    this.moveCards(remainingItemIds, column, { beforeItemId })
+  }
+
+  updateItemColumn(itemId, column, { focus = false, beforeItemId = null } = {}) {
     // Find the item card element to get list ID
     const cardElement = document.querySelector(`[data-item-id="${itemId}"]`)
-    if (!cardElement) return
+    if (!cardElement) return Promise.resolve(false)
 
     // Try to get list ID from card's data attribute (for items_kanban view)
     let listId = cardElement.dataset.listId
@@ -208,28 +499,14 @@ export default class extends Controller {
       listId = this.getListId()
     }
 
-    if (!listId) return
-
-    // Determine what status/column to set based on the target column
-    // For items_kanban, columnId will be a parameterized string like "to-do", "in-progress", "done"
-    // For list-specific kanban, columnId will be a UUID
-    const statusMap = {
-      "to-do": "pending",
-      "in-progress": "in_progress",
-      "done": "completed"
-    }
+    if (!listId) return Promise.resolve(false)
 
-    let updatePayload = {}
+    const originLane = cardElement.closest("[data-kanban-target='column']")?.dataset.laneValue
+    const updatePayload = this.columnUpdatePayload(column, originLane)
 
-    // If columnId matches a status column name (items_kanban), update status
-    if (statusMap[columnId]) {
-      updatePayload["list_item[status]"] = statusMap[columnId]
-      // Clear board_column_id so the turbo_stream response uses the items_kanban branch
-      updatePayload["list_item[board_column_id]"] = ""
-    } else {
-      // Otherwise it's a board column ID (list-specific kanban), update board_column_id
-      updatePayload["list_item[board_column_id]"] = columnId
-    }
+    // Move the card right away; the Turbo Stream response replaces it once the server confirms
+    const origin = this.moveCardOptimistically(cardElement, column, beforeItemId)
+    if (focus) cardElement.focus()
 
     // Build the FormData with the update payload
     const formData = new FormData()
@@ -240,7 +517,7 @@ export default class extends Controller {
     formData.append("authenticity_token", this.getCsrfToken())
 
     // Make the PATCH request with Turbo-compatible headers
-    fetch(`/lists/${listId}/items/${itemId}`, {
+    return fetch(`/lists/${listId}/items/${itemId}`, {
       method: "POST",
       body: formData,
       headers: {
@@ -257,14 +534,392 @@ export default class extends Controller {
       Turbo.renderStreamMessage(html)
 
       // Wait for Turbo to finish DOM updates, then re-initialize drag-and-drop
-      // Use setTimeout with 0 to defer to next event loop after Turbo processing
-      requestAnimationFrame(() => {
-        this.initializeDragAndDrop()
-        this.updateColumnCounts()
+      return new Promise(resolve => {
+        requestAnimationFrame(() => {
+          this.initializeDragAndDrop()
+          this.updateColumnCounts()
+
+          // Turbo replaced the card, so give keyboard focus back to the new element
+          if (focus) this.focusCard(itemId)
+          resolve(true)
+        })
       })
     })
     .catch(error => {
       console.error("Error updating item column:", error)
+      this.rollbackMove(cardElement, origin, { focus })
+      return false
+    })
+  }
+
+  // Form fields that put an item into the column. Swimlane fields (assignee, priority)
+  // are only sent when the card changes lane.
+  columnUpdatePayload(column, fromLane) {
+    const columnId = this.getColumnId(column)
+
+    // Determine what status/column to set based on the target column
+    // For items_kanban, columnId will be a parameterized string like "to-do", "in-progress", "done"
+    // For list-specific kanban, columnId will be a UUID
+    const statusMap = {
+      "to-do": "pending",
+      "in-progress": "in_progress",
+      "done": "completed"
+    }
+
+    const payload = {}
+
+    // If columnId matches a status column name (items_kanban), update status
+    if (statusMap[columnId]) {
+      payload["list_item[status]"] = statusMap[columnId]
+      // Clear board_column_id so the turbo_stream response uses the items_kanban branch
+      payload["list_item[board_column_id]"] = ""
+    } else {
+      // Otherwise it's a board column ID (list-specific kanban), update board_column_id
+      payload["list_item[board_column_id]"] = columnId
+    }
+
+    if (column.dataset.laneField && column.dataset.laneValue !== fromLane) {
+      payload[`list_item[${column.dataset.laneField}]`] = column.dataset.laneValue
+    }
+
+    return payload
+  }
+
+  // Returns where the card came from so a failed request can put it back
+  moveCardOptimistically(card, targetColumn, beforeItemId = null) {
+    const origin = { column: card.parentElement, nextSibling: card.nextElementSibling }
+    if (!targetColumn || targetColumn === origin.column) return origin
+
+    this.placeCard(card, targetColumn, beforeItemId)
+    this.updateColumnCounts()
+
+    return origin
+  }
+
+  placeCard(card, column, beforeItemId = null) {
+    const beforeCard = beforeItemId && column.querySelector(`:scope > [data-item-id="${beforeItemId}"]`)
+    // Keep an open inline add form at the bottom of the column
+    const addForm = column.querySelector(":scope > [data-kanban-target='add-form']")
+
+    if (beforeCard !== card) {
+      column.insertBefore(card, beforeCard || addForm)
+    }
+  }
+
+  rollbackMove(card, origin, { focus = false } = {}) {
+    if (!card.isConnected || !origin.column?.isConnected) return
+
+    this.animateCardMove(card, () => {
+      // The original next sibling may have moved too (multi-select), so fall back to the end
+      if (origin.nextSibling && origin.nextSibling.parentElement === origin.column) {
+        origin.column.insertBefore(card, origin.nextSibling)
+      } else {
+        origin.column.appendChild(card)
+      }
+    })
+    this.updateColumnCounts()
+
+    if (focus) card.focus()
+  }
+
+  // Run a DOM move and animate the card from its old to its new spot (FLIP)
+  animateCardMove(card, move) {
+    const first = card.getBoundingClientRect()
+    move()
+    const last = card.getBoundingClientRect()
+
+    if (first.left === last.left && first.top === last.top) return
+    card.animate([
+      { transform: `translate(${first.left - last.left}px, ${first.top - last.top}px)` },
+      { transform: "none" }
+    ], { duration: 300, easing: "ease-out" })
+  }
+
+  getColumnItemIds(column) {
+    return Array.from(column.querySelectorAll(":scope > [data-kanban-target='card']"), card => card.dataset.itemId)
+  }
+
+  // Re-sequence the column's cards to match itemIds; cards not listed keep their place at the top
+  applyColumnOrder(column, itemIds, { animate = false } = {}) {
+    const addForm = column.querySelector(":scope > [data-kanban-target='add-form']")
+
+    itemIds.forEach(itemId => {
+      const card = column.querySelector(`:scope > [data-item-id="${itemId}"]`)
+      if (!card) return
+
+      if (animate) {
+        this.animateCardMove(card, () => column.insertBefore(card, addForm))
+      } else {
+        column.insertBefore(card, addForm)
+      }
+    })
+  }
+
+  // Save the column's visual order through the items reorder endpoint. Positions are
+  // unique per list, so the column's cards swap the positions they already hold.
+  // Resolves with the ids of the lists whose order couldn't be saved.
+  persistColumnOrder(column) {
+    const cardsByList = {}
+    column.querySelectorAll(":scope > [data-kanban-target='card']").forEach(card => {
+      const listId = card.dataset.listId || this.getListId()
+      if (!listId || card.dataset.position === undefined) return
+
+      cardsByList[listId] ||= []
+      cardsByList[listId].push(card)
+    })
+
+    const requests = Object.entries(cardsByList).map(([listId, cards]) => {
+      const availablePositions = cards.map(card => Number(card.dataset.position)).sort((a, b) => a - b)
+      const positions = {}
+      cards.forEach((card, index) => {
+        if (Number(card.dataset.position) !== availablePositions[index]) {
+          positions[card.dataset.itemId] = availablePositions[index]
+        }
+      })
+
+      // Order in this list is already what the server has
+      if (Object.keys(positions).length === 0) return Promise.resolve(null)
+
+      return fetch(`/lists/${listId}/items/reorder`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": this.getCsrfToken()
+        },
+        body: JSON.stringify({ positions })
+      })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+        cards.forEach(card => {
+          if (positions[card.dataset.itemId] !== undefined) {
+            card.dataset.position = positions[card.dataset.itemId]
+          }
+        })
+        return null
+      })
+      .catch(error => {
+        console.error("Error reordering items:", error)
+        return listId
+      })
+    })
+
+    return Promise.all(requests).then(listIds => listIds.filter(Boolean))
+  }
+
+  // Put the cards of the given lists back in their saved order, in the slots they hold
+  // now; cards from other lists (whose order was saved) stay where they are
+  revertColumnOrder(column, listIds) {
+    const cards = Array.from(column.querySelectorAll(":scope > [data-kanban-target='card']"))
+    const reverted = cards.filter(card => {
+      return card.dataset.position !== undefined && listIds.includes(card.dataset.listId || this.getListId())
+    })
+    const savedOrder = [...reverted].sort((a, b) => Number(a.dataset.position) - Number(b.dataset.position))
+    const order = cards.map(card => reverted.includes(card) ? savedOrder.shift() : card)
+
+    this.applyColumnOrder(column, order.map(card => card.dataset.itemId), { animate: true })
+  }
+
+  focusCard(itemId) {
+    if (!itemId) return
+    this.element.querySelector(`[data-item-id="${itemId}"]`)?.focus()
+  }
+
+  // Every drop zone of a board column; more than one when the board has swimlanes
+  getColumnCells(columnId) {
+    return this.columnTargets.filter(column => this.getColumnId(column) === columnId)
+  }
+
+  getWipLimit(column) {
+    const countDisplay = this.getCountDisplay(column)
+    return {
+      limit: parseInt(countDisplay?.dataset.wipLimit, 10) || null,
+      enforced: countDisplay?.dataset.wipEnforced === "true"
+    }
+  }
+
+  wouldExceedWipLimit(column, itemIds) {
+    const { limit, enforced } = this.getWipLimit(column)
+    if (!limit || !enforced) return false
+
+    const cells = this.getColumnCells(this.getColumnId(column))
+    const currentItemIds = cells.flatMap(cell => this.getColumnItemIds(cell))
+    const incomingCount = itemIds.filter(itemId => !currentItemIds.includes(itemId)).length
+
+    return incomingCount > 0 && currentItemIds.length + incomingCount > limit
+  }
+
+  // Shift/Cmd/Ctrl-click toggles a card in the multi-selection
+  handleCardClick(event) {
+    if (!event.shiftKey && !event.metaKey && !event.ctrlKey) return
+
+    const card = event.target.closest("[data-kanban-target='card']")
+    if (!card) return
+
+    // Leave modified clicks on links and buttons alone (e.g. open in new tab)
+    if (event.target.closest("a, button, form, input, textarea, select")) return
+
+    event.preventDefault()
+    this.toggleSelection(card)
+  }
+
+  handleCardKeyDown(event) {
+    const card = event.currentTarget
+    // Only react when the card itself has focus, not a link or button inside it
+    if (event.target !== card) return
+
+    switch (event.key) {
+      case "ArrowLeft":
+      case "ArrowRight":
+        event.preventDefault()
+        this.moveCardToAdjacentColumn(card, event.key === "ArrowLeft" ? -1 : 1)
+        break
+      case "ArrowUp":
+      case "ArrowDown":
+        event.preventDefault()
+        if (event.altKey) {
+          this.moveCardWithinColumn(card, event.key === "ArrowUp" ? -1 : 1)
+        } else {
+          this.focusAdjacentCard(card, event.key === "ArrowUp" ? -1 : 1)
+        }
+        break
+      case " ":
+        event.preventDefault()
+        this.toggleSelection(card)
+        break
+      case "Escape":
+        if (this.selectedItemIds.size > 0) {
+          event.preventDefault()
+          this.clearSelection()
+          this.announce("Selection cleared.")
+        }
+        break
+    }
+  }
+
+  moveCardToAdjacentColumn(card, direction) {
+    const currentColumn = card.closest("[data-kanban-target='column']")
+    // With swimlanes every lane has its own cells; stay in the card's lane
+    const columns = this.columnTargets.filter(column => {
+      return column.dataset.laneField === currentColumn.dataset.laneField &&
+        column.dataset.laneValue === currentColumn.dataset.laneValue
+    })
+    const targetColumn = columns[columns.indexOf(currentColumn) + direction]
+
+    if (!targetColumn) {
+      this.announce(`Already in the ${direction < 0 ? "first" : "last"} column.`)
+      return
+    }
+
+    this.moveCards(this.itemIdsToMove(card), targetColumn, { focusItemId: card.dataset.itemId })
+  }
+
+  moveCardWithinColumn(card, direction) {
+    const column = card.closest("[data-kanban-target='column']")
+    const cards = Array.from(column.querySelectorAll(":scope > [data-kanban-target='card']"))
+    const index = cards.indexOf(card)
+
+    if (index + direction < 0 || index + direction >= cards.length) {
+      this.announce(`Already at the ${direction < 0 ? "top" : "bottom"} of ${this.getColumnName(column)}.`)
+      return
+    }
+
+    // Moving up lands before the previous card, moving down before the card after the next one
+    const beforeCard = direction < 0 ? cards[index - 1] : cards[index + 2]
+    this.moveCards([card.dataset.itemId], column, {
+      focusItemId: card.dataset.itemId,
+      beforeItemId: beforeCard?.dataset.itemId
+    })
+  }
+
+  focusAdjacentCard(card, direction) {
+    const column = card.closest("[data-kanban-target='column']")
+    const cards = Array.from(column.querySelectorAll("[data-kanban-target='card']"))
+    cards[cards.indexOf(card) + direction]?.focus()
+  }
+
+  toggleSelection(card) {
+    const itemId = card.dataset.itemId
+    if (this.selectedItemIds.has(itemId)) {
+      this.selectedItemIds.delete(itemId)
+    } else {
+      this.selectedItemIds.add(itemId)
+    }
+    this.renderSelection(card)
+
+    const count = this.selectedItemIds.size
+    this.announce(count === 0 ? "No cards selected." : `${count} ${count === 1 ? "card" : "cards"} selected.`)
+  }
+
+  clearSelection() {
+    this.selectedItemIds.clear()
+    this.cardTargets.forEach(card => this.renderSelection(card))
+  }
+
+  renderSelection(card) {
+    const selected = this.selectedItemIds.has(card.dataset.itemId)
+    card.classList.toggle("selected", selected)
+    card.setAttribute("aria-selected", selected)
+  }
+
+  // A selected card drags the whole selection along, an unselected one moves alone
+  itemIdsToMove(card) {
+    if (!this.selectedItemIds.has(card.dataset.itemId)) return [card.dataset.itemId]
+
+    return this.cardTargets
+      .map(selectedCard => selectedCard.dataset.itemId)
+      .filter(itemId => this.selectedItemIds.has(itemId))
+  }
+
+  getColumnId(column) {
+    // Try data attribute first (for list-specific kanban),
+    // then fall back to extracting from the element ID (for items_kanban)
+    let columnId = column.dataset.columnId
+    if (!columnId && column.id) {
+      // Extract from id like "column_to-do" or "column_<uuid>"
+      columnId = column.id.replace("column_", "")
+    }
+    return columnId
+  }
+
+  getColumnName(column) {
+    if (column.dataset.columnName) return column.dataset.columnName
+
+    const title = column.closest(".kanban-column")?.querySelector(".kanban-column-title")
+    return title?.firstChild?.textContent.trim() || "column"
+  }
+
+  getCardTitle(itemId) {
+    const card = this.element.querySelector(`[data-item-id="${itemId}"]`)
+    return card?.querySelector(".kanban-card-title")?.textContent.trim() || "card"
+  }
+
+  createLiveRegion() {
+    // Polite status region for move and selection announcements
+    this.liveRegion = document.createElement("div")
+    this.liveRegion.className = "sr-only"
+    this.liveRegion.setAttribute("role", "status")
+    this.liveRegion.setAttribute("aria-live", "polite")
+    this.element.appendChild(this.liveRegion)
+
+    // Shared description read out when a card receives focus
+    this.instructions = document.createElement("p")
+    this.instructions.id = `kanban-instructions-${Math.random().toString(36).slice(2, 10)}`
+    this.instructions.className = "sr-only"
+    this.instructions.textContent = "Press Left or Right arrow to move the card to another column, " +
+      "Up or Down arrow to move between cards, Alt with Up or Down arrow to reorder it, " +
+      "Space to add it to the selection, Escape to clear the selection."
+    this.element.appendChild(this.instructions)
+  }
+
+  announce(message) {
+    if (!this.liveRegion) return
+
+    // Clear first so repeating the same message is still announced
+    this.liveRegion.textContent = ""
+    requestAnimationFrame(() => {
+      this.liveRegion.textContent = message
     })
   }
 
@@ -284,33 +939,180 @@ export default class extends Controller {
 
   toggleAddForm(event) {
     const columnId = event.currentTarget.dataset.kanbanColumnId
-    const column = this.element.querySelector(`[data-column-id="${columnId}"]`)
+    // With swimlanes the form opens in the column's first lane
+    const column = this.getColumnCells(columnId)[0]
 
     if (!column) return
 
-    // Toggle visibility of form (simple implementation)
+    // Toggle visibility of form
     const existingForm = column.querySelector("[data-kanban-target='add-form']")
     if (existingForm) {
       existingForm.remove()
       return
     }
 
-    // Create a simple inline add form
+    // Create an inline add form; Enter adds and keeps it open, Shift+Enter starts another
+    // card on a new line, Escape closes it
     const form = document.createElement("div")
     form.setAttribute("data-kanban-target", "add-form")
     form.className = "bg-gray-50 border-t border-gray-200 p-3 rounded-b-lg"
     form.innerHTML = `
-      <form class="space-y-2">
-        <input type="text" placeholder="Item title..." class="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent" required>
+      <form class="space-y-2" data-action="submit->kanban#submitAddForm">
+        <textarea rows="1" placeholder="Item title..." aria-label="New card title"
+                  class="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  data-action="keydown.esc->kanban#closeAddForm keydown.enter->kanban#submitAddFormOnEnter paste->kanban#pasteIntoAddForm" required></textarea>
+        <p class="text-xs text-ink-muted hidden" data-role="status" aria-live="polite"></p>
         <div class="flex gap-2">
           <button type="submit" class="flex-1 px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700">Add</button>
-          <button type="button" class="flex-1 px-3 py-1.5 text-xs text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+          <button type="button" class="flex-1 px-3 py-1.5 text-xs text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50" data-action="kanban#closeAddForm">Cancel</button>
         </div>
       </form>
     `
 
     column.appendChild(form)
-    form.querySelector("input").focus()
+    form.querySelector("textarea").focus()
+  }
+
+  closeAddForm(event) {
+    event.preventDefault()
+    event.target.closest("[data-kanban-target='add-form']")?.remove()
+  }
+
+  submitAddForm(event) {
+    event.preventDefault()
+
+    const addForm = event.target.closest("[data-kanban-target='add-form']")
+    const input = addForm.querySelector("textarea")
+    const titles = this.parseCardTitles(input.value)
+    if (titles.length === 0) return
+
+    this.fillAddForm(addForm, [])
+    this.createCards(titles, addForm)
+  }
+
+  submitAddFormOnEnter(event) {
+    if (event.shiftKey || event.isComposing) return
+
+    event.preventDefault()
+    event.target.form.requestSubmit()
+  }
+
+  // Pasting several lines creates one card per line
+  pasteIntoAddForm(event) {
+    const text = event.clipboardData?.getData("text/plain") || ""
+    const titles = this.parseCardTitles(text)
+
+    if (titles.length < 2) return
+
+    event.preventDefault()
+    this.createCards(titles, event.target.closest("[data-kanban-target='add-form']"))
+  }
+
+  // One title per line, without list markers
+  parseCardTitles(text) {
+    return text.split(/\r?\n/)
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, "").trim())
+      .filter(Boolean)
+  }
+
+  // Put titles that weren't added back in the form, one per line
+  fillAddForm(addForm, titles) {
+    const input = addForm.querySelector("textarea")
+    input.value = titles.join("\n")
+    input.rows = Math.min(Math.max(titles.length, 1), 6)
+  }
+
+  // Create cards one after another so they keep the pasted order
+  async createCards(titles, addForm) {
+    const column = addForm.closest("[data-kanban-target='column']")
+    const input = addForm.querySelector("textarea")
+    if (!column) return
+
+    // Boards that span several lists don't know which list a new card belongs to
+    const listId = this.getListId()
+    if (!listId) {
+      this.setAddFormStatus(addForm, "Couldn't tell which list to add to. Add cards from the list's own board.")
+      this.fillAddForm(addForm, titles)
+      return
+    }
+
+    const { limit, enforced } = this.getWipLimit(column)
+    if (enforced && limit) {
+      const currentCount = this.getColumnCells(this.getColumnId(column))
+        .reduce((total, cell) => total + this.getColumnItemIds(cell).length, 0)
+      if (currentCount + titles.length > limit) {
+        this.setAddFormStatus(addForm, `${this.getColumnName(column)} is at its WIP limit of ${limit}.`)
+        this.fillAddForm(addForm, titles)
+        return
+      }
+    }
+
+    let createdCount = 0
+    for (const title of titles) {
+      if (titles.length > 1) {
+        this.setAddFormStatus(addForm, `Adding ${createdCount + 1} of ${titles.length}…`)
+      }
+
+      try {
+        await this.createCard(listId, column, title)
+        createdCount++
+      } catch (error) {
+        console.error("Error creating item:", error)
+        // Keep every title that wasn't added, not just the one that failed
+        this.fillAddForm(addForm, titles.slice(createdCount))
+        this.setAddFormStatus(addForm, createdCount > 0
+          ? `Added ${createdCount} of ${titles.length} cards. Couldn't add "${title}".`
+          : `Couldn't add "${title}".`)
+        break
+      }
+    }
+
+    requestAnimationFrame(() => {
+      // Turbo appends new cards after the form, keep the form at the bottom
+      if (addForm.isConnected) column.appendChild(addForm)
+      this.initializeDragAndDrop()
+      this.updateColumnCounts()
+
+      if (createdCount === titles.length) this.setAddFormStatus(addForm, "")
+      if (createdCount > 0) {
+        this.announce(createdCount === 1 ? `Added ${titles[0]}.` : `Added ${createdCount} cards.`)
+      }
+      input.focus()
+    })
+  }
+
+  createCard(listId, column, title) {
+    const formData = new FormData()
+    formData.append("list_item[title]", title)
+    if (column.dataset.columnId) {
+      formData.append("list_item[board_column_id]", column.dataset.columnId)
+    }
+    if (column.dataset.laneField && column.dataset.laneValue) {
+      formData.append(`list_item[${column.dataset.laneField}]`, column.dataset.laneValue)
+    }
+    formData.append("authenticity_token", this.getCsrfToken())
+
+    return fetch(`/lists/${listId}/items`, {
+      method: "POST",
+      body: formData,
+      headers: {
+        "Accept": "text/vnd.turbo-stream.html",
+        "X-Requested-With": "XMLHttpRequest"
+      }
+    })
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      return response.text()
+    })
+    .then(html => Turbo.renderStreamMessage(html))
+  }
+
+  setAddFormStatus(addForm, message) {
+    const status = addForm.querySelector("[data-role='status']")
+    if (!status) return
+
+    status.textContent = message
+    status.classList.toggle("hidden", !message)
   }
 
   scrollToAdd() {
@@ -318,22 +1120,36 @@ export default class extends Controller {
     const addForm = document.querySelector("[data-kanban-target='add-form']")
     if (addForm) {
       addForm.scrollIntoView({ behavior: "smooth" })
-      addForm.querySelector("input")?.focus()
+      addForm.querySelector("textarea")?.focus()
     }
   }
 
   updateColumnCounts() {
-    // Get all columns and update their item counts
-    const columns = this.element.querySelectorAll("[data-kanban-target='column']")
-    columns.forEach(column => {
-      const columnId = column.dataset.columnId
-      const itemCount = column.querySelectorAll("[data-kanban-target='card']").length
+    // Get all columns and update their item counts (swimlane cells add up per column)
+    const counted = new Set()
+    this.columnTargets.forEach(column => {
+      const columnId = this.getColumnId(column)
+      if (counted.has(columnId)) return
+      counted.add(columnId)
 
-      // Update the count display
-      const countDisplay = this.element.querySelector(`.column-count[data-column-id="${columnId}"]`)
+      const itemCount = this.getColumnCells(columnId)
+        .reduce((total, cell) => total + cell.querySelectorAll("[data-kanban-target='card']").length, 0)
+
+      // Update the count display in the column header
+      const countDisplay = this.getCountDisplay(column)
       if (countDisplay) {
-        countDisplay.textContent = itemCount
+        const { limit } = this.getWipLimit(column)
+        countDisplay.textContent = limit ? `${itemCount} / ${limit}` : itemCount
+        countDisplay.classList.toggle("at-limit", !!limit && itemCount === limit)
+        countDisplay.classList.toggle("over-limit", !!limit && itemCount > limit)
       }
     })
   }
+
+  getCountDisplay(column) {
+    const columnId = this.getColumnId(column)
+    return this.element.querySelector(`#column-count-${CSS.escape(columnId)}`) ||
+      column.closest(".kanban-column")?.querySelector(".kanban-column-count")
+  }
+
 }
@@ -3,11 +3,27 @@ import { Controller } from "@hotwired/stimulus"
 
 export default class extends Controller {
   connect() {
-    document.addEventListener('keydown', this.handleKeydown.bind(this))
+    this.boundHandleKeydown = this.handleKeydown.bind(this)
+    this.boundRegisterCommands = this.registerCommands.bind(this)
+    document.addEventListener('keydown', this.boundHandleKeydown)
+    document.addEventListener('spotlight:commands', this.boundRegisterCommands)
   }
 
   disconnect() {
-    document.removeEventListener('keydown', this.handleKeydown.bind(this))
+    document.removeEventListener('keydown', this.boundHandleKeydown)
+    document.removeEventListener('spotlight:commands', this.boundRegisterCommands)
+  }
+
+  // Commands for the spotlight palette that share a shortcut with this controller
+  registerCommands(event) {
+    event.detail.register({
+      id: 'create-list',
+      title: 'Create list',
+      section: 'Lists',
+      keywords: ['new'],
+      shortcut: 'Mod+N',
+      perform: () => Turbo.visit('/lists/new')
+    })
   }
 
   handleKeydown(event) {
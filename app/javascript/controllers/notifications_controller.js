@@ -12,6 +12,10 @@ export default class extends Controller {
     // Only initialize if all required targets exist
     if (this.hasAllRequiredTargets()) {
       this.startAutoRefresh()
+
+      // Push notifications received or opened (see service_worker_controller.js)
+      this.boundRefresh = this.refreshNotificationCount.bind(this)
+      document.addEventListener('notifications:changed', this.boundRefresh)
     } else {
       console.log("[Notifications] Skipping init - missing required targets")
     }
@@ -19,6 +23,10 @@ export default class extends Controller {
 
   disconnect() {
     this.stopAutoRefresh()
+
+    if (this.boundRefresh) {
+      document.removeEventListener('notifications:changed', this.boundRefresh)
+    }
   }
 
   /**
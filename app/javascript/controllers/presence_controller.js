@@ -0,0 +1,269 @@
+// app/javascript/controllers/presence_controller.js
+import { Controller } from "@hotwired/stimulus"
+import { cable } from "@hotwired/turbo-rails"
+
+// Presence for a shared list over ListPresenceChannel: avatars of everyone viewing it,
+// a marker on the item each of them is editing (see inline_edit_controller), and
+// active / idle / away states.
+const HEARTBEAT_INTERVAL = 25000
+const PEER_TIMEOUT = 60000
+const IDLE_AFTER = 60000
+const STATE_RANK = { active: 0, idle: 1, away: 2 }
+
+export default class extends Controller {
+  static targets = ["avatars"]
+  static values = {
+    listId: String,
+    userId: String
+  }
+
+  connect() {
+    // Stimulus reconnects the same instance when the element is moved or re-inserted
+    this.disconnected = false
+    this.connectionId = crypto.randomUUID()
+    this.peers = new Map()
+    this.state = document.hidden ? "away" : "active"
+    this.editingItemId = null
+
+    this.boundActivity = this.handleActivity.bind(this)
+    this.boundVisibilityChange = this.handleVisibilityChange.bind(this)
+    this.boundEditing = this.handleEditing.bind(this)
+    this.boundItemsChanged = this.renderEditingMarkers.bind(this)
+
+    ;["mousemove", "keydown", "pointerdown", "scroll"].forEach(type => {
+      document.addEventListener(type, this.boundActivity, { passive: true })
+    })
+    document.addEventListener("visibilitychange", this.boundVisibilityChange)
+    document.addEventListener("presence:editing", this.boundEditing)
+    document.addEventListener("realtime:items-changed", this.boundItemsChanged)
+    document.addEventListener("turbo:frame-render", this.boundItemsChanged)
+
+    this.subscribe()
+    this.resetIdleTimer()
+  }
+
+  disconnect() {
+    ;["mousemove", "keydown", "pointerdown", "scroll"].forEach(type => {
+      document.removeEventListener(type, this.boundActivity)
+    })
+    document.removeEventListener("visibilitychange", this.boundVisibilityChange)
+    document.removeEventListener("presence:editing", this.boundEditing)
+    document.removeEventListener("realtime:items-changed", this.boundItemsChanged)
+    document.removeEventListener("turbo:frame-render", this.boundItemsChanged)
+
+    this.disconnected = true
+    clearInterval(this.heartbeatInterval)
+    clearTimeout(this.idleTimeout)
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  async subscribe() {
+    const consumer = window.consumer || await cable.getConsumer()
+    // Disconnected meanwhile, or a quick reconnect already subscribed
+    if (this.disconnected || this.subscription) return
+
+    this.subscription = consumer.subscriptions.create(
+      { channel: "ListPresenceChannel", list_id: this.listIdValue },
+      {
+        connected: () => {
+          this.announce({ hello: true })
+          clearInterval(this.heartbeatInterval)
+          this.heartbeatInterval = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL)
+        },
+        disconnected: () => {
+          clearInterval(this.heartbeatInterval)
+          // Whoever we saw may have left while we were gone
+          this.peers.clear()
+          this.render()
+        },
+        received: (data) => this.handlePresenceEvent(data)
+      }
+    )
+  }
+
+  announce({ hello = false } = {}) {
+    this.subscription?.perform("announce", {
+      connection_id: this.connectionId,
+      state: this.state,
+      editing_item_id: this.editingItemId,
+      hello
+    })
+  }
+
+  heartbeat() {
+    this.announce()
+
+    // Forget tabs that stopped announcing (closed laptop, lost connection)
+    const now = Date.now()
+    let changed = false
+    this.peers.forEach((peer, connectionId) => {
+      if (now - peer.seenAt > PEER_TIMEOUT) {
+        this.peers.delete(connectionId)
+        changed = true
+      }
+    })
+    if (changed) this.render()
+  }
+
+  handlePresenceEvent(data) {
+    if (data.connection_id === this.connectionId) return
+
+    switch (data.type) {
+      case "presence":
+        this.peers.set(data.connection_id, {
+          user: data.user,
+          state: data.state,
+          editingItemId: data.editing_item_id,
+          seenAt: Date.now()
+        })
+        if (data.hello) this.announce()
+        break
+      case "left":
+        this.peers.delete(data.connection_id)
+        break
+      default:
+        return
+    }
+
+    this.render()
+  }
+
+  // Local state
+
+  handleActivity() {
+    if (document.hidden) return
+
+    this.resetIdleTimer()
+    this.setState("active")
+  }
+
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.setState("away")
+    } else {
+      this.resetIdleTimer()
+      this.setState("active")
+    }
+  }
+
+  resetIdleTimer() {
+    clearTimeout(this.idleTimeout)
+    this.idleTimeout = setTimeout(() => {
+      if (!document.hidden) this.setState("idle")
+    }, IDLE_AFTER)
+  }
+
+  setState(state) {
+    if (this.state === state) return
+
+    this.state = state
+    this.announce()
+  }
+
+  // Dispatched by inline_edit_controller when an inline form opens (itemId) or closes (null)
+  handleEditing(event) {
+    const { itemId } = event.detail
+    if (itemId === null && this.editingItemId !== event.detail.previousItemId) return
+
+    this.editingItemId = itemId
+    this.announce()
+    this.renderConflictWarning()
+  }
+
+  // Rendering
+
+  render() {
+    this.renderAvatars()
+    this.renderEditingMarkers()
+    this.renderConflictWarning()
+  }
+
+  // One avatar per person, showing the most present of their tabs
+  viewers() {
+    const viewers = new Map()
+    this.peers.forEach(peer => {
+      if (peer.user.id === this.userIdValue) return
+
+      const viewer = viewers.get(peer.user.id)
+      if (!viewer || STATE_RANK[peer.state] < STATE_RANK[viewer.state]) {
+        viewers.set(peer.user.id, { user: peer.user, state: peer.state })
+      }
+    })
+    return Array.from(viewers.values())
+  }
+
+  renderAvatars() {
+    if (!this.hasAvatarsTarget) return
+
+    const viewers = this.viewers()
+    this.avatarsTarget.replaceChildren(...viewers.map(({ user, state }) => this.buildAvatar(user, state)))
+    this.avatarsTarget.classList.toggle("hidden", viewers.length === 0)
+    this.avatarsTarget.setAttribute("aria-label",
+      viewers.length === 1 ? "1 other person viewing" : `${viewers.length} other people viewing`)
+  }
+
+  buildAvatar(user, state) {
+    const avatar = document.createElement("span")
+    avatar.className = `presence-avatar ${state}`
+    avatar.title = state === "active" ? user.name : `${user.name} (${state})`
+
+    if (user.avatar_url) {
+      const image = document.createElement("img")
+      image.src = user.avatar_url
+      image.alt = user.name
+      avatar.appendChild(image)
+    } else {
+      avatar.textContent = this.initials(user.name)
+      avatar.setAttribute("aria-label", avatar.title)
+    }
+    return avatar
+  }
+
+  renderEditingMarkers() {
+    document.querySelectorAll(".presence-editing-marker").forEach(marker => marker.remove())
+
+    const editors = new Map()
+    this.peers.forEach(peer => {
+      if (!peer.editingItemId || peer.user.id === this.userIdValue) return
+
+      const names = editors.get(peer.editingItemId) || new Set()
+      names.add(peer.user.name)
+      editors.set(peer.editingItemId, names)
+    })
+
+    editors.forEach((names, itemId) => {
+      const item = document.getElementById(`list_item_${itemId}`)
+      if (!item) return
+
+      const marker = document.createElement("span")
+      marker.className = "presence-editing-marker"
+      marker.textContent = `${Array.from(names).join(", ")} editing`
+      item.prepend(marker)
+    })
+  }
+
+  // Warn when we open an item someone else already has open
+  renderConflictWarning() {
+    document.querySelectorAll(".presence-conflict-warning").forEach(warning => warning.remove())
+    if (!this.editingItemId) return
+
+    const others = Array.from(this.peers.values())
+      .filter(peer => peer.editingItemId === this.editingItemId && peer.user.id !== this.userIdValue)
+      .map(peer => peer.user.name)
+    if (others.length === 0) return
+
+    const form = document.querySelector(`[data-inline-edit-item-id-value="${CSS.escape(this.editingItemId)}"]`)
+    if (!form) return
+
+    const warning = document.createElement("p")
+    warning.className = "presence-conflict-warning"
+    warning.setAttribute("role", "status")
+    warning.textContent = `${Array.from(new Set(others)).join(", ")} ${others.length === 1 ? "is" : "are"} also editing this item. Saving may overwrite their changes.`
+    form.prepend(warning)
+  }
+
+  initials(name) {
+    return (name || "?").split(/\s+/).map(part => part[0]).join("").toUpperCase().slice(0, 2)
+  }
+}
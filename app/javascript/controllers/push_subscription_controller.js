@@ -0,0 +1,125 @@
+// app/javascript/controllers/push_subscription_controller.js
+import { Controller } from "@hotwired/stimulus"
+
+// Subscribes this browser to Web Push through the registered service worker and
+// stores the subscription with PushSubscriptionsController. The server delivers
+// mentions, assignments and due items; the service worker shows them.
+export default class extends Controller {
+  static targets = ["button", "status"]
+  static values = {
+    publicKey: String,
+    url: String
+  }
+
+  async connect() {
+    if (!this.supported) {
+      this.setStatus("Push notifications aren't supported in this browser")
+      return
+    }
+
+    if (!this.publicKeyValue) {
+      this.setStatus("Push notifications aren't set up on this server yet")
+      return
+    }
+
+    if (Notification.permission === "denied") {
+      this.setStatus("Notifications are blocked for this site in your browser settings")
+      return
+    }
+
+    this.registration = await navigator.serviceWorker.ready
+    this.render(await this.registration.pushManager.getSubscription())
+  }
+
+  get supported() {
+    return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window
+  }
+
+  async toggle() {
+    this.buttonTarget.disabled = true
+
+    try {
+      const subscription = await this.registration.pushManager.getSubscription()
+      if (subscription) {
+        await this.unsubscribe(subscription)
+      } else {
+        await this.subscribe()
+      }
+    } catch (error) {
+      console.error("Push subscription error:", error)
+      this.showError(Notification.permission === "denied"
+        ? "Notifications are blocked for this site in your browser settings"
+        : "Couldn't change push notifications on this device")
+    } finally {
+      this.buttonTarget.disabled = false
+      this.render(await this.registration.pushManager.getSubscription())
+    }
+  }
+
+  async subscribe() {
+    // Must run from the click so the permission prompt is allowed
+    const permission = await Notification.requestPermission()
+    if (permission !== "granted") return
+
+    const subscription = await this.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: this.urlBase64ToUint8Array(this.publicKeyValue)
+    })
+
+    const response = await this.request("POST", { subscription: subscription.toJSON() })
+    if (!response.ok) {
+      // Don't leave a browser subscription the server doesn't know about
+      await subscription.unsubscribe()
+      throw new Error(`Saving subscription failed (${response.status})`)
+    }
+  }
+
+  async unsubscribe(subscription) {
+    await this.request("DELETE", { endpoint: subscription.endpoint })
+    await subscription.unsubscribe()
+  }
+
+  request(method, body) {
+    return fetch(this.urlValue, {
+      method,
+      headers: {
+        "Accept": "application/json",
+        "Content-Type": "application/json",
+        "X-CSRF-Token": document.querySelector('[name="csrf-token"]')?.content
+      },
+      body: JSON.stringify(body)
+    })
+  }
+
+  render(subscription) {
+    this.buttonTarget.classList.remove("hidden")
+    this.buttonTarget.textContent = subscription ? "Turn off on this device" : "Enable on this device"
+    this.setStatus(subscription
+      ? "On for this device: mentions, assignments and items due soon"
+      : "Get mentions, assignments and items due soon on this device")
+  }
+
+  setStatus(text) {
+    this.statusTarget.textContent = text
+  }
+
+  showError(message) {
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: {
+        type: "push-subscription",
+        title: "Push Notifications",
+        message,
+        actions: ["dismiss"],
+        severity: "error",
+        autoHide: true
+      }
+    }))
+  }
+
+  // VAPID keys are base64url; pushManager.subscribe wants the raw bytes
+  urlBase64ToUint8Array(base64String) {
+    const padding = "=".repeat((4 - base64String.length % 4) % 4)
+    const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/")
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+  }
+}
@@ -1,18 +1,51 @@
 // app/javascript/controllers/quick_add_controller.js
 import { Controller } from "@hotwired/stimulus"
 
+// Parses the title as you type, e.g. "Call vendor tomorrow 3pm #ops @maria !high every monday",
+// into the due date, tags, assignee, priority and recurrence fields. Recognized tokens show
+// as chips under the input; removing a chip keeps that text in the title instead. The
+// tokens are taken out of the title when the form is submitted.
+//
+// Pasting several lines offers to create one item per line through the bulk_create
+// endpoint, keeping indentation as nesting and "- [ ]" / "- [x]" as the item's status.
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+
+const WEEKDAY = "(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)"
+const MONTH = "(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)"
+const DATE_PREFIX = "(?:(?:on|by|due)\\s+)?"
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 }
+
+const PRIORITIES = { low: "low", med: "medium", medium: "medium", high: "high", urgent: "urgent", "!!": "high", "!!!": "urgent" }
+const RECURRENCE_LABELS = { daily: "Daily", weekly: "Weekly", biweekly: "Every 2 weeks", monthly: "Monthly", yearly: "Yearly" }
+
+const DEFAULT_HOUR = 9
+const TAB_WIDTH = 4
+
 export default class extends Controller {
-  static targets = ["options", "optionsText", "optionsIcon", "titleInput", "submitButton", "submitText"]
+  static targets = [
+    "options", "optionsText", "optionsIcon", "titleInput", "submitButton", "submitText",
+    "chips", "dueDateInput", "prioritySelect", "tagsInput", "assigneeInput",
+    "bulkPanel", "bulkSummary", "bulkPreview", "bulkCreateButton", "bulkStatus"
+  ]
+  static values = {
+    assignees: { type: Array, default: [] },
+    bulkCreateUrl: String
+  }
 
   connect() {
     this.optionsVisible = false
+    this.dismissed = new Set()
+    this.parsed = this.emptyParse()
+    this.defaults = this.currentFieldValues()
   }
 
   toggleOptions(event) {
     event.preventDefault()
-    
+
     this.optionsVisible = !this.optionsVisible
-    
+
     if (this.optionsVisible) {
       this.optionsTarget.classList.remove("hidden")
       this.optionsTextTarget.textContent = "Less options"
@@ -28,8 +61,466 @@ export default class extends Controller {
     // Submit form on Ctrl/Cmd + Enter
     if ((event.ctrlKey || event.metaKey) && event.key === "Enter") {
       event.preventDefault()
-      this.element.querySelector('form').submit()
+      this.element.querySelector('form').requestSubmit()
+    }
+  }
+
+  // Parsing
+
+  parse() {
+    this.parsed = this.parseTitle(this.titleInputTarget.value)
+    this.applyToFields(this.parsed)
+    this.renderChips(this.parsed)
+  }
+
+  // Runs before Turbo serializes the form: submit the title without the parsed tokens
+  stripTokens() {
+    if (!this.hasTitleInputTarget) return
+
+    const title = this.parsed.title.trim()
+    if (title) this.titleInputTarget.value = title
+  }
+
+  emptyParse(text = "") {
+    return { title: text, due: null, tags: [], assignee: null, priority: null, recurrence: null }
+  }
+
+  parseTitle(text) {
+    const result = this.emptyParse(text)
+    const matches = []
+    const now = new Date()
+
+    // Earlier patterns win where matches overlap ("every monday" before "monday")
+    const claim = (regex, build) => {
+      for (const match of text.matchAll(regex)) {
+        const start = match.index
+        const end = start + match[0].length
+        const raw = match[0].trim()
+
+        if (this.dismissed.has(raw.toLowerCase())) continue
+        if (matches.some(other => start < other.end && end > other.start)) continue
+
+        const token = build(match)
+        if (token) matches.push({ start, end, raw, ...token })
+      }
+    }
+
+    claim(new RegExp(`\\bevery\\s+(other\\s+)?${WEEKDAY}\\b`, "gi"), match => ({
+      type: "recurrence",
+      rule: match[1] ? "biweekly" : "weekly",
+      date: this.nextWeekday(now, this.weekdayIndex(match[2]), false)
+    }))
+    claim(/\bevery\s+(day|week|other\s+week|2\s+weeks|two\s+weeks|month|year)\b/gi, match => ({
+      type: "recurrence",
+      rule: { day: "daily", week: "weekly", month: "monthly", year: "yearly" }[match[1].toLowerCase()] || "biweekly"
+    }))
+
+    claim(/(?<=^|\s)(?:!(low|med|medium|high|urgent)\b|(!!!?)(?=\s|$))/gi, match => ({
+      type: "priority",
+      value: PRIORITIES[(match[1] || match[2]).toLowerCase()]
+    }))
+    claim(/(?<=^|\s)#([\p{L}\p{N}_-]+)/gu, match => ({ type: "tag", name: match[1] }))
+    claim(/(?<=^|\s)@([\p{L}\p{N}._-]+)/gu, match => {
+      const user = this.findAssignee(match[1])
+      return user && { type: "assignee", user }
+    })
+
+    claim(new RegExp(`\\b${DATE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)\\b`, "gi"), match => {
+      const word = match[1].toLowerCase()
+      const date = this.startOfDay(now)
+      if (word.startsWith("tom") || word.startsWith("tm")) date.setDate(date.getDate() + 1)
+      return { type: "date", date, hour: word === "tonight" ? 20 : null }
+    })
+    claim(/\bnext\s+week\b/gi, () => ({ type: "date", date: this.nextWeekday(now, 1, true) }))
+    claim(new RegExp(`\\b${DATE_PREFIX}(next\\s+)?${WEEKDAY}\\b`, "gi"), match => ({
+      type: "date",
+      date: this.nextWeekday(now, this.weekdayIndex(match[2]), Boolean(match[1]))
+    }))
+    claim(/\bin\s+(\d+|an?|one|two|three|four|five|six)\s+(day|week|month)s?\b/gi, match => {
+      const amount = NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10)
+      const date = this.startOfDay(now)
+      const unit = match[2].toLowerCase()
+      if (unit === "day") date.setDate(date.getDate() + amount)
+      if (unit === "week") date.setDate(date.getDate() + amount * 7)
+      if (unit === "month") date.setMonth(date.getMonth() + amount)
+      return { type: "date", date }
+    })
+    claim(new RegExp(`\\b${DATE_PREFIX}${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, "gi"), match => (
+      this.calendarDate(now, match[3], this.monthIndex(match[1]), parseInt(match[2], 10))
+    ))
+    claim(new RegExp(`\\b${DATE_PREFIX}(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH}\\b(?:\\s+(\\d{4})\\b)?`, "gi"), match => (
+      this.calendarDate(now, match[3], this.monthIndex(match[2]), parseInt(match[1], 10))
+    ))
+    claim(new RegExp(`\\b${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})\\b`, "g"), match => (
+      this.calendarDate(now, match[1], parseInt(match[2], 10) - 1, parseInt(match[3], 10))
+    ))
+    claim(new RegExp(`\\b${DATE_PREFIX}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?\\b`, "g"), match => (
+      this.calendarDate(now, match[3], parseInt(match[1], 10) - 1, parseInt(match[2], 10))
+    ))
+
+    claim(/\b(?:at\s+)?(noon|midnight)\b/gi, match => ({ type: "time", hour: match[1].toLowerCase() === "noon" ? 12 : 0, minute: 0 }))
+    claim(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/gi, match => this.timeToken(match[1], match[2], match[3]))
+    claim(/\bat\s+(\d{1,2})(?::(\d{2}))?\b/gi, match => this.timeToken(match[1], match[2]))
+    claim(/\b(\d{1,2}):(\d{2})\b/g, match => this.timeToken(match[1], match[2]))
+
+    matches.forEach(match => {
+      switch (match.type) {
+        case "tag":
+          if (!result.tags.some(tag => tag.name.toLowerCase() === match.name.toLowerCase())) result.tags.push(match)
+          break
+        case "assignee":
+        case "priority":
+        case "recurrence":
+          result[match.type] ||= match
+          break
+      }
+    })
+    result.due = this.buildDue(matches, now)
+
+    const used = matches.filter(match => this.isApplied(result, match))
+    result.title = this.removeRanges(text, used)
+    return result
+  }
+
+  // Combines the date (or the recurrence's weekday) and time tokens into one due date
+  buildDue(matches, now) {
+    const dateToken = matches.find(match => match.type === "date")
+    const timeToken = matches.find(match => match.type === "time")
+    const anchor = matches.find(match => match.type === "recurrence" && match.date)
+    if (!dateToken && !timeToken && !anchor) return null
+
+    const date = new Date((dateToken || anchor)?.date || this.startOfDay(now))
+    if (timeToken) {
+      date.setHours(timeToken.hour, timeToken.minute, 0, 0)
+      // "3pm" on its own means the next 3pm
+      if (!dateToken && !anchor && date < now) date.setDate(date.getDate() + 1)
+    } else {
+      date.setHours(dateToken?.hour ?? DEFAULT_HOUR, 0, 0, 0)
+    }
+
+    return { date, raws: [dateToken, timeToken].filter(Boolean).map(token => token.raw), tokens: [dateToken, timeToken].filter(Boolean) }
+  }
+
+  isApplied(result, match) {
+    switch (match.type) {
+      // Repeated tags are dropped from the title too
+      case "tag": return result.tags.some(tag => tag.name.toLowerCase() === match.name.toLowerCase())
+      case "date":
+      case "time": return result.due?.tokens.includes(match)
+      default: return result[match.type] === match
+    }
+  }
+
+  removeRanges(text, matches) {
+    let title = text
+    matches.slice().sort((a, b) => b.start - a.start).forEach(match => {
+      title = title.slice(0, match.start) + " " + title.slice(match.end)
+    })
+    return title.replace(/\s{2,}/g, " ").trim()
+  }
+
+  // Matches "@maria" against first names, full names without spaces and email names
+  findAssignee(handle) {
+    const needle = handle.toLowerCase()
+    const keys = user => [
+      (user.name || "").split(/\s+/)[0],
+      (user.name || "").replace(/\s+/g, ""),
+      (user.email || "").split("@")[0]
+    ].map(key => key.toLowerCase()).filter(Boolean)
+
+    const exact = this.assigneesValue.filter(user => keys(user).includes(needle))
+    if (exact.length === 1) return exact[0]
+
+    const partial = this.assigneesValue.filter(user => keys(user).some(key => key.startsWith(needle)))
+    return partial.length === 1 ? partial[0] : null
+  }
+
+  // Multi-line paste
+
+  handlePaste(event) {
+    const text = event.clipboardData?.getData("text/plain") || ""
+    const items = this.parsePastedLines(text)
+    if (items.length < 2 || !this.hasBulkPanelTarget) return
+
+    event.preventDefault()
+    this.pastedText = text
+    this.pastedItems = items
+    this.showBulkPanel(items)
+  }
+
+  // One item per non-empty line; an indented line is a child of the closest less-indented line above
+  parsePastedLines(text) {
+    const items = []
+    const parents = []
+
+    text.split(/\r?\n/).forEach(line => {
+      const expanded = line.replace(/\t/g, " ".repeat(TAB_WIDTH))
+      const indent = expanded.match(/^\s*/)[0].length
+      let title = expanded.trim()
+        .replace(/^(?:[-*+•‣◦]|\d+[.)])\s+/, "")
+
+      let status = "pending"
+      const checkbox = title.match(/^\[([ xX])\]\s*/)
+      if (checkbox) {
+        status = checkbox[1] === " " ? "pending" : "completed"
+        title = title.slice(checkbox[0].length)
+      }
+      title = title.trim()
+      if (!title) return
+
+      while (parents.length && parents[parents.length - 1].indent >= indent) parents.pop()
+      const parent = parents[parents.length - 1]
+
+      items.push({ title, status, parent_index: parent ? parent.index : null, depth: parents.length })
+      parents.push({ indent, index: items.length - 1 })
+    })
+
+    return items
+  }
+
+  showBulkPanel(items) {
+    const completed = items.filter(item => item.status === "completed").length
+    const nested = items.filter(item => item.parent_index !== null).length
+
+    this.bulkCreateButtonTarget.textContent = `Create ${items.length} items`
+    this.bulkCreateButtonTarget.disabled = false
+    this.bulkSummaryTarget.textContent = [
+      `${items.length} lines pasted`,
+      nested > 0 ? `${nested} nested` : null,
+      completed > 0 ? `${completed} already done` : null
+    ].filter(Boolean).join(" · ")
+
+    this.bulkPreviewTarget.replaceChildren(...items.map(item => {
+      const row = document.createElement("li")
+      row.style.paddingLeft = `${item.depth * 1.25}rem`
+      row.textContent = `${item.status === "completed" ? "☑" : "☐"} ${item.title}`
+      if (item.status === "completed") row.classList.add("line-through", "text-ink-muted")
+      return row
+    }))
+
+    this.bulkStatusTarget.textContent = ""
+    this.bulkPanelTarget.hidden = false
+    this.bulkCreateButtonTarget.focus()
+  }
+
+  hideBulkPanel() {
+    if (!this.hasBulkPanelTarget) return
+
+    this.bulkPanelTarget.hidden = true
+    this.pastedItems = null
+    this.pastedText = null
+  }
+
+  // Keep the paste as a single title instead
+  pasteAsOne() {
+    const text = (this.pastedText || "").replace(/\s*\r?\n\s*/g, " ").trim()
+    const input = this.titleInputTarget
+
+    input.setRangeText(text, input.selectionStart, input.selectionEnd, "end")
+    this.hideBulkPanel()
+    input.focus()
+    this.parse()
+  }
+
+  cancelPaste() {
+    this.hideBulkPanel()
+    this.titleInputTarget.focus()
+  }
+
+  async createPastedItems() {
+    if (!this.pastedItems) return
+
+    const items = this.pastedItems.map(({ title, status, parent_index }) => ({ title, status, parent_index }))
+    this.bulkCreateButtonTarget.disabled = true
+    this.bulkStatusTarget.textContent = `Adding ${items.length} items…`
+
+    try {
+      const response = await fetch(this.bulkCreateUrlValue, {
+        method: "POST",
+        headers: {
+          "Accept": "text/vnd.turbo-stream.html",
+          "Content-Type": "application/json",
+          "X-CSRF-Token": document.querySelector('[name="csrf-token"]')?.content
+        },
+        body: JSON.stringify({ items })
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      Turbo.renderStreamMessage(await response.text())
+      this.hideBulkPanel()
+      this.titleInputTarget.focus()
+    } catch (error) {
+      console.error("Error creating pasted items:", error)
+      this.bulkStatusTarget.textContent = "Couldn't add these items. Try again."
+      this.bulkCreateButtonTarget.disabled = false
+    }
+  }
+
+  // Date helpers
+
+  startOfDay(date) {
+    const day = new Date(date)
+    day.setHours(0, 0, 0, 0)
+    return day
+  }
+
+  weekdayIndex(name) {
+    return WEEKDAYS.indexOf(name.slice(0, 3).toLowerCase())
+  }
+
+  monthIndex(name) {
+    return MONTHS.indexOf(name.slice(0, 3).toLowerCase())
+  }
+
+  // "friday" is the coming Friday (today counts); "next friday" is the one in next week
+  nextWeekday(now, weekday, nextWeek) {
+    const date = this.startOfDay(now)
+    let days = (weekday - date.getDay() + 7) % 7
+
+    if (nextWeek) {
+      if (days === 0) days = 7
+      // Weeks start on Monday; days left until Sunday are still this week
+      if (days <= (7 - date.getDay()) % 7) days += 7
     }
+
+    date.setDate(date.getDate() + days)
+    return date
+  }
+
+  // A day without a year is the next time that day comes around
+  calendarDate(now, year, month, day) {
+    if (month < 0 || month > 11 || day < 1 || day > 31) return null
+
+    const fullYear = year ? (year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10)) : now.getFullYear()
+    const date = new Date(fullYear, month, day)
+    if (date.getMonth() !== month) return null
+    if (!year && date < this.startOfDay(now)) date.setFullYear(fullYear + 1)
+
+    return { type: "date", date }
+  }
+
+  timeToken(hourText, minuteText, meridiem) {
+    let hour = parseInt(hourText, 10)
+    const minute = minuteText ? parseInt(minuteText, 10) : 0
+    if (minute > 59) return null
+
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null
+      if (meridiem.toLowerCase() === "pm" && hour !== 12) hour += 12
+      if (meridiem.toLowerCase() === "am" && hour === 12) hour = 0
+    } else if (hour > 23) {
+      return null
+    }
+
+    return { type: "time", hour, minute }
+  }
+
+  // datetime-local value in the browser's time zone
+  formatDateTimeLocal(date) {
+    const pad = number => String(number).padStart(2, "0")
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  }
+
+  // Form fields
+
+  recurrenceSelect() {
+    return this.element.querySelector('select[name$="[recurrence_rule]"]')
+  }
+
+  currentFieldValues() {
+    return {
+      due: this.hasDueDateInputTarget ? this.dueDateInputTarget.value : "",
+      priority: this.hasPrioritySelectTarget ? this.prioritySelectTarget.dataset.customSelectValueValue : "",
+      recurrence: this.recurrenceSelect()?.value || "",
+      tags: this.hasTagsInputTarget ? this.tagsInputTarget.value : "",
+      assignee: this.hasAssigneeInputTarget ? this.assigneeInputTarget.value : ""
+    }
+  }
+
+  // Parsed values override the fields; fields fall back to their defaults once a token is gone
+  applyToFields(parsed) {
+    const values = {
+      due: parsed.due ? this.formatDateTimeLocal(parsed.due.date) : this.defaults.due,
+      priority: parsed.priority?.value || this.defaults.priority,
+      recurrence: parsed.recurrence?.rule || this.defaults.recurrence,
+      tags: parsed.tags.length ? parsed.tags.map(tag => tag.name).join(", ") : this.defaults.tags,
+      assignee: parsed.assignee?.user.id || this.defaults.assignee
+    }
+    const applied = this.appliedValues || this.defaults
+
+    if (this.hasDueDateInputTarget && values.due !== applied.due) {
+      this.setFieldValue(this.dueDateInputTarget, values.due)
+    }
+    if (this.hasPrioritySelectTarget && values.priority !== applied.priority) {
+      // custom_select_controller updates its display and hidden input from this value
+      this.prioritySelectTarget.dataset.customSelectValueValue = values.priority
+    }
+    const recurrenceSelect = this.recurrenceSelect()
+    if (recurrenceSelect && values.recurrence !== applied.recurrence) {
+      this.setFieldValue(recurrenceSelect, values.recurrence)
+    }
+    if (this.hasTagsInputTarget) this.tagsInputTarget.value = values.tags
+    if (this.hasAssigneeInputTarget) this.assigneeInputTarget.value = values.assignee
+
+    this.appliedValues = values
+  }
+
+  setFieldValue(field, value) {
+    field.value = value
+    // Let the calendar collision check and recurrence fields react
+    field.dispatchEvent(new Event("change", { bubbles: true }))
+  }
+
+  // Chips
+
+  renderChips(parsed) {
+    if (!this.hasChipsTarget) return
+
+    const chips = []
+    if (parsed.due) chips.push({ label: `Due ${this.formatDueLabel(parsed.due.date)}`, raws: parsed.due.raws })
+    if (parsed.recurrence) chips.push({ label: RECURRENCE_LABELS[parsed.recurrence.rule], raws: [parsed.recurrence.raw] })
+    if (parsed.priority) chips.push({ label: `${this.capitalize(parsed.priority.value)} priority`, raws: [parsed.priority.raw] })
+    if (parsed.assignee) chips.push({ label: `@${parsed.assignee.user.name}`, raws: [parsed.assignee.raw] })
+    parsed.tags.forEach(tag => chips.push({ label: `#${tag.name}`, raws: [tag.raw] }))
+
+    this.chipsTarget.replaceChildren(...chips.map(chip => this.buildChip(chip)))
+    this.chipsTarget.hidden = chips.length === 0
+  }
+
+  buildChip({ label, raws }) {
+    const chip = document.createElement("span")
+    chip.className = "pill accent"
+
+    const text = document.createElement("span")
+    text.textContent = label
+
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "pill-close"
+    remove.textContent = "×"
+    remove.setAttribute("aria-label", `Keep "${raws.join(" ")}" as text`)
+    remove.addEventListener("click", () => this.dismiss(raws))
+
+    chip.append(text, remove)
+    return chip
+  }
+
+  dismiss(raws) {
+    raws.forEach(raw => this.dismissed.add(raw.toLowerCase()))
+    this.parse()
+    this.titleInputTarget.focus()
+  }
+
+  formatDueLabel(date) {
+    const options = { weekday: "short", month: "short", day: "numeric" }
+    if (date.getHours() !== DEFAULT_HOUR || date.getMinutes() !== 0) {
+      Object.assign(options, { hour: "numeric", minute: "2-digit" })
+    }
+    return date.toLocaleString(undefined, options)
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1)
   }
 
   // Clear errors when user starts typing or submitting
@@ -38,7 +529,7 @@ export default class extends Controller {
     if (errorContainer) {
       errorContainer.innerHTML = ''
     }
-    
+
     // Remove error styling from title input
     if (this.hasTitleInputTarget) {
       this.titleInputTarget.classList.remove('border-red-300', 'focus:border-red-500', 'focus:ring-red-500')
@@ -52,14 +543,21 @@ export default class extends Controller {
     if (form) {
       form.reset()
     }
-    
+
+    // Hidden and parser-filled fields aren't covered by form.reset()
+    this.dismissed.clear()
+    this.parsed = this.emptyParse()
+    this.applyToFields(this.parsed)
+    this.renderChips(this.parsed)
+
     // Clear any error messages
     this.clearError()
-    
+
     if (this.optionsVisible) {
       this.toggleOptions({ preventDefault: () => {} })
     }
-    
+    this.hideBulkPanel()
+
     // Focus back on title input
     if (this.hasTitleInputTarget) {
       // Small delay to ensure form is reset
@@ -67,7 +565,7 @@ export default class extends Controller {
         this.titleInputTarget.focus()
       }, 100)
     }
-    
+
     // Reset submit button text if it was changed
     if (this.hasSubmitTextTarget) {
       this.submitTextTarget.textContent = "Add"
@@ -79,7 +577,7 @@ export default class extends Controller {
     if (this.hasSubmitButtonTarget) {
       this.submitButtonTarget.disabled = true
     }
-    
+
     if (this.hasSubmitTextTarget) {
       this.submitTextTarget.textContent = "Adding..."
     }
@@ -90,9 +588,9 @@ export default class extends Controller {
     if (this.hasSubmitButtonTarget) {
       this.submitButtonTarget.disabled = false
     }
-    
+
     if (this.hasSubmitTextTarget) {
       this.submitTextTarget.textContent = "Add"
     }
   }
-}
\ No newline at end of file
+}
@@ -1,122 +1,200 @@
 // app/javascript/controllers/realtime_controller.js
 import { Controller } from "@hotwired/stimulus"
+import { cable } from "@hotwired/turbo-rails"
 
+// Live collaborative list view over ActionCable (ListChannel)
+// Channel events only say what changed; the items themselves are fetched from
+// updatesUrl so they're rendered with this viewer's permissions. The same
+// fetch catches up on anything missed while disconnected.
 export default class extends Controller {
-  static values = { 
-    listId: String, 
+  static targets = ["items"]
+  static values = {
+    listId: String,
     userId: String,
-    websocketUrl: String 
+    updatesUrl: String,
+    syncedAt: String
   }
 
   connect() {
-    if (this.websocketUrlValue) {
-      this.connectWebSocket()
-    } else {
-      // Fallback to polling for updates
-      this.startPolling()
-    }
+    // Stimulus reconnects the same instance when the element is moved or re-inserted
+    this.disconnected = false
+    this.lastSyncedAt = this.syncedAtValue
+    this.reconnectAttempts = 0
+    this.hasConnected = false
+    this.subscribe()
   }
 
   disconnect() {
-    if (this.websocket) {
-      this.websocket.close()
-    }
-    
-    if (this.pollingInterval) {
-      clearInterval(this.pollingInterval)
-    }
+    this.disconnected = true
+    clearTimeout(this.reconnectTimeout)
+    clearTimeout(this.syncTimeout)
+    this.subscription?.unsubscribe()
+    this.subscription = null
   }
 
-  connectWebSocket() {
-    this.websocket = new WebSocket(this.websocketUrlValue)
-    
-    this.websocket.onopen = () => {
-      console.log('WebSocket connected')
-      // Subscribe to list updates
-      this.websocket.send(JSON.stringify({
-        action: 'subscribe',
-        list_id: this.listIdValue
-      }))
-    }
-    
-    this.websocket.onmessage = (event) => {
-      const data = JSON.parse(event.data)
-      this.handleRealtimeUpdate(data)
-    }
-    
-    this.websocket.onclose = () => {
-      console.log('WebSocket disconnected')
-      // Attempt to reconnect after 3 seconds
-      setTimeout(() => {
-        this.connectWebSocket()
-      }, 3000)
-    }
+  async subscribe() {
+    const consumer = window.consumer || await cable.getConsumer()
+    // Disconnected meanwhile, or a quick reconnect already subscribed
+    if (this.disconnected || this.subscription) return
+
+    this.consumer = consumer
+    this.subscription = consumer.subscriptions.create(
+      { channel: "ListChannel", list_id: this.listIdValue },
+      {
+        connected: () => this.handleConnected(),
+        disconnected: () => this.scheduleReconnect(),
+        rejected: () => this.handleRejected(),
+        received: (data) => this.handleRealtimeUpdate(data)
+      }
+    )
   }
 
-  startPolling() {
-    this.pollingInterval = setInterval(() => {
-      this.checkForUpdates()
-    }, 10000) // Poll every 10 seconds
+  handleConnected() {
+    clearTimeout(this.reconnectTimeout)
+    this.reconnectAttempts = 0
+
+    // Catch up on events missed while the socket was down
+    if (this.hasConnected) this.sync({ announce: true })
+    this.hasConnected = true
   }
 
-  async checkForUpdates() {
-    try {
-      const response = await fetch(`/lists/${this.listIdValue}/updates`, {
-        headers: {
-          'Accept': 'application/json',
-          'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content
-        }
-      })
-      
-      if (response.ok) {
-        const data = await response.json()
-        if (data.updates && data.updates.length > 0) {
-          this.handleUpdates(data.updates)
-        }
-      }
-    } catch (error) {
-      console.error('Error checking for updates:', error)
-    }
+  handleRejected() {
+    // Not allowed to follow this list, retrying won't help
+    clearTimeout(this.reconnectTimeout)
+    console.warn("ListChannel subscription rejected")
+  }
+
+  // Exponential backoff (1s, 2s, 4s … capped at 30s) with a little jitter
+  scheduleReconnect() {
+    if (this.disconnected) return
+
+    clearTimeout(this.reconnectTimeout)
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, 30000) + Math.random() * 500
+    this.reconnectAttempts++
+
+    this.reconnectTimeout = setTimeout(() => {
+      if (this.disconnected) return
+      this.consumer?.ensureActiveConnection()
+      // Keep trying until handleConnected resets the attempts
+      this.scheduleReconnect()
+    }, delay)
   }
 
   handleRealtimeUpdate(data) {
     switch (data.type) {
-      case 'item_updated':
-        this.updateItem(data.item)
+      case "item_created":
+      case "item_updated":
+        this.scheduleSync()
         break
-      case 'item_created':
-        this.addItem(data.item)
-        break
-      case 'item_deleted':
+      case "item_deleted":
         this.removeItem(data.item_id)
         break
-      case 'collaborator_joined':
-        this.showNotification(`${data.user.name} joined the list`)
-        break
-      case 'collaborator_left':
-        this.showNotification(`${data.user.name} left the list`)
+      case "items_reordered":
+        this.reorderItems(data.positions)
         break
     }
   }
 
-  updateItem(item) {
-    const itemElement = document.getElementById(`list_item_${item.id}`)
-    if (itemElement) {
-      // Highlight the updated item
-      itemElement.classList.add('bg-yellow-50', 'border-yellow-200')
-      setTimeout(() => {
-        itemElement.classList.remove('bg-yellow-50', 'border-yellow-200')
-      }, 2000)
+  // Bursts of events (e.g. a bulk update) collapse into one fetch
+  scheduleSync() {
+    clearTimeout(this.syncTimeout)
+    this.syncTimeout = setTimeout(() => this.sync(), 150)
+  }
+
+  async sync({ announce = false } = {}) {
+    if (!this.updatesUrlValue) return
+
+    const url = new URL(this.updatesUrlValue, window.location.origin)
+    if (this.lastSyncedAt) url.searchParams.set("since", this.lastSyncedAt)
+
+    try {
+      const response = await fetch(url, {
+        headers: { "Accept": "application/json" }
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      const changedCount = this.applyItems(data.items) + this.applyItemIds(data.item_ids)
+      this.lastSyncedAt = data.server_time
+      if (changedCount > 0) this.dispatch("items-changed", { target: document })
+
+      if (announce && changedCount > 0) {
+        this.showNotification("List updated with changes made while you were offline")
+      }
+    } catch (error) {
+      console.error("Error syncing list updates:", error)
     }
   }
 
-  addItem(item) {
-    // Flash new item indicator
-    this.showNotification('New item added')
+  // Insert new items and replace changed ones, returns how many changed
+  applyItems(items) {
+    if (!this.hasItemsTarget) return 0
+
+    let changedCount = 0
+    items.forEach(({ id, html }) => {
+      const template = document.createElement("template")
+      template.innerHTML = html.trim()
+      const newElement = template.content.firstElementChild
+      if (!newElement) return
+
+      const existing = this.findItem(id)
+      if (existing) {
+        // Don't clobber an item someone is editing here; the next sync picks it up
+        if (this.isBeingEdited(existing)) return
+        if (existing.outerHTML === newElement.outerHTML) return
+
+        existing.replaceWith(newElement)
+        this.highlight(newElement)
+      } else {
+        // The first item replaces the empty state
+        if (this.itemElements().length === 0) this.itemsTarget.replaceChildren()
+        this.itemsTarget.appendChild(newElement)
+        this.highlight(newElement)
+      }
+      changedCount++
+    })
+    return changedCount
+  }
+
+  // Drop items that no longer exist and put the rest in server order
+  applyItemIds(itemIds) {
+    if (!this.hasItemsTarget) return 0
+
+    const ids = new Set(itemIds)
+    let removedCount = 0
+    this.itemElements().forEach(element => {
+      if (!ids.has(this.itemIdFor(element))) {
+        this.removeItem(this.itemIdFor(element))
+        removedCount++
+      }
+    })
+
+    this.applyOrder(itemIds)
+    return removedCount
+  }
+
+  reorderItems(positions) {
+    if (!positions || !this.hasItemsTarget) return
+
+    const positionFor = id => positions[id] ?? Number.MAX_SAFE_INTEGER
+    const orderedIds = this.itemElements()
+      .map(element => this.itemIdFor(element))
+      .sort((a, b) => positionFor(a) - positionFor(b))
+
+    this.applyOrder(orderedIds)
+  }
+
+  applyOrder(orderedIds) {
+    const elements = orderedIds.map(id => this.findItem(id)).filter(Boolean)
+    const current = this.itemElements()
+
+    if (elements.every((element, index) => current[index] === element)) return
+
+    elements.forEach(element => this.itemsTarget.appendChild(element))
   }
 
   removeItem(itemId) {
-    const itemElement = document.getElementById(`list_item_${itemId}`)
+    const itemElement = this.findItem(itemId)
     if (itemElement) {
       itemElement.style.transition = 'opacity 0.3s ease-out'
       itemElement.style.opacity = '0'
@@ -126,6 +204,32 @@ export default class extends Controller {
     }
   }
 
+  highlight(itemElement) {
+    const row = itemElement.querySelector(`#${CSS.escape(itemElement.id)}`) || itemElement
+    row.classList.add('bg-yellow-50', 'border-yellow-200')
+    setTimeout(() => {
+      row.classList.remove('bg-yellow-50', 'border-yellow-200')
+    }, 2000)
+  }
+
+  isBeingEdited(itemElement) {
+    return itemElement.contains(document.activeElement) &&
+      document.activeElement.matches("input, textarea, select, [contenteditable]")
+  }
+
+  // Items are rendered as <turbo-frame id="list_item_…"> (see list_items/_item.html.erb)
+  itemElements() {
+    return Array.from(this.itemsTarget.children).filter(element => element.id?.startsWith("list_item_"))
+  }
+
+  findItem(itemId) {
+    return this.hasItemsTarget ? this.itemsTarget.querySelector(`:scope > #list_item_${CSS.escape(itemId)}`) : null
+  }
+
+  itemIdFor(element) {
+    return element.id.replace("list_item_", "")
+  }
+
   showNotification(message) {
     // Create elements programmatically to avoid XSS
     const notification = document.createElement('div')
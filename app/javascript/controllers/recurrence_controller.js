@@ -1,18 +1,307 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Recurrence fields: a preset select plus a builder for custom rules (every N days,
+// weeks, months or years; chosen weekdays; the nth weekday of the month; ending on a
+// date or after N occurrences). The builder writes its rule into the select's
+// "Custom…" option, so the form submits it like a preset.
+//
+// Rules use the RRULE-style format of Recurring::Rule, and nextAfter and summarize
+// mirror Recurring::Rule#next_after and #summary so the preview matches what the
+// server will spawn.
+
+// Indexed by Date#getDay, like Recurring::Rule::WEEKDAYS
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"]
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+const PRESETS = {
+  daily: "FREQ=DAILY",
+  weekly: "FREQ=WEEKLY",
+  biweekly: "FREQ=WEEKLY;INTERVAL=2",
+  monthly: "FREQ=MONTHLY",
+  yearly: "FREQ=YEARLY"
+}
+const UNITS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" }
+const ORDINALS = { 1: "first", 2: "second", 3: "third", 4: "fourth", "-1": "last" }
+const PREVIEW_COUNT = 5
+
+// { frequency, interval, weekdays, nth, count }, or null for "none" and invalid rules
+function parseRule(value) {
+  value = (value || "").trim()
+  if (!value || value === "none") return null
+
+  const parts = Object.fromEntries((PRESETS[value] || value).replace(/^RRULE:/, "").split(";").map(part => part.split("=")))
+  if (Object.keys(parts).some(key => !["FREQ", "INTERVAL", "BYDAY", "COUNT"].includes(key))) return null
+
+  const rule = {
+    frequency: parts.FREQ,
+    interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+    weekdays: [],
+    nth: null,
+    count: parts.COUNT ? Number(parts.COUNT) : null
+  }
+  if (!UNITS[rule.frequency] || !Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99) return null
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 999)) return null
+
+  if (parts.BYDAY) {
+    if (rule.frequency === "WEEKLY") {
+      const days = parts.BYDAY.split(",")
+      if (!days.every(day => WEEKDAY_CODES.includes(day))) return null
+      rule.weekdays = [...new Set(days.map(day => WEEKDAY_CODES.indexOf(day)))].sort((a, b) => mondayOffset(a) - mondayOffset(b))
+    } else if (rule.frequency === "MONTHLY") {
+      const match = /^(-1|[1-4])(SU|MO|TU|WE|TH|FR|SA)$/.exec(parts.BYDAY)
+      if (!match) return null
+      rule.nth = Number(match[1])
+      rule.weekdays = [WEEKDAY_CODES.indexOf(match[2])]
+    } else {
+      return null
+    }
+  }
+
+  return rule
+}
+
+function serializeRule(rule) {
+  const parts = [`FREQ=${rule.frequency}`]
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`)
+  if (rule.nth) {
+    parts.push(`BYDAY=${rule.nth}${WEEKDAY_CODES[rule.weekdays[0]]}`)
+  } else if (rule.weekdays.length > 0) {
+    parts.push(`BYDAY=${rule.weekdays.map(wday => WEEKDAY_CODES[wday]).join(",")}`)
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`)
+  return parts.join(";")
+}
+
+// The first occurrence after the date, at the same time of day
+function nextAfter(rule, date) {
+  switch (rule.frequency) {
+    case "DAILY": return addDays(date, rule.interval)
+    case "WEEKLY": return rule.weekdays.length > 0 ? nextWeekdayAfter(rule, date) : addDays(date, 7 * rule.interval)
+    case "MONTHLY": return rule.nth ? nextNthWeekdayAfter(rule, date) : addMonths(date, rule.interval)
+    case "YEARLY": return addMonths(date, 12 * rule.interval)
+  }
+}
+
+// A later chosen weekday in the same week (weeks start on Monday), otherwise the
+// first chosen weekday `interval` weeks on
+function nextWeekdayAfter(rule, date) {
+  const monday = addDays(date, -mondayOffset(date.getDay()))
+  const offsets = rule.weekdays.map(mondayOffset)
+
+  const later = offsets.map(offset => addDays(monday, offset)).find(day => day > date)
+  return later || addDays(monday, 7 * rule.interval + offsets[0])
+}
+
+// The nth weekday of this month if it's still ahead, otherwise of the month `interval` on
+function nextNthWeekdayAfter(rule, date) {
+  const firstOfMonth = new Date(date)
+  firstOfMonth.setDate(1)
+
+  const candidate = nthWeekdayIn(rule, firstOfMonth)
+  return candidate > date ? candidate : nthWeekdayIn(rule, addMonths(firstOfMonth, rule.interval))
+}
+
+function nthWeekdayIn(rule, firstOfMonth) {
+  const wday = rule.weekdays[0]
+
+  if (rule.nth > 0) {
+    return addDays(firstOfMonth, modulo(wday - firstOfMonth.getDay(), 7) + 7 * (rule.nth - 1))
+  }
+  const lastOfMonth = new Date(firstOfMonth)
+  lastOfMonth.setDate(daysInMonth(firstOfMonth))
+  return addDays(lastOfMonth, -modulo(lastOfMonth.getDay() - wday, 7))
+}
+
+// "Every 2 weeks on Monday and Wednesday, 10 times"
+function summarize(rule) {
+  let text = rule.interval === 1
+    ? rule.frequency.charAt(0) + rule.frequency.slice(1).toLowerCase()
+    : `Every ${rule.interval} ${UNITS[rule.frequency]}s`
+
+  if (rule.frequency === "WEEKLY" && rule.weekdays.length > 0) {
+    text += ` on ${toSentence(rule.weekdays.map(wday => DAY_NAMES[wday]))}`
+  } else if (rule.nth) {
+    text += ` on the ${ORDINALS[rule.nth]} ${DAY_NAMES[rule.weekdays[0]]}`
+  }
+
+  if (rule.count) text += rule.count === 1 ? ", once" : `, ${rule.count} times`
+  return text
+}
+
+// Date helpers; months clamp to the last day like ActiveSupport's + n.months
+function addDays(date, days) {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+function addMonths(date, months) {
+  const result = new Date(date)
+  const day = result.getDate()
+  result.setDate(1)
+  result.setMonth(result.getMonth() + months)
+  result.setDate(Math.min(day, daysInMonth(result)))
+  return result
+}
+
+function daysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()
+}
+
+function mondayOffset(wday) {
+  return modulo(wday - 1, 7)
+}
+
+function modulo(n, m) {
+  return ((n % m) + m) % m
+}
+
+// Like Array#to_sentence
+function toSentence(words) {
+  if (words.length < 3) return words.join(" and ")
+  return `${words.slice(0, -1).join(", ")}, and ${words[words.length - 1]}`
+}
+
 export default class extends Controller {
-  static targets = ["ruleSelect", "endDateWrapper"]
+  static targets = [
+    "ruleSelect", "customOption", "endDateWrapper", "endDate",
+    "builder", "interval", "frequency", "weekdaysWrapper", "weekday",
+    "monthlyWrapper", "monthlyMode", "nth", "nthWeekday", "endMode", "countWrapper", "count",
+    "preview", "summary", "occurrences"
+  ]
 
   connect() {
+    // Previews count from the item's due date
+    this.dueDateInput = this.element.closest("form")?.querySelector('[name$="[due_date]"]')
+    this.boundRender = () => this.render()
+    this.dueDateInput?.addEventListener("change", this.boundRender)
+    this.dueDateInput?.addEventListener("input", this.boundRender)
+
+    if (this.isCustom()) this.loadBuilder(parseRule(this.customOptionTarget.value))
+    this.previousValue = this.ruleSelectTarget.value
     this.toggleEndDate()
+    this.render()
+  }
+
+  disconnect() {
+    this.dueDateInput?.removeEventListener("change", this.boundRender)
+    this.dueDateInput?.removeEventListener("input", this.boundRender)
   }
 
   ruleChanged() {
+    // Start a custom rule from the preset it replaces
+    if (this.isCustom() && this.previousValue !== this.ruleSelectTarget.value) {
+      this.loadBuilder(parseRule(this.previousValue) || parseRule(this.customOptionTarget.value))
+      this.build()
+    }
+    this.previousValue = this.ruleSelectTarget.value
     this.toggleEndDate()
+    this.render()
+  }
+
+  // Write the builder's rule into the "Custom…" option
+  build() {
+    const frequency = this.frequencyTarget.value
+    const endMode = this.endModeTarget.value
+    const rule = {
+      frequency,
+      interval: Math.min(99, Math.max(1, parseInt(this.intervalTarget.value, 10) || 1)),
+      weekdays: [],
+      nth: null,
+      count: endMode === "count" ? Math.min(999, Math.max(1, parseInt(this.countTarget.value, 10) || 1)) : null
+    }
+
+    if (frequency === "WEEKLY") {
+      rule.weekdays = this.weekdayTargets.filter(box => box.checked).map(box => Number(box.value))
+    } else if (frequency === "MONTHLY" && this.monthlyModeTarget.value === "weekday") {
+      rule.nth = Number(this.nthTarget.value)
+      rule.weekdays = [Number(this.nthWeekdayTarget.value)]
+    }
+
+    if (endMode !== "date" && this.hasEndDateTarget) this.endDateTarget.value = ""
+
+    this.customOptionTarget.value = serializeRule(rule)
+    this.ruleSelectTarget.value = this.customOptionTarget.value
+    this.previousValue = this.ruleSelectTarget.value
+    this.toggleBuilderParts()
+    this.toggleEndDate()
+    this.render()
+  }
+
+  loadBuilder(rule) {
+    rule ||= parseRule("weekly")
+    const due = this.dueDate() || new Date()
+
+    this.intervalTarget.value = rule.interval
+    this.frequencyTarget.value = rule.frequency
+    this.weekdayTargets.forEach(box => { box.checked = rule.weekdays.includes(Number(box.value)) })
+    this.monthlyModeTarget.value = rule.nth ? "weekday" : "day"
+    // Without a chosen weekday, offer the one the item is due on
+    const nth = Math.ceil(due.getDate() / 7)
+    this.nthTarget.value = rule.nth || (nth > 4 ? -1 : nth)
+    this.nthWeekdayTarget.value = rule.nth ? rule.weekdays[0] : due.getDay()
+    this.endModeTarget.value = rule.count ? "count" : (this.hasEndDateTarget && this.endDateTarget.value ? "date" : "never")
+    if (rule.count) this.countTarget.value = rule.count
+
+    this.toggleBuilderParts()
+  }
+
+  toggleBuilderParts() {
+    const frequency = this.frequencyTarget.value
+    const byWeekday = this.monthlyModeTarget.value === "weekday"
+
+    this.weekdaysWrapperTarget.hidden = frequency !== "WEEKLY"
+    this.monthlyWrapperTarget.hidden = frequency !== "MONTHLY"
+    this.nthTarget.hidden = !byWeekday
+    this.nthWeekdayTarget.hidden = !byWeekday
+    this.countWrapperTarget.hidden = this.endModeTarget.value !== "count"
   }
 
   toggleEndDate() {
     const isRecurring = this.ruleSelectTarget.value !== "none"
-    this.endDateWrapperTarget.classList.toggle("hidden", !isRecurring)
+    const isCustom = this.isCustom()
+
+    this.builderTarget.hidden = !isCustom
+    this.endDateWrapperTarget.classList.toggle("hidden", !isRecurring || (isCustom && this.endModeTarget.value !== "date"))
+  }
+
+  // Summary and the next occurrences after the due date
+  render() {
+    const rule = parseRule(this.ruleSelectTarget.value)
+    this.previewTarget.hidden = !rule
+    if (!rule) return
+
+    const endDate = this.hasEndDateTarget && this.endDateTarget.value ? new Date(this.endDateTarget.value) : null
+    const formatDate = (date, options = {}) => date.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric", ...options })
+    this.summaryTarget.textContent = summarize(rule) + (endDate ? `, until ${formatDate(endDate, { year: "numeric" })}` : "")
+
+    const due = this.dueDate()
+    if (!due) {
+      this.occurrencesTarget.textContent = "Set a due date to see the upcoming dates."
+      return
+    }
+
+    // COUNT includes this item, so count - 1 more follow it
+    const limit = Math.min(PREVIEW_COUNT, rule.count ? rule.count - 1 : PREVIEW_COUNT)
+    const dates = []
+    let next = due
+    while (dates.length < limit) {
+      next = nextAfter(rule, next)
+      if (endDate && next > endDate) break
+      dates.push(next)
+    }
+
+    this.occurrencesTarget.textContent = dates.length > 0
+      ? `Next: ${dates.map(date => formatDate(date)).join(" · ")}`
+      : "This is the last occurrence."
+  }
+
+  isCustom() {
+    return this.hasCustomOptionTarget && this.customOptionTarget.selected
+  }
+
+  dueDate() {
+    if (!this.dueDateInput?.value) return null
+    const date = new Date(this.dueDateInput.value)
+    return isNaN(date.getTime()) ? null : date
   }
 }
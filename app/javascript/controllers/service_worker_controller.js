@@ -0,0 +1,127 @@
+// app/javascript/controllers/service_worker_controller.js
+import { Controller } from "@hotwired/stimulus"
+
+// Registers the PWA service worker (app/views/pwa/service-worker.js) and relays between
+// it and the page: precaches this page's assets, asks it to replay queued offline
+// changes when connection_status_controller reports we're back online, reports
+// queued / replayed changes through the error handler toasts, and handles clicks on
+// push notifications (open the target, mark the notification read).
+export default class extends Controller {
+  static values = {
+    url: { type: String, default: "/service-worker.js" },
+    signedIn: Boolean
+  }
+
+  async connect() {
+    if (!("serviceWorker" in navigator)) return
+
+    this.boundMessage = this.handleMessage.bind(this)
+    this.boundConnectionChange = this.handleConnectionChange.bind(this)
+    navigator.serviceWorker.addEventListener("message", this.boundMessage)
+    document.addEventListener("connection:status-changed", this.boundConnectionChange)
+    // Deliver messages sent while the page was loading (e.g. a notification click that opened it)
+    navigator.serviceWorker.startMessages()
+
+    try {
+      await navigator.serviceWorker.register(this.urlValue, { scope: "/" })
+      const registration = await navigator.serviceWorker.ready
+
+      if (this.signedInValue) {
+        registration.active?.postMessage({ type: "precache", urls: this.assetUrls() })
+        if (navigator.onLine) registration.active?.postMessage({ type: "replay" })
+      } else {
+        registration.active?.postMessage({ type: "clear" })
+      }
+    } catch (error) {
+      console.error("Service worker registration failed:", error)
+    }
+  }
+
+  disconnect() {
+    if (!("serviceWorker" in navigator)) return
+
+    navigator.serviceWorker.removeEventListener("message", this.boundMessage)
+    document.removeEventListener("connection:status-changed", this.boundConnectionChange)
+  }
+
+  handleConnectionChange(event) {
+    if (!event.detail.isOnline) return
+
+    navigator.serviceWorker.controller?.postMessage({ type: "replay" })
+  }
+
+  handleMessage(event) {
+    const { type, count, replayed, failed, remaining, path, markAsReadPath } = event.data || {}
+
+    switch (type) {
+      case "mutation-queued":
+        this.notify({
+          type: "offline-queue",
+          title: "Saved Offline",
+          message: count === 1
+            ? "Your change will be synced when you're back online."
+            : `${count} changes will be synced when you're back online.`,
+          actions: ["dismiss"],
+          severity: "info",
+          autoHide: true
+        })
+        break
+      case "mutations-replayed":
+        this.notify({
+          type: "offline-queue",
+          title: failed > 0 ? "Some Changes Not Synced" : "Changes Synced",
+          message: this.replaySummary(replayed, failed, remaining),
+          actions: ["dismiss"],
+          severity: failed > 0 ? "warning" : "success",
+          autoHide: failed === 0
+        })
+        // Show the server's version of whatever was replayed
+        if (replayed > 0 && window.Turbo) window.Turbo.visit(window.location.href, { action: "replace" })
+        break
+      case "push-received":
+        document.dispatchEvent(new CustomEvent("notifications:changed"))
+        break
+      case "notification-clicked":
+        this.openNotification(path, markAsReadPath)
+        break
+    }
+  }
+
+  // The service worker can't send the CSRF token, so the page marks it read
+  async openNotification(path, markAsReadPath) {
+    if (path && window.Turbo) window.Turbo.visit(path)
+    if (!markAsReadPath) return
+
+    try {
+      await fetch(markAsReadPath, {
+        method: "PATCH",
+        headers: {
+          "Accept": "application/json",
+          "X-CSRF-Token": document.querySelector('[name="csrf-token"]')?.content
+        }
+      })
+      document.dispatchEvent(new CustomEvent("notifications:changed"))
+    } catch (error) {
+      console.error("Failed to mark notification as read:", error)
+    }
+  }
+
+  replaySummary(replayed, failed, remaining) {
+    const parts = []
+    if (replayed > 0) parts.push(`${replayed} offline ${replayed === 1 ? "change was" : "changes were"} saved.`)
+    if (failed > 0) parts.push(`${failed} couldn't be applied and ${failed === 1 ? "was" : "were"} discarded.`)
+    if (remaining > 0) parts.push(`${remaining} still waiting.`)
+    return parts.join(" ")
+  }
+
+  notify(config) {
+    document.dispatchEvent(new CustomEvent("error-handler:show", { detail: config }))
+  }
+
+  // Digested stylesheets and scripts of the current page, for the offline app shell
+  assetUrls() {
+    return Array.from(document.querySelectorAll("link[rel='stylesheet'][href], script[src]"))
+      .map(element => element.href || element.src)
+      .filter(url => new URL(url, window.location.href).origin === window.location.origin)
+  }
+}
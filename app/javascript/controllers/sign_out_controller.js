@@ -0,0 +1,19 @@
+import { Controller } from "@hotwired/stimulus"
+
+/**
+ * Sign Out Controller
+ * Removes what the browser kept for the signed-in user before the sign-out form is
+ * sent, so the next person to use this browser doesn't see it.
+ */
+export default class extends Controller {
+  // localStorage key prefixes holding per-user data (spotlight_search_controller)
+  static storagePrefixes = ["spotlight-"]
+
+  clearStoredData() {
+    const keys = Array.from({ length: localStorage.length }, (_, index) => localStorage.key(index))
+
+    keys
+      .filter((key) => key && this.constructor.storagePrefixes.some((prefix) => key.startsWith(prefix)))
+      .forEach((key) => localStorage.removeItem(key))
+  }
+}
@@ -2,52 +2,262 @@
 import { Controller } from "@hotwired/stimulus"
 import Sortable from "sortablejs"
 
+// Drag-and-drop ordering for a list's items. Every drop sends the complete resulting
+// order with the revision it was based on (and the order the drag started from, so items
+// added or deleted since don't count as a conflict); if the server refuses it the items go
+// back where they were. Dragging right or left while moving nests the item under the item
+// above it or moves it out a level, and its sub-items travel with it.
 export default class extends Controller {
-  static values = { url: String }
+  static values = {
+    url: String,
+    revision: String,
+    maxDepth: { type: Number, default: 5 },
+    // Matches the 1.5rem per level the item partial indents by
+    indent: { type: Number, default: 24 }
+  }
 
   connect() {
     this.sortable = Sortable.create(this.element, {
       handle: '[data-sortable-handle]',
+      draggable: '[data-item-id]',
       animation: 150,
       ghostClass: 'opacity-50',
+      onStart: this.onStart.bind(this),
       onEnd: this.onEnd.bind(this)
     })
+
+    // Drop events don't reliably carry coordinates, so follow the pointer ourselves
+    this.trackPointer = (event) => {
+      if (event.clientX) this.pointerX = event.clientX
+    }
+    this.element.addEventListener('pointerdown', this.trackPointer)
   }
 
   disconnect() {
     if (this.sortable) {
       this.sortable.destroy()
     }
+    this.element.removeEventListener('pointerdown', this.trackPointer)
+    this.stopTracking()
+  }
+
+  onStart(event) {
+    this.startX = this.pointerX
+    this.before = this.currentState()
+    this.subItems = this.subItemsOf(event.item)
+
+    document.addEventListener('dragover', this.trackPointer)
+    document.addEventListener('pointermove', this.trackPointer)
   }
 
   onEnd(event) {
-    const itemId = event.item.dataset.itemId
-    const newPosition = event.newIndex
-    
-    // Send position update to server
-    this.updatePosition(itemId, newPosition)
+    this.stopTracking()
+
+    const item = event.item
+    const itemId = item.dataset.itemId
+    const before = this.before
+    const oldDepth = before.depths[itemId]
+
+    // Sub-items follow their parent to its new place
+    let anchor = item
+    this.subItems.forEach(subItem => {
+      anchor.after(subItem)
+      anchor = subItem
+    })
+
+    const depth = this.dropDepth(item, oldDepth)
+    const parentId = this.parentAt(item, depth)
+    this.setDepth(item, depth, parentId)
+    this.subItems.forEach(subItem => {
+      this.setDepth(subItem, Number(subItem.dataset.depth) + depth - oldDepth)
+    })
+
+    const after = this.currentState()
+    const parents = parentId !== before.parents[itemId] ? { [itemId]: parentId } : {}
+    if (Object.keys(parents).length === 0 && after.order.join() === before.order.join()) return
+
+    this.save(after.order, parents, before, after, item)
+  }
+
+  stopTracking() {
+    document.removeEventListener('dragover', this.trackPointer)
+    document.removeEventListener('pointermove', this.trackPointer)
   }
 
-  async updatePosition(itemId, position) {
+  async save(order, parents, before, after, item) {
     try {
       const response = await fetch(this.urlValue, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          'Accept': 'application/json',
           'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
         },
         body: JSON.stringify({
-          positions: { [itemId]: position }
+          order,
+          parents,
+          revision: this.revisionValue,
+          base: { order: before.order, parents: before.parents }
         })
       })
+      const data = await response.json().catch(() => ({}))
 
+      if (response.status === 409) {
+        // Someone else changed the list first: show their order and let the user try again
+        this.restore(before)
+        this.applyOrder(data.order || [])
+        if (data.revision) this.revisionValue = data.revision
+        this.reportFailure('List Changed', `${data.error || 'This list was changed by someone else.'} Your move was undone, please try again.`, 'warning')
+        return
+      }
       if (!response.ok) {
-        throw new Error('Failed to update position')
+        throw new Error(data.errors?.join(', ') || 'Failed to update position')
       }
+
+      this.revisionValue = data.revision
+      this.recordMove(item, before, after, parents)
     } catch (error) {
       console.error('Error updating position:', error)
-      // Revert the visual change on error
-      location.reload()
+      // Put the items back instead of reloading, which would lose scroll position and input
+      this.restore(before)
+      this.reportFailure('Reorder Failed', "Couldn't save the new order. The items were put back.", 'error')
     }
   }
-}
\ No newline at end of file
+
+  reportFailure(title, message, severity) {
+    document.dispatchEvent(new CustomEvent('error-handler:show', {
+      detail: { type: 'sortable', title, message, actions: ['dismiss'], severity, autoHide: true }
+    }))
+  }
+
+  // Let the undo history (undo_controller) restore the previous order and nesting
+  // through the same endpoint; replays skip the revision check
+  recordMove(item, before, after, parents) {
+    const itemId = item.dataset.itemId
+    const title = item.querySelector('h3')?.textContent.trim() || 'item'
+    const request = (state, parentIds) => ({
+      url: this.urlValue,
+      method: 'PATCH',
+      params: {
+        'order[]': state.order,
+        ...Object.fromEntries(Object.keys(parentIds).map(id => [`parents[${id}]`, parentIds[id] || '']))
+      },
+      accept: 'application/json'
+    })
+    const previousParents = Object.fromEntries(Object.keys(parents).map(id => [id, before.parents[id]]))
+
+    document.dispatchEvent(new CustomEvent('undo:record', {
+      detail: {
+        label: Object.keys(parents).length > 0 ? `Moved "${title}" to another level` : `Reordered "${title}"`,
+        undo: [request(before, previousParents)],
+        redo: [request(after, parents)],
+        afterUndo: (results) => this.restore(before, results[0]?.revision),
+        afterRedo: (results) => this.restore(after, results[0]?.revision)
+      }
+    }))
+  }
+
+  // Item ids in DOM order, with each item's depth and parent
+  currentState() {
+    const state = { order: [], depths: {}, parents: {} }
+
+    this.items().forEach(item => {
+      const itemId = item.dataset.itemId
+      state.order.push(itemId)
+      state.depths[itemId] = Number(item.dataset.depth) || 0
+      state.parents[itemId] = item.dataset.parentId || null
+    })
+
+    return state
+  }
+
+  restore(state, revision = null) {
+    this.applyOrder(state.order)
+    this.items().forEach(item => {
+      const itemId = item.dataset.itemId
+      if (itemId in state.depths) this.setDepth(item, state.depths[itemId], state.parents[itemId])
+    })
+    if (revision) this.revisionValue = revision
+  }
+
+  applyOrder(order) {
+    order.forEach(itemId => {
+      const item = this.findItem(itemId)
+      if (item) this.element.appendChild(item)
+    })
+  }
+
+  // The items right below this one that are nested deeper than it
+  subItemsOf(item) {
+    const depth = Number(item.dataset.depth) || 0
+    const subItems = []
+
+    let next = item.nextElementSibling
+    while (next?.dataset.itemId && Number(next.dataset.depth) > depth) {
+      subItems.push(next)
+      next = next.nextElementSibling
+    }
+
+    return subItems
+  }
+
+  // Horizontal drag distance picks the level: at most one deeper than the item above,
+  // at least as deep as the item below (so it doesn't take over someone else's sub-items),
+  // and shallow enough for the moved sub-items to stay within maxDepth
+  dropDepth(item, oldDepth) {
+    const above = this.previousItem(item)
+    const below = this.nextItem(this.subItems[this.subItems.length - 1] || item)
+    const subtreeHeight = Math.max(0, ...this.subItems.map(subItem => Number(subItem.dataset.depth) - oldDepth))
+
+    const shift = Math.round(((this.pointerX ?? 0) - (this.startX ?? 0)) / this.indentValue)
+    const maxDepth = Math.min(above ? Number(above.dataset.depth) + 1 : 0, this.maxDepthValue - subtreeHeight)
+    const minDepth = Math.min(below ? Number(below.dataset.depth) : 0, maxDepth)
+
+    return Math.max(minDepth, Math.min(maxDepth, oldDepth + shift))
+  }
+
+  // Nearest item above that is one level shallower
+  parentAt(item, depth) {
+    if (depth === 0) return null
+
+    let previous = this.previousItem(item)
+    while (previous && Number(previous.dataset.depth) >= depth) {
+      previous = this.previousItem(previous)
+    }
+    return previous?.dataset.itemId || null
+  }
+
+  setDepth(item, depth, parentId = undefined) {
+    item.dataset.depth = depth
+    if (parentId !== undefined) {
+      if (parentId) {
+        item.dataset.parentId = parentId
+      } else {
+        delete item.dataset.parentId
+      }
+    }
+
+    const row = item.firstElementChild
+    if (row) row.style.paddingLeft = depth > 0 ? `${1 + depth * 1.5}rem` : ''
+  }
+
+  items() {
+    return Array.from(this.element.children).filter(child => child.dataset.itemId)
+  }
+
+  findItem(itemId) {
+    return this.items().find(item => item.dataset.itemId === itemId)
+  }
+
+  previousItem(item) {
+    let previous = item.previousElementSibling
+    while (previous && !previous.dataset.itemId) previous = previous.previousElementSibling
+    return previous
+  }
+
+  nextItem(item) {
+    let next = item.nextElementSibling
+    while (next && !next.dataset.itemId) next = next.nextElementSibling
+    return next
+  }
+}
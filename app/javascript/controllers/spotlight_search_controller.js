@@ -1,10 +1,39 @@
 import { Controller } from "@hotwired/stimulus"
-
+import { fuzzyMatch } from "../helpers/fuzzy_match"
+
+/**
+ * Spotlight Search Controller
+ * Searches lists, items, people, comments and tags, and runs commands when the
+ * query starts with ">".
+ *
+ * Before anything is typed it shows pinned and recently opened results, both kept in
+ * localStorage per user and organization (sign_out_controller clears them). Results can be narrowed to one type with the facet tabs or by starting
+ * the query with "list:", "item:" or "user:".
+ *
+ * Commands are gathered each time command mode opens: the palette dispatches
+ * "spotlight:commands" on document, and any controller can add its own by calling
+ * event.detail.register(command) from a listener. A command looks like
+ *
+ *   { id, title, section, keywords: [], shortcut: "Mod+N", prompt: "Item title", perform(input) }
+ *
+ * where prompt is optional and asks for a line of input that is passed to perform.
+ */
 export default class extends Controller {
-  static targets = ["input", "results", "footer", "viewAllLink", "container"]
+  static targets = ["input", "results", "footer", "viewAllLink", "container", "facets", "facetTab"]
+  static recentKey = "spotlight-recent"
+  static pinnedKey = "spotlight-pinned"
+  static maxRecent = 8
+  static maxPinned = 10
+  // Query prefixes and the result types they narrow to
+  static facets = { list: "List", item: "ListItem", user: "User" }
   static values = {
     debounceDelay: { type: Number, default: 300 },
-    limit: { type: Number, default: 5 }
+    limit: { type: Number, default: 5 },
+    organizations: { type: Array, default: [] },
+    lists: { type: Array, default: [] },
+    switchOrganizationUrl: String,
+    userId: String,
+    organizationId: String
   }
 
   connect() {
@@ -12,6 +41,13 @@ export default class extends Controller {
     this.selectedIndex = -1
     this.currentResults = []
     this.totalCount = 0
+    this.commands = null
+    this.matchedCommands = []
+    this.pendingCommand = null
+    this.placeholder = this.inputTarget.placeholder
+    this.selectedFacet = ""
+    this.displayedResults = []
+    this.searchSequence = 0
 
     // Auto-focus search input using requestAnimationFrame to avoid conflicts
     requestAnimationFrame(() => {
@@ -40,38 +76,89 @@ export default class extends Controller {
       clearTimeout(this.debounceTimeout)
     }
 
+    // While a command waits for its input, typing is that input
+    if (this.pendingCommand) return
+
+    const commandMode = query.startsWith(">")
+    if (this.hasFacetsTarget) this.facetsTarget.hidden = commandMode
+
+    if (commandMode) {
+      this.filterCommands(query.slice(1).trim())
+      return
+    }
+
+    const { facet, terms } = this.parseQuery(query)
+    this.updateFacetTabs(facet)
+
     // Show empty state if no query
-    if (query.length === 0) {
+    if (terms.length === 0) {
       this.showEmptyState()
       return
     }
 
     // Debounce the search
     this.debounceTimeout = setTimeout(() => {
-      this.performSearch(query)
+      this.performSearch(terms, facet)
     }, this.debounceDelayValue)
   }
 
-  async performSearch(query) {
+  // A "list:", "item:" or "user:" prefix wins over the selected tab
+  parseQuery(query) {
+    const match = /^(\w+):\s*/.exec(query)
+    if (match && this.constructor.facets[match[1].toLowerCase()]) {
+      return { facet: match[1].toLowerCase(), terms: query.slice(match[0].length).trim() }
+    }
+    return { facet: this.selectedFacet, terms: query }
+  }
+
+  selectFacet(event) {
+    this.selectedFacet = event.currentTarget.dataset.facet || ""
+
+    // The tab replaces any typed prefix so the two can't disagree
+    const { terms } = this.parseQuery(this.inputTarget.value.trim())
+    this.inputTarget.value = terms
+    this.inputTarget.focus()
+    this.search()
+  }
+
+  updateFacetTabs(facet) {
+    this.facetTabTargets.forEach((tab) => {
+      const active = (tab.dataset.facet || "") === facet
+      tab.setAttribute("aria-selected", String(active))
+      tab.classList.toggle("bg-surface-sunken", active)
+      tab.classList.toggle("text-ink", active)
+      tab.classList.toggle("text-ink-muted", !active)
+    })
+  }
+
+  async performSearch(query, facet = "") {
+    const sequence = ++this.searchSequence
+
     try {
-      const url = `/search?q=${encodeURIComponent(query)}&limit=${this.limitValue}`
+      const type = facet ? `&type=${facet}` : ""
+      const url = `/search?q=${encodeURIComponent(query)}&limit=${this.limitValue}${type}`
       const response = await fetch(url, {
         headers: { "Accept": "application/json" }
       })
 
+      // A newer search has started since this one was sent
+      if (sequence !== this.searchSequence) return
+
       if (!response.ok) {
         this.showErrorState()
         return
       }
 
       const data = await response.json()
+      if (sequence !== this.searchSequence) return
+
       this.currentResults = data.results || []
       this.totalCount = data.count || 0
 
       if (this.currentResults.length === 0) {
         this.showNoResultsState(query)
       } else {
-        this.renderResults(this.currentResults, query)
+        this.renderResults(this.currentResults, query, facet)
       }
     } catch (error) {
       console.error("Search failed:", error)
@@ -83,13 +170,14 @@ export default class extends Controller {
   // RENDERING
   // ============================================================================
 
-  renderResults(results, query) {
-    const html = results.map((result, index) => this.renderResultItem(result, index)).join("")
+  renderResults(results, query, facet = "") {
+    this.displayedResults = results
+    const html = results.map((result, index) => this.renderResultItem(result, index, query)).join("")
     this.resultsTarget.innerHTML = html
 
     // Show "View All Results" footer if more results exist
     if (this.totalCount > this.limitValue) {
-      this.showViewAllFooter(query)
+      this.showViewAllFooter(query, facet)
     } else {
       this.hideViewAllFooter()
     }
@@ -97,7 +185,7 @@ export default class extends Controller {
     this.selectedIndex = -1
   }
 
-  renderResultItem(result, index) {
+  renderResultItem(result, index, query = "") {
     const typeLabel = this.getTypeLabel(result.type)
     const typeBadgeClasses = this.getTypeBadgeClasses(result.type)
     const timeAgo = this.formatTimeAgo(result.updated_at)
@@ -120,11 +208,12 @@ export default class extends Controller {
               <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${typeBadgeClasses}">
                 ${typeLabel}
               </span>
-              <h4 class="text-sm font-medium text-gray-900 truncate group-hover:text-blue-600 transition-colors">${this.escapeHtml(result.title)}</h4>
+              <h4 class="text-sm font-medium text-gray-900 truncate group-hover:text-blue-600 transition-colors">${this.highlightTerms(result.title, query)}</h4>
             </div>
             ${description}
             <p class="text-xs text-gray-400 mt-1.5">${isUser ? "Team member" : `Updated ${timeAgo}`}</p>
           </div>
+          ${this.renderPinButton(result)}
         </div>
         <a href="${this.escapeHtml(result.url)}" style="display: none;"></a>
       </div>
@@ -151,7 +240,13 @@ export default class extends Controller {
         break
       case "Escape":
         event.preventDefault()
-        this.close()
+        // Back out of a command's input step before closing the palette
+        if (this.pendingCommand) {
+          event.stopPropagation()
+          this.cancelPrompt()
+        } else {
+          this.close()
+        }
         break
     }
   }
@@ -202,30 +297,346 @@ export default class extends Controller {
   }
 
   selectCurrentResult() {
+    if (this.pendingCommand) {
+      const input = this.inputTarget.value.trim()
+      if (input) this.runCommand(this.pendingCommand, input)
+      return
+    }
+
+    if (this.commandMode) {
+      const command = this.matchedCommands[Math.max(this.selectedIndex, 0)]
+      if (command) this.chooseCommand(command)
+      return
+    }
+
     if (this.selectedIndex === -1) {
       // No selection, submit to full search page
-      const query = this.inputTarget.value.trim()
-      if (query) {
-        window.location.href = `/search?q=${encodeURIComponent(query)}`
+      const { facet, terms } = this.parseQuery(this.inputTarget.value.trim())
+      if (terms) {
+        window.location.href = this.searchPageUrl(terms, facet)
       }
       return
     }
 
-    const resultElements = this.resultsTarget.querySelectorAll("[data-result-index]")
-    if (resultElements[this.selectedIndex]) {
-      const url = resultElements[this.selectedIndex].href
-      window.location.href = url
-    }
+    this.openResult(this.selectedIndex)
   }
 
   selectResult(event) {
-    // Navigate to the result's URL
-    const link = event.currentTarget.querySelector("a")
+    if (this.commandMode) {
+      const command = this.matchedCommands[Number(event.currentTarget.dataset.resultIndex)]
+      if (command) this.chooseCommand(command)
+      return
+    }
+
+    this.openResult(Number(event.currentTarget.dataset.resultIndex))
+  }
+
+  // Navigate to the result's URL, remembering it for the empty state
+  openResult(index) {
+    const result = this.displayedResults[index]
+    const link = this.resultsTarget.querySelector(`[data-result-index="${index}"] a`)
+    if (result) this.rememberRecent(result)
     if (link && link.href) {
       window.location.href = link.href
     }
   }
 
+  // ============================================================================
+  // RECENT & PINNED
+  // ============================================================================
+
+  get recentResults() {
+    return this.readStored(this.storageKey(this.constructor.recentKey))
+  }
+
+  get pinnedResults() {
+    return this.readStored(this.storageKey(this.constructor.pinnedKey))
+  }
+
+  // Results from one organization mean nothing in another, or to another user
+  storageKey(key) {
+    return `${key}:${this.userIdValue}:${this.organizationIdValue}`
+  }
+
+  rememberRecent(result) {
+    const recent = [this.storableResult(result), ...this.recentResults.filter((entry) => !this.sameResult(entry, result))]
+    this.writeStored(this.storageKey(this.constructor.recentKey), recent.slice(0, this.constructor.maxRecent))
+  }
+
+  togglePin(event) {
+    const index = Number(event.currentTarget.closest("[data-result-index]").dataset.resultIndex)
+    const result = this.displayedResults[index]
+    if (!result) return
+
+    const pinned = this.pinnedResults
+    const wasPinned = pinned.some((entry) => this.sameResult(entry, result))
+    const updated = wasPinned
+      ? pinned.filter((entry) => !this.sameResult(entry, result))
+      : [...pinned, this.storableResult(result)].slice(-this.constructor.maxPinned)
+    this.writeStored(this.storageKey(this.constructor.pinnedKey), updated)
+
+    // Re-render in place so the selection and scroll position survive
+    if (this.inputTarget.value.trim()) {
+      const button = event.currentTarget
+      button.setAttribute("aria-pressed", String(!wasPinned))
+      button.setAttribute("title", wasPinned ? "Pin" : "Unpin")
+      button.classList.toggle("text-amber-500", !wasPinned)
+      button.classList.toggle("text-gray-300", wasPinned)
+    } else {
+      const selectedIndex = this.selectedIndex
+      this.showEmptyState()
+      this.selectedIndex = Math.min(selectedIndex, this.displayedResults.length - 1)
+      this.highlightResult()
+    }
+    this.inputTarget.focus()
+  }
+
+  isPinned(result) {
+    return this.pinnedResults.some((entry) => this.sameResult(entry, result))
+  }
+
+  sameResult(a, b) {
+    return a.type === b.type && String(a.id) === String(b.id)
+  }
+
+  storableResult({ id, type, title, description, url, avatar_url, updated_at }) {
+    return { id, type, title, description, url, avatar_url, updated_at }
+  }
+
+  readStored(key) {
+    try {
+      const entries = JSON.parse(localStorage.getItem(key) || "[]")
+      return Array.isArray(entries) ? entries.filter((entry) => entry && entry.url && entry.title) : []
+    } catch {
+      return []
+    }
+  }
+
+  writeStored(key, entries) {
+    localStorage.setItem(key, JSON.stringify(entries))
+  }
+
+  renderPinButton(result) {
+    const pinned = this.isPinned(result)
+    return `
+      <button type="button"
+              class="shrink-0 p-1 rounded hover:bg-gray-100 ${pinned ? "text-amber-500" : "text-gray-300"}"
+              title="${pinned ? "Unpin" : "Pin"}"
+              aria-label="Pin ${this.escapeHtml(result.title)}"
+              aria-pressed="${pinned}"
+              data-action="click->spotlight-search#togglePin:stop">
+        <svg class="w-4 h-4" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path>
+        </svg>
+      </button>
+    `
+  }
+
+  renderSection(title, html) {
+    return `<p class="px-5 pt-4 pb-1 text-xs font-medium uppercase tracking-wide text-gray-400">${title}</p>${html}`
+  }
+
+  // Wrap each occurrence of the query's words in <mark>, escaping everything else
+  highlightTerms(text, query) {
+    const terms = (query || "").split(/\s+/).filter(Boolean).map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    if (terms.length === 0) return this.escapeHtml(text)
+
+    const pattern = new RegExp(`(${terms.join("|")})`, "gi")
+    return text.split(pattern)
+      .map((part, index) => index % 2 === 1 ? `<mark class="bg-yellow-100 text-inherit rounded-sm">${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+      .join("")
+  }
+
+  // ============================================================================
+  // COMMANDS
+  // ============================================================================
+
+  get commandMode() {
+    return this.inputTarget.value.trim().startsWith(">")
+  }
+
+  filterCommands(query) {
+    this.commands ||= this.collectCommands()
+    this.hideViewAllFooter()
+
+    this.matchedCommands = this.commands
+      .map((command, order) => ({ command, order, match: matchCommand(query, command) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+      .map(({ command, match }) => ({ ...command, positions: match.positions }))
+
+    if (this.matchedCommands.length === 0) {
+      this.showNoCommandsState(query)
+      return
+    }
+
+    this.resultsTarget.innerHTML = this.matchedCommands.map((command, index) => this.renderCommandItem(command, index)).join("")
+
+    // The best match runs on Enter without having to arrow down to it
+    this.selectedIndex = 0
+    this.highlightResult()
+  }
+
+  collectCommands() {
+    const commands = [...this.builtInCommands()]
+    const register = (command) => {
+      if (!command?.id || !command.title || typeof command.perform !== "function") {
+        console.warn("Ignoring invalid spotlight command:", command)
+        return
+      }
+      if (commands.some((existing) => existing.id === command.id)) return
+      commands.push(command)
+    }
+
+    document.dispatchEvent(new CustomEvent("spotlight:commands", { detail: { register } }))
+    return commands
+  }
+
+  builtInCommands() {
+    const organizations = this.organizationsValue.map((organization) => ({
+      id: `switch-organization-${organization.id}`,
+      title: `Switch to ${organization.name}`,
+      section: "Organization",
+      keywords: ["organization", "workspace", "team"],
+      perform: () => this.switchOrganization(organization)
+    }))
+
+    const lists = this.listsValue.map((list) => ({
+      id: `add-item-${list.id}`,
+      title: `Add item to ${list.title}`,
+      section: "Lists",
+      keywords: ["new", "create", "task"],
+      prompt: `New item in ${list.title}`,
+      perform: (title) => this.addItem(list, title)
+    }))
+
+    return [...lists, ...organizations]
+  }
+
+  // Commands with a prompt ask for their input first, the rest run straight away
+  chooseCommand(command) {
+    if (!command.prompt) {
+      this.runCommand(command)
+      return
+    }
+
+    this.pendingCommand = command
+    this.inputTarget.value = ""
+    this.inputTarget.placeholder = command.prompt
+    this.resultsTarget.innerHTML = `
+      <div class="px-5 py-6 text-sm text-gray-600">
+        <p class="font-medium text-gray-900">${this.escapeHtml(command.title)}</p>
+        <p class="mt-1 text-xs text-gray-500">Type and press Enter, or Esc to go back</p>
+      </div>
+    `
+    this.inputTarget.focus()
+  }
+
+  cancelPrompt() {
+    this.pendingCommand = null
+    this.inputTarget.placeholder = this.placeholder
+    this.inputTarget.value = ">"
+    this.filterCommands("")
+  }
+
+  async runCommand(command, input) {
+    this.close()
+
+    try {
+      await command.perform(input)
+    } catch (error) {
+      console.error(`Command "${command.id}" failed:`, error)
+      this.notify("Command failed", error.message || `Could not ${command.title.toLowerCase()}.`, "error")
+    }
+  }
+
+  // Submitted like the organization switcher's own form so the redirect and notice match
+  switchOrganization(organization) {
+    const form = document.createElement("form")
+    form.method = "post"
+    form.action = this.switchOrganizationUrlValue
+    form.hidden = true
+
+    const fields = { _method: "patch", organization_id: organization.id, authenticity_token: this.getCsrfToken() }
+    Object.entries(fields).forEach(([name, value]) => {
+      const input = document.createElement("input")
+      input.type = "hidden"
+      input.name = name
+      input.value = value
+      form.appendChild(input)
+    })
+
+    document.body.appendChild(form)
+    form.requestSubmit()
+    form.remove()
+  }
+
+  async addItem(list, title) {
+    const response = await fetch(list.items_url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        "X-CSRF-Token": this.getCsrfToken()
+      },
+      body: JSON.stringify({ list_item: { title } })
+    })
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error((data.errors || []).join(", ") || `Could not add the item to ${list.title}.`)
+    }
+
+    this.notify("Item added", `Added "${title}" to ${list.title}.`, "success")
+  }
+
+  renderCommandItem(command, index) {
+    const section = command.section ? `<span class="text-xs text-gray-400 whitespace-nowrap">${this.escapeHtml(command.section)}</span>` : ""
+    const prompt = command.prompt ? `<span class="text-xs text-gray-400">…</span>` : ""
+
+    return `
+      <div data-result-index="${index}"
+           class="flex items-center gap-3 px-5 py-3 hover:bg-gray-50/60 border-b border-gray-100/50 transition-colors cursor-pointer"
+           data-action="click->spotlight-search#selectResult">
+        <span class="flex-1 min-w-0 text-sm text-gray-900 truncate">${this.highlightMatch(command.title, command.positions)}${prompt}</span>
+        ${section}
+        ${this.renderShortcut(command.shortcut)}
+      </div>
+    `
+  }
+
+  highlightMatch(text, positions = []) {
+    const matched = new Set(positions)
+    return Array.from(text)
+      .map((char, index) => matched.has(index) ? `<span class="font-semibold text-blue-600">${this.escapeHtml(char)}</span>` : this.escapeHtml(char))
+      .join("")
+  }
+
+  // "Mod+Shift+N" → ⌘⇧N on a Mac, Ctrl Shift N elsewhere
+  renderShortcut(shortcut) {
+    if (!shortcut) return ""
+
+    const mac = /Mac|iPhone|iPad/.test(navigator.platform)
+    const symbols = mac ? { Mod: "⌘", Shift: "⇧", Alt: "⌥", Ctrl: "⌃" } : { Mod: "Ctrl" }
+    const keys = shortcut.split("+").map((key) => symbols[key] || key)
+
+    return `
+      <span class="flex items-center gap-1 shrink-0">
+        ${keys.map((key) => `<kbd class="px-1.5 py-0.5 bg-gray-100 rounded text-gray-600 font-mono text-xs">${this.escapeHtml(key)}</kbd>`).join("")}
+      </span>
+    `
+  }
+
+  notify(title, message, severity) {
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: { type: "command", title, message, actions: ["dismiss"], severity, autoHide: severity === "success" }
+    }))
+  }
+
+  getCsrfToken() {
+    return document.querySelector('meta[name="csrf-token"]')?.content || ""
+  }
+
   // ============================================================================
   // MODAL ACTIONS
   // ============================================================================
@@ -239,19 +650,48 @@ export default class extends Controller {
   // EMPTY STATES
   // ============================================================================
 
+  // Pinned and recent results when there are any, otherwise a hint on what to type.
+  // Both sections share one index sequence so the arrow keys move straight across.
   showEmptyState() {
+    const pinned = this.pinnedResults
+    const recent = this.recentResults.filter((entry) => !pinned.some((pin) => this.sameResult(pin, entry)))
+    this.displayedResults = [...pinned, ...recent]
+    this.selectedIndex = -1
+    this.hideViewAllFooter()
+
+    if (this.displayedResults.length > 0) {
+      const render = (results, offset) => results.map((result, index) => this.renderResultItem(result, offset + index)).join("")
+      this.resultsTarget.innerHTML = [
+        pinned.length > 0 ? this.renderSection("Pinned", render(pinned, 0)) : "",
+        recent.length > 0 ? this.renderSection("Recent", render(recent, pinned.length)) : "",
+        `<p class="px-5 py-3 text-xs text-gray-500">Type to search, narrow with <kbd class="px-1 bg-gray-100 rounded font-mono">list:</kbd> <kbd class="px-1 bg-gray-100 rounded font-mono">item:</kbd> <kbd class="px-1 bg-gray-100 rounded font-mono">user:</kbd>, or <kbd class="px-1 bg-gray-100 rounded font-mono">&gt;</kbd> for commands</p>`
+      ].join("")
+      return
+    }
+
     this.resultsTarget.innerHTML = `
       <div class="text-center py-12 px-6">
         <svg class="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
         </svg>
         <p class="mt-4 text-sm text-gray-600">Start typing to search...</p>
-        <p class="mt-2 text-xs text-gray-500">Search lists, items, comments, and tags</p>
+        <p class="mt-2 text-xs text-gray-500">Search lists, items, comments, and tags, or narrow with list:, item: and user:</p>
+        <p class="mt-1 text-xs text-gray-500">Type <kbd class="px-1 bg-gray-100 rounded font-mono">&gt;</kbd> to run a command</p>
       </div>
     `
     this.hideViewAllFooter()
   }
 
+  showNoCommandsState(query) {
+    this.resultsTarget.innerHTML = `
+      <div class="text-center py-12 px-6">
+        <p class="text-sm font-medium text-gray-900">No matching commands</p>
+        <p class="mt-1 text-sm text-gray-600">for "${this.escapeHtml(query)}"</p>
+      </div>
+    `
+    this.selectedIndex = -1
+  }
+
   showNoResultsState(query) {
     this.resultsTarget.innerHTML = `
       <div class="text-center py-12 px-6">
@@ -274,9 +714,8 @@ export default class extends Controller {
     `
   }
 
-  showViewAllFooter(query) {
-    const searchUrl = `/search?q=${encodeURIComponent(query)}`
-    this.viewAllLinkTarget.href = searchUrl
+  showViewAllFooter(query, facet = "") {
+    this.viewAllLinkTarget.href = this.searchPageUrl(query, facet)
     this.viewAllLinkTarget.textContent = `View All ${this.totalCount} Results →`
     this.footerTarget.classList.remove("hidden")
   }
@@ -289,6 +728,11 @@ export default class extends Controller {
   // HELPERS
   // ============================================================================
 
+  searchPageUrl(query, facet = "") {
+    const type = facet ? `&type=${facet}` : ""
+    return `/search?q=${encodeURIComponent(query)}${type}`
+  }
+
   getTypeLabel(type) {
     const labels = {
       "List": "List",
@@ -332,3 +776,14 @@ export default class extends Controller {
     return div.innerHTML
   }
 }
+
+// Fuzzy match against the title, falling back to the keywords
+function matchCommand(query, command) {
+  if (!query) return { score: 0, positions: [] }
+
+  const titleMatch = fuzzyMatch(query, command.title)
+  if (titleMatch) return titleMatch
+
+  const keywordMatch = fuzzyMatch(query, [command.section, ...(command.keywords || [])].filter(Boolean).join(" "))
+  return keywordMatch && { score: keywordMatch.score / 2, positions: [] }
+}
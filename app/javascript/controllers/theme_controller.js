@@ -7,6 +7,23 @@ export default class extends Controller {
 
   connect() {
     this.initializeTheme()
+
+    this.boundRegisterCommands = this.registerCommands.bind(this)
+    document.addEventListener("spotlight:commands", this.boundRegisterCommands)
+  }
+
+  disconnect() {
+    document.removeEventListener("spotlight:commands", this.boundRegisterCommands)
+  }
+
+  registerCommands(event) {
+    event.detail.register({
+      id: "toggle-theme",
+      title: "Toggle theme",
+      section: "Appearance",
+      keywords: ["dark", "light", "console", "editorial", "mode"],
+      perform: () => this.toggle()
+    })
   }
 
   initializeTheme() {
@@ -0,0 +1,172 @@
+// app/javascript/controllers/undo_controller.js
+import { Controller } from "@hotwired/stimulus"
+
+// Shared command history for item mutations. Controllers record a change once the
+// server has accepted it, together with the requests that revert and re-apply it:
+//
+//   document.dispatchEvent(new CustomEvent('undo:record', { detail: {
+//     label: 'Moved "Buy milk" to Done',
+//     undo: [{ url, method: 'PATCH', params: { 'list_item[status]': 'pending' } }],
+//     redo: [{ url, method: 'PATCH', params: { 'list_item[status]': 'completed' } }],
+//     afterUndo: (results) => ..., afterRedo: (results) => ...   // optional DOM fix-ups
+//   }}))
+//
+// Array params are sent as repeated fields (order[]). The hooks get the parsed JSON
+// responses (null for Turbo Stream ones) in request order.
+//
+// Cmd/Ctrl+Z replays the inverse against the same endpoints, Cmd/Ctrl+Shift+Z (or
+// Ctrl+Y) applies the change again. The history lives as long as the page does.
+export default class extends Controller {
+  static values = { limit: { type: Number, default: 50 } }
+
+  connect() {
+    this.undoStack = []
+    this.redoStack = []
+    this.replaying = false
+
+    this.boundRecord = (e) => this.record(e.detail)
+    this.boundUndo = () => this.undo()
+    this.boundKeydown = (e) => this.handleKeydown(e)
+
+    document.addEventListener('undo:record', this.boundRecord)
+    // "Undo" on the success toast (error_handler_controller)
+    document.addEventListener('undo:undo', this.boundUndo)
+    document.addEventListener('keydown', this.boundKeydown)
+  }
+
+  disconnect() {
+    document.removeEventListener('undo:record', this.boundRecord)
+    document.removeEventListener('undo:undo', this.boundUndo)
+    document.removeEventListener('keydown', this.boundKeydown)
+  }
+
+  record(command) {
+    if (!command?.undo?.length) return
+
+    this.undoStack.push(command)
+    if (this.undoStack.length > this.limitValue) this.undoStack.shift()
+    // A new change makes the undone ones unreachable
+    this.redoStack = []
+
+    this.showToast({
+      title: 'Done',
+      message: command.label,
+      actions: ['undo', 'dismiss'],
+      severity: 'success',
+      undoEvent: 'undo:undo'
+    })
+  }
+
+  handleKeydown(event) {
+    if (!(event.metaKey || event.ctrlKey) || event.altKey) return
+    // Text fields keep their own undo
+    if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return
+
+    const key = event.key.toLowerCase()
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault()
+      this.undo()
+    } else if ((key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey)) {
+      event.preventDefault()
+      this.redo()
+    }
+  }
+
+  async undo() {
+    if (this.replaying || this.undoStack.length === 0) return
+
+    const command = this.undoStack.pop()
+    const results = await this.replay(command, command.undo, 'Undo')
+    if (results) {
+      command.afterUndo?.(results)
+      this.redoStack.push(command)
+      this.showToast({
+        title: 'Undone',
+        message: command.label,
+        actions: ['dismiss'],
+        severity: 'info'
+      })
+    }
+  }
+
+  async redo() {
+    if (this.replaying || this.redoStack.length === 0) return
+
+    const command = this.redoStack.pop()
+    const results = await this.replay(command, command.redo || [], 'Redo')
+    if (results) {
+      command.afterRedo?.(results)
+      this.undoStack.push(command)
+      this.showToast({
+        title: 'Redone',
+        message: command.label,
+        actions: ['undo', 'dismiss'],
+        severity: 'success',
+        undoEvent: 'undo:undo'
+      })
+    }
+  }
+
+  // Send the requests in order; a failure drops the command, since the item has
+  // probably been changed or deleted by someone else since it was recorded
+  async replay(command, requests, verb) {
+    this.replaying = true
+
+    try {
+      const results = []
+      for (const request of requests) {
+        results.push(await this.send(request))
+      }
+      return results
+    } catch (error) {
+      console.error(`${verb} failed:`, error)
+      this.showToast({
+        title: `${verb} Failed`,
+        message: `Couldn't ${verb.toLowerCase()}: ${command.label}. The item may have changed since.`,
+        actions: ['dismiss'],
+        severity: 'error'
+      })
+      return null
+    } finally {
+      this.replaying = false
+    }
+  }
+
+  async send({ url, method = 'PATCH', params = {}, accept = 'text/vnd.turbo-stream.html, application/json' }) {
+    const body = new FormData()
+    Object.entries(params).forEach(([key, value]) => {
+      [].concat(value ?? '').forEach(entry => body.append(key, entry ?? ''))
+    })
+
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        'Accept': accept,
+        'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content || ''
+      }
+    })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const contentType = response.headers.get('Content-Type') || ''
+    if (contentType.includes('turbo-stream')) {
+      Turbo.renderStreamMessage(await response.text())
+      // Turbo applies stream actions on the next frame; afterUndo/afterRedo expect them done
+      await new Promise(resolve => requestAnimationFrame(resolve))
+    } else if (contentType.includes('json')) {
+      return response.json()
+    }
+    return null
+  }
+
+  showToast(config) {
+    document.dispatchEvent(new CustomEvent('error-handler:show', {
+      detail: {
+        type: 'undo',
+        autoHide: true,
+        autoHideDelay: 6000,
+        ...config
+      }
+    }))
+  }
+}
@@ -1,43 +1,176 @@
 // app/javascript/controllers/unified_chat_controller.js
 // Handles unified chat interactions across all contexts (dashboard, floating, etc.)
+//
+// Slash commands come from a registry. The server provides the commands it handles
+// (ChatUiContext#commands) through commandsValue, and more can be registered at runtime
+// by dispatching "chat:register-commands" on document with { commands: [...] }.
+// A command looks like
+//
+//   { name: "/browse", description: "...", args: [{ name, required, options: [], source: "lists" }] }
+//
+// Commands without arguments are sent as soon as they're picked; the palette then
+// suggests values for the first argument from its options and source.
+//
+// Editing a message (its Edit button, or Up in an empty input for the last one) and
+// regenerating a reply both branch the chat on the server; the response swaps the
+// panel for the new branch, and the header switches between branches.
+//
+// Unsent text is kept as a draft per chat in localStorage. Messages sent while
+// connection_status_controller reports us offline (or whose request never reached the
+// server) wait in a per-chat outbox, shown as pending bubbles, and are sent in order
+// once the connection is back, with the signed ids of any files that had finished
+// uploading. Tabs open on the same chat share the outbox, and a Web Lock makes sure
+// only one of them sends it.
+//
+// Files can be dropped on the chat, pasted or picked. Each uploads straight to storage
+// (ActiveStorage direct upload) with a thumbnail and progress in the tray above the
+// input, and is sent with the message as a signed blob id. A CSV or markdown file can be
+// turned into a list ("Make a list from this file").
 
 import { Controller } from "@hotwired/stimulus"
+import { DirectUpload } from "@rails/activestorage"
+import { fuzzyMatch } from "../helpers/fuzzy_match"
 
 export default class extends Controller {
   static targets = [
     "messagesContainer",
     "messageForm",
     "messageInput",
-    "submitButton"
+    "submitButton",
+    "jumpButton",
+    "editBanner",
+    "attachmentTray",
+    "fileInput"
   ]
 
+  // How close to the bottom (px) still counts as following the conversation
+  static stickThreshold = 80
+
+  static draftKeyPrefix = "chat-draft:"
+  static outboxKeyPrefix = "chat-outbox:"
+
   static values = {
     chatId: String,
-    location: String
+    location: String,
+    commands: { type: Array, default: [] },
+    referencesUrl: String,
+    directUploadUrl: String,
+    maxFiles: { type: Number, default: 5 },
+    maxFileSize: { type: Number, default: 10 * 1024 * 1024 }
+  }
+
+  // Files that ListFileParser can turn into a list
+  static listFileExtensions = ["csv", "md", "markdown"]
+
+  // Looks up suggestions for an argument's `source`
+  static argumentSources = {
+    lists: async (controller, query) => {
+      if (!query || !controller.hasReferencesUrlValue) return []
+
+      const response = await fetch(`${controller.referencesUrlValue}?q=${encodeURIComponent(query)}`, {
+        headers: { "Accept": "application/json" }
+      })
+      if (!response.ok) return []
+
+      const references = await response.json()
+      return references.filter((reference) => reference.type === "list").map((reference) => reference.title)
+    }
   }
 
   connect() {
+    this.boundRegisterCommandsFromEvent = (event) => this.registerCommands(event.detail?.commands || [])
+    document.addEventListener("chat:register-commands", this.boundRegisterCommandsFromEvent)
+
+    // Follow new messages until the user scrolls up to read earlier ones
+    this.followingLatest = true
+    this.boundTrackScroll = this.trackScroll.bind(this)
+    this.messagesContainerTarget.addEventListener("scroll", this.boundTrackScroll, { passive: true })
+
+    this.attachments = []
+
+    // Pick up where the user left off in this chat
+    this.online = navigator.onLine
+    this.boundConnectionChange = this.handleConnectionChange.bind(this)
+    document.addEventListener("connection:status-changed", this.boundConnectionChange)
+    this.restoreDraft()
+    this.renderOutbox()
+    if (this.online) this.flushOutbox()
+
+    // Another tab queued or sent messages from the shared outbox
+    this.boundOutboxChanged = (event) => {
+      if (event.key === this.outboxKey) this.renderOutbox()
+    }
+    window.addEventListener("storage", this.boundOutboxChanged)
+
     // Scroll to bottom immediately on connect
     this.autoScrollToBottom()
 
     // Auto-focus input on connect
     setTimeout(() => this.messageInputTarget.focus(), 100)
 
-    // Set up input listeners for Enter key
+    // Set up input listeners for Enter key; the open command palette gets the keys first
     this.messageInputTarget.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" && !e.shiftKey) {
+      if (this.handlePaletteKeydown(e)) return
+
+      if (e.key === "ArrowUp" && !this.editUrl && this.messageInputTarget.value === "") {
+        if (this.editLastMessage()) e.preventDefault()
+        return
+      }
+
+      if (e.key === "Escape" && this.editUrl) {
+        e.preventDefault()
+        this.cancelEditing()
+        return
+      }
+
+      if (e.key === "Enter" && !e.shiftKey && !e.defaultPrevented) {
         e.preventDefault()
         this.messageFormTarget.requestSubmit()
       }
     })
 
+    // Close the palette when focus moves elsewhere (clicks on it land first)
+    this.messageInputTarget.addEventListener("blur", () => {
+      setTimeout(() => this.hideCommandPalette(), 150)
+    })
+
     // Show command palette when "/" is typed
     this.messageInputTarget.addEventListener("input", (e) => {
       this.handleCommandInput(e)
+      this.saveDraft()
     })
 
     // Clear input field when form is submitted
     this.messageFormTarget.addEventListener("submit", (e) => {
+      // Sending a message always jumps back to the latest reply
+      this.scrollToLatest()
+      this.hideCommandPalette()
+
+      // An edited message goes to edit_message instead; stop Turbo submitting the form
+      if (this.editUrl) {
+        e.preventDefault()
+        this.sendEdit()
+        return
+      }
+
+      if (this.attachments.some((attachment) => attachment.status === "uploading")) {
+        e.preventDefault()
+        this.notify("Still uploading", "Wait for your files to finish uploading, then send.")
+        return
+      }
+
+      // Hold the message until we're back online; uploaded files wait with it
+      const files = this.uploadedFiles()
+      if (!this.online) {
+        e.preventDefault()
+        this.queueMessage(this.messageInputTarget.value, files)
+      }
+      this.submittedFiles = files
+      this.clearDraft()
+
+      // Turbo has read the signed ids from the form by the time this runs
+      setTimeout(() => this.clearAttachments(), 0)
+
       // Clear input immediately on form submission
       setTimeout(() => {
         this.messageInputTarget.value = ''
@@ -45,13 +178,507 @@ export default class extends Controller {
       }, 0)
     })
 
+    // A message whose request never reached the server goes to the outbox instead of being lost
+    this.messageFormTarget.addEventListener("turbo:submit-end", (e) => {
+      if (e.detail.fetchResponse) return
+
+      this.queueMessage(e.detail.formSubmission.formData.get("message[content]"), this.submittedFiles)
+    })
+
     // Auto-scroll to bottom when new messages arrive
     this.setupAutoScroll()
   }
 
 
   disconnect() {
-    // Clean up listeners if needed
+    document.removeEventListener("chat:register-commands", this.boundRegisterCommandsFromEvent)
+    document.removeEventListener("connection:status-changed", this.boundConnectionChange)
+    window.removeEventListener("storage", this.boundOutboxChanged)
+    clearTimeout(this.argumentLookupTimeout)
+    this.autoScrollObserver?.disconnect()
+    this.messagesContainerTarget.removeEventListener("scroll", this.boundTrackScroll)
+    this.attachments.forEach((attachment) => this.releaseAttachment(attachment))
+  }
+
+  /**
+   * Ask the server to stop generating the pending response.
+   * The job keeps what was generated so far and replaces the typing indicator with it.
+   */
+  async stopGeneration(event) {
+    const button = event.currentTarget
+    button.disabled = true
+    button.textContent = "Stopping..."
+
+    try {
+      const response = await fetch(button.dataset.url, {
+        method: "POST",
+        headers: { "X-CSRF-Token": this.getCsrfToken() }
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    } catch (error) {
+      console.error("Failed to stop generation:", error)
+      button.disabled = false
+      button.textContent = "Stop"
+    }
+  }
+
+  /**
+   * Load one of the user's messages into the input for editing.
+   * Sending it branches the chat at that message; the original stays in the switcher.
+   */
+  editMessage(event) {
+    const button = event.currentTarget
+    this.startEditing(button.dataset.url, button.dataset.content)
+  }
+
+  // Up in an empty input edits the last message the user sent
+  editLastMessage() {
+    const buttons = this.messagesContainerTarget.querySelectorAll('[data-action~="unified-chat#editMessage"]')
+    const last = buttons[buttons.length - 1]
+    if (!last) return false
+
+    this.startEditing(last.dataset.url, last.dataset.content)
+    return true
+  }
+
+  startEditing(url, content) {
+    this.editUrl = url
+    this.editBannerTarget.hidden = false
+    this.messageInputTarget.value = content
+    this.messageInputTarget.focus()
+    this.messageInputTarget.setSelectionRange(content.length, content.length)
+  }
+
+  cancelEditing() {
+    if (!this.editUrl) return
+
+    this.editUrl = null
+    this.editBannerTarget.hidden = true
+    this.messageInputTarget.value = ""
+    this.restoreDraft()
+  }
+
+  async sendEdit() {
+    const content = this.messageInputTarget.value.trim()
+    if (!content) return
+
+    const url = this.editUrl
+    this.cancelEditing()
+    await this.requestBranch(url, { content })
+  }
+
+  /**
+   * Regenerate an assistant reply in a new branch, from the prompt that produced it
+   */
+  async regenerateMessage(event) {
+    const button = event.currentTarget
+    button.disabled = true
+
+    if (!(await this.requestBranch(button.dataset.url))) button.disabled = false
+  }
+
+  // POSTs to edit_message or regenerate_message; the Turbo Stream response replaces
+  // this chat with the new branch (or shows why the message was blocked)
+  async requestBranch(url, params = {}) {
+    const body = new FormData()
+    Object.entries({ ...params, location: this.locationValue }).forEach(([name, value]) => body.append(name, value))
+
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Accept": "text/vnd.turbo-stream.html", "X-CSRF-Token": this.getCsrfToken() },
+        body
+      })
+
+      if (response.headers.get("Content-Type")?.includes("turbo-stream")) {
+        Turbo.renderStreamMessage(await response.text())
+        return response.ok
+      }
+
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || `HTTP ${response.status}`)
+    } catch (error) {
+      console.error("Failed to branch chat:", error)
+      document.dispatchEvent(new CustomEvent("error-handler:show", {
+        detail: { type: "chat", title: "Message not sent", message: error.message, actions: ["dismiss"], severity: "error", autoHide: false }
+      }))
+      return false
+    }
+  }
+
+  // ============================================================================
+  // DRAFTS AND OUTBOX
+  // ============================================================================
+
+  get draftKey() {
+    return `${this.constructor.draftKeyPrefix}${this.chatIdValue}`
+  }
+
+  get outboxKey() {
+    return `${this.constructor.outboxKeyPrefix}${this.chatIdValue}`
+  }
+
+  saveDraft() {
+    // The input holds the message being edited, not a draft
+    if (this.editUrl) return
+
+    const text = this.messageInputTarget.value
+    if (text.trim()) {
+      localStorage.setItem(this.draftKey, text)
+    } else {
+      localStorage.removeItem(this.draftKey)
+    }
+  }
+
+  restoreDraft() {
+    const draft = localStorage.getItem(this.draftKey)
+    if (draft && !this.messageInputTarget.value) this.messageInputTarget.value = draft
+  }
+
+  clearDraft() {
+    localStorage.removeItem(this.draftKey)
+  }
+
+  readOutbox() {
+    try {
+      return JSON.parse(localStorage.getItem(this.outboxKey) || "[]")
+    } catch {
+      return []
+    }
+  }
+
+  writeOutbox(entries) {
+    if (entries.length > 0) {
+      localStorage.setItem(this.outboxKey, JSON.stringify(entries))
+    } else {
+      localStorage.removeItem(this.outboxKey)
+    }
+  }
+
+  // files are { signedId, name } of uploads sent with the message
+  queueMessage(content, files = []) {
+    content = (content || "").trim()
+    if (!content && files.length === 0) return
+
+    const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, content, files }
+    this.writeOutbox([...this.readOutbox(), entry])
+    this.renderOutboxEntry(entry)
+    this.scrollToLatest()
+  }
+
+  discardQueuedMessage(event) {
+    const id = event.currentTarget.dataset.outboxId
+    this.writeOutbox(this.readOutbox().filter((entry) => entry.id !== id))
+    this.outboxRow(id)?.remove()
+  }
+
+  handleConnectionChange(event) {
+    const wasOnline = this.online
+    // Degraded and slow connections still get messages through
+    this.online = event.detail.status !== "offline"
+
+    if (this.online && !wasOnline) this.flushOutbox()
+  }
+
+  // Sends queued messages one at a time, oldest first, stopping at the first that can't get through.
+  // If another tab on this chat holds the outbox lock it is already sending them, so this one doesn't.
+  async flushOutbox() {
+    if (this.flushingOutbox) return
+    this.flushingOutbox = true
+
+    try {
+      if (navigator.locks) {
+        await navigator.locks.request(this.outboxKey, { ifAvailable: true }, (lock) => lock && this.sendOutbox())
+      } else {
+        await this.sendOutbox()
+      }
+    } finally {
+      this.flushingOutbox = false
+    }
+  }
+
+  async sendOutbox() {
+    let entry
+    while (this.online && (entry = this.readOutbox()[0])) {
+      if (!(await this.sendQueuedMessage(entry))) break
+    }
+  }
+
+  // Returns false when the message is still waiting for a connection
+  async sendQueuedMessage(entry) {
+    this.setOutboxStatus(entry.id, "Sending…")
+
+    const body = new FormData()
+    body.append("message[content]", entry.content)
+    ;(entry.files || []).forEach((file) => body.append("message[files][]", file.signedId))
+
+    let response
+    try {
+      response = await fetch(this.messageFormTarget.action, {
+        method: "POST",
+        headers: { "Accept": "text/vnd.turbo-stream.html", "X-CSRF-Token": this.getCsrfToken() },
+        body
+      })
+    } catch (error) {
+      console.warn("Queued message not sent yet:", error)
+      this.setOutboxStatus(entry.id, "Waiting for connection…")
+      return false
+    }
+
+    // Delivered or turned down by the server either way, so it leaves the outbox
+    this.writeOutbox(this.readOutbox().filter((queued) => queued.id !== entry.id))
+    this.outboxRow(entry.id)?.remove()
+
+    if (response.headers.get("Content-Type")?.includes("turbo-stream")) {
+      Turbo.renderStreamMessage(await response.text())
+    } else if (!response.ok) {
+      document.dispatchEvent(new CustomEvent("error-handler:show", {
+        detail: { type: "chat", title: "Message not sent", message: `"${entry.content}" couldn't be sent (HTTP ${response.status}).`, actions: ["dismiss"], severity: "error", autoHide: false }
+      }))
+    }
+    return true
+  }
+
+  renderOutbox() {
+    this.messagesContainerTarget.querySelectorAll("[data-outbox-id]").forEach((row) => row.remove())
+    this.readOutbox().forEach((entry) => this.renderOutboxEntry(entry))
+  }
+
+  renderOutboxEntry(entry) {
+    const row = document.createElement("div")
+    row.className = "chat-message user mb-3"
+    row.dataset.outboxId = entry.id
+    const files = (entry.files || []).map((file) => this.escapeHtml(file.name)).join(", ")
+    row.innerHTML = `
+      <div class="flex justify-end">
+        <div class="message-content opacity-60">
+          ${this.escapeHtml(entry.content)}
+          ${files ? `<div class="mt-1 text-xs">Attached: ${files}</div>` : ""}
+        </div>
+      </div>
+      <div class="flex justify-end items-center gap-2 mt-1 text-xs text-ink-muted pr-2">
+        <span data-outbox-status role="status">Waiting for connection…</span>
+        <button type="button"
+                class="hover:text-accent underline"
+                data-action="unified-chat#discardQueuedMessage"
+                data-outbox-id="${entry.id}">
+          Discard
+        </button>
+      </div>
+    `
+    this.messagesContainerTarget.appendChild(row)
+  }
+
+  outboxRow(id) {
+    return this.messagesContainerTarget.querySelector(`[data-outbox-id="${CSS.escape(id)}"]`)
+  }
+
+  setOutboxStatus(id, text) {
+    const status = this.outboxRow(id)?.querySelector("[data-outbox-status]")
+    if (status) status.textContent = text
+  }
+
+  // ============================================================================
+  // ATTACHMENTS
+  // ============================================================================
+
+  openFilePicker() {
+    this.fileInputTarget.click()
+  }
+
+  pickFiles() {
+    this.addFiles(this.fileInputTarget.files)
+    this.fileInputTarget.value = ""
+  }
+
+  pasteFiles(event) {
+    const files = event.clipboardData?.files
+    if (!files || files.length === 0) return
+
+    event.preventDefault()
+    this.addFiles(files)
+  }
+
+  dragOver(event) {
+    if (!event.dataTransfer?.types.includes("Files")) return
+
+    event.preventDefault()
+    this.element.classList.add("ring-2", "ring-accent")
+  }
+
+  dragLeave(event) {
+    if (this.element.contains(event.relatedTarget)) return
+
+    this.element.classList.remove("ring-2", "ring-accent")
+  }
+
+  dropFiles(event) {
+    if (!event.dataTransfer?.files.length) return
+
+    event.preventDefault()
+    this.element.classList.remove("ring-2", "ring-accent")
+    this.addFiles(event.dataTransfer.files)
+  }
+
+  addFiles(files) {
+    for (const file of Array.from(files)) {
+      if (this.attachments.length >= this.maxFilesValue) {
+        this.notify("Too many files", `You can attach up to ${this.maxFilesValue} files to a message.`)
+        break
+      }
+      if (file.size > this.maxFileSizeValue) {
+        this.notify("File too large", `${file.name} is larger than ${Math.round(this.maxFileSizeValue / 1024 / 1024)} MB.`)
+        continue
+      }
+
+      this.uploadFile(file)
+    }
+    this.messageInputTarget.focus()
+  }
+
+  uploadFile(file) {
+    const attachment = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      file,
+      status: "uploading",
+      previewUrl: file.type.startsWith("image/") ? URL.createObjectURL(file) : null
+    }
+    this.attachments.push(attachment)
+    this.renderAttachment(attachment)
+
+    // DirectUpload calls back with the XHR so progress can be shown and the upload aborted
+    const delegate = {
+      directUploadWillStoreFileWithXHR: (request) => {
+        attachment.request = request
+        request.upload.addEventListener("progress", (event) => {
+          if (event.lengthComputable) this.setAttachmentProgress(attachment, event.loaded / event.total)
+        })
+      }
+    }
+
+    new DirectUpload(file, this.directUploadUrlValue, delegate).create((error, blob) => {
+      // Removed while it was uploading
+      if (!this.attachments.includes(attachment)) return
+
+      if (error) {
+        console.error("Attachment upload failed:", error)
+        attachment.status = "failed"
+        this.setAttachmentStatus(attachment, "Upload failed")
+        return
+      }
+
+      attachment.status = "uploaded"
+      attachment.input = document.createElement("input")
+      attachment.input.type = "hidden"
+      attachment.input.name = "message[files][]"
+      attachment.input.value = blob.signed_id
+      this.messageFormTarget.appendChild(attachment.input)
+      this.setAttachmentProgress(attachment, 1)
+      this.setAttachmentStatus(attachment, "")
+      this.offerListFromFile(attachment)
+    })
+  }
+
+  removeAttachment(event) {
+    const attachment = this.attachments.find((candidate) => candidate.id === event.currentTarget.dataset.attachmentId)
+    if (!attachment) return
+
+    this.attachments = this.attachments.filter((candidate) => candidate !== attachment)
+    this.releaseAttachment(attachment)
+    this.attachmentTrayTarget.hidden = this.attachments.length === 0
+    this.messageInputTarget.focus()
+  }
+
+  // Signed ids and names of the files that finished uploading, as kept in the outbox
+  uploadedFiles() {
+    return this.attachments
+      .filter((attachment) => attachment.status === "uploaded")
+      .map((attachment) => ({ signedId: attachment.input.value, name: attachment.file.name }))
+  }
+
+  clearAttachments() {
+    this.attachments.forEach((attachment) => this.releaseAttachment(attachment))
+    this.attachments = []
+    this.attachmentTrayTarget.hidden = true
+  }
+
+  releaseAttachment(attachment) {
+    if (attachment.status === "uploading") attachment.request?.abort()
+    if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl)
+    attachment.input?.remove()
+    attachment.element?.remove()
+  }
+
+  renderAttachment(attachment) {
+    const item = document.createElement("li")
+    item.className = "relative flex items-center gap-2 max-w-[12rem] pl-1 pr-6 py-1 rounded-md border border-rule bg-surface-raised text-xs text-ink"
+
+    const preview = attachment.previewUrl
+      ? `<img src="${attachment.previewUrl}" alt="" class="w-8 h-8 object-cover rounded-sm">`
+      : `<span class="w-8 h-8 flex items-center justify-center rounded-sm bg-surface-sunken text-ink-muted font-mono uppercase">${this.escapeHtml(this.fileExtension(attachment.file.name).slice(0, 4))}</span>`
+
+    item.innerHTML = `
+      ${preview}
+      <span class="min-w-0 flex-1">
+        <span class="block truncate">${this.escapeHtml(attachment.file.name)}</span>
+        <span class="block h-1 mt-1 rounded-full bg-surface-sunken overflow-hidden">
+          <span data-attachment-progress class="block h-full w-0 bg-accent transition-all"></span>
+        </span>
+        <span data-attachment-status class="block text-ink-muted" role="status">Uploading…</span>
+      </span>
+      <button type="button"
+              class="absolute top-1 right-1 text-ink-muted hover:text-accent"
+              data-action="unified-chat#removeAttachment"
+              data-attachment-id="${attachment.id}"
+              aria-label="Remove ${this.escapeHtml(attachment.file.name)}">×</button>
+    `
+
+    attachment.element = item
+    this.attachmentTrayTarget.appendChild(item)
+    this.attachmentTrayTarget.hidden = false
+  }
+
+  setAttachmentProgress(attachment, fraction) {
+    const bar = attachment.element?.querySelector("[data-attachment-progress]")
+    if (bar) bar.style.width = `${Math.round(fraction * 100)}%`
+  }
+
+  setAttachmentStatus(attachment, text) {
+    const status = attachment.element?.querySelector("[data-attachment-status]")
+    if (!status) return
+
+    status.textContent = text
+    status.hidden = text === ""
+  }
+
+  // CSV and markdown files can become a list
+  offerListFromFile(attachment) {
+    if (!this.constructor.listFileExtensions.includes(this.fileExtension(attachment.file.name))) return
+
+    const status = attachment.element?.querySelector("[data-attachment-status]")
+    if (!status) return
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "text-accent hover:underline"
+    button.textContent = "Make a list from this file"
+    button.addEventListener("click", () => {
+      this.messageInputTarget.value = `Make a list from ${attachment.file.name}`
+      this.messageInputTarget.focus()
+    })
+
+    status.replaceChildren(button)
+    status.hidden = false
+  }
+
+  fileExtension(name) {
+    return name.includes(".") ? name.split(".").pop().toLowerCase() : ""
+  }
+
+  notify(title, message) {
+    document.dispatchEvent(new CustomEvent("error-handler:show", {
+      detail: { type: "chat", title, message, actions: ["dismiss"], severity: "warning", autoHide: true }
+    }))
   }
 
   /**
@@ -63,6 +690,37 @@ export default class extends Controller {
     this.messageInputTarget.focus()
   }
 
+  // ============================================================================
+  // COMMAND REGISTRY
+  // ============================================================================
+
+  commandsValueChanged() {
+    this.registerCommands(this.commandsValue)
+  }
+
+  /**
+   * Add commands to the registry; a command with the same name replaces the earlier one
+   */
+  registerCommands(commands) {
+    this.commandRegistry ||= new Map()
+
+    commands.forEach((command) => {
+      if (!command?.name?.startsWith("/")) {
+        console.warn("Ignoring invalid chat command:", command)
+        return
+      }
+      this.commandRegistry.set(command.name, { description: "", ...command, args: command.args || [] })
+    })
+  }
+
+  get registeredCommands() {
+    return Array.from((this.commandRegistry || new Map()).values())
+  }
+
+  findCommand(name) {
+    return this.commandRegistry?.get(name)
+  }
+
   /**
    * Insert command into input when suggestion is clicked
    */
@@ -71,93 +729,267 @@ export default class extends Controller {
     const button = event.target.closest("button")
     if (!button) return
 
-    const command = button.dataset.command
-    this.messageInputTarget.value = command
+    const command = this.findCommand(button.dataset.command)
+    if (command) {
+      this.chooseCommand(command)
+    } else {
+      // Context suggestions the registry doesn't know about are inserted as typed
+      this.messageInputTarget.value = `${button.dataset.command} `
+      this.hideCommandPalette()
+      this.messageInputTarget.focus()
+    }
+  }
+
+  // Commands without arguments are sent right away; the rest wait for their argument
+  chooseCommand(command) {
+    this.hideCommandPalette()
+
+    if (command.args.length === 0) {
+      this.messageInputTarget.value = command.name
+      this.messageFormTarget.requestSubmit()
+      return
+    }
+
+    this.messageInputTarget.value = `${command.name} `
+    this.messageInputTarget.focus()
+    this.handleCommandInput()
+  }
+
+  chooseArgument(command, value, submit) {
+    this.messageInputTarget.value = `${command.name} ${value}`
     this.hideCommandPalette()
+    this.messageInputTarget.focus()
+    if (submit) this.messageFormTarget.requestSubmit()
+  }
 
-    // Commands that auto-submit (don't require parameters)
-    const autoSubmitCommands = ['/help', '/clear', '/new']
+  // ============================================================================
+  // COMMAND PALETTE
+  // ============================================================================
 
-    // Auto-submit only for commands that don't need parameters
-    if (autoSubmitCommands.includes(command)) {
-      setTimeout(() => {
-        this.messageFormTarget.requestSubmit()
-      }, 50)
-    } else {
-      // For /search and /browse, focus input and let user add parameters
-      this.messageInputTarget.focus()
+  /**
+   * Show the palette while the input starts with "/": matching commands while the
+   * name is typed, then suggestions for the command's argument
+   */
+  handleCommandInput() {
+    const value = this.messageInputTarget.value
+    clearTimeout(this.argumentLookupTimeout)
+
+    const nameMatch = /^\/(\S*)$/.exec(value)
+    if (nameMatch) {
+      this.showCommandSuggestions(nameMatch[1])
+      return
+    }
+
+    const argumentMatch = /^(\/\S+)\s+(.*)$/.exec(value)
+    const command = argumentMatch && this.findCommand(argumentMatch[1])
+    if (command && command.args.length > 0) {
+      this.showArgumentSuggestions(command, argumentMatch[2])
+      return
     }
+
+    this.hideCommandPalette()
+  }
+
+  showCommandSuggestions(query) {
+    const items = this.registeredCommands
+      .map((command, order) => ({ command, order, match: fuzzyMatch(query, command.name.slice(1)) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+      .map(({ command, match }) => ({
+        html: `
+          <span class="font-mono text-blue-600">${this.highlight(command.name, match.positions.map((position) => position + 1))}</span>
+          ${this.escapeHtml(this.usage(command).slice(command.name.length))}
+          <span class="text-gray-500">- ${this.escapeHtml(command.description)}</span>
+        `,
+        choose: () => this.chooseCommand(command),
+        complete: () => {
+          this.messageInputTarget.value = command.args.length > 0 ? `${command.name} ` : command.name
+          this.handleCommandInput()
+        }
+      }))
+
+    this.renderPalette(items, "No matching commands")
+  }
+
+  showArgumentSuggestions(command, typed) {
+    const argument = command.args[0]
+    const query = typed.trim()
+    const options = (argument.options || []).filter((option) => fuzzyMatch(query, option))
+
+    this.renderArgumentSuggestions(command, argument, options)
+
+    // Source lookups run once typing pauses and only apply if the input hasn't moved on
+    const source = this.constructor.argumentSources[argument.source]
+    if (!source || !query) return
+
+    this.argumentLookupTimeout = setTimeout(async () => {
+      try {
+        const found = await source(this, query)
+        if (this.messageInputTarget.value !== `${command.name} ${typed}`) return
+
+        const merged = [...options, ...found.filter((value) => !options.includes(value))]
+        this.renderArgumentSuggestions(command, argument, merged)
+      } catch (error) {
+        console.error("Command argument lookup failed:", error)
+      }
+    }, 200)
   }
 
+  renderArgumentSuggestions(command, argument, values) {
+    const header = `
+      <div class="px-3 py-1.5 text-xs text-gray-500">
+        <span class="font-mono">${this.escapeHtml(this.usage(command))}</span>
+        ${argument.required ? "" : "· optional"}
+      </div>
+    `
+
+    const items = values.map((value) => ({
+      html: this.escapeHtml(value),
+      choose: () => this.chooseArgument(command, value, true),
+      complete: () => this.chooseArgument(command, value, false)
+    }))
+
+    // Nothing is preselected so Enter sends what was typed
+    this.renderPalette(items, null, { header, preselect: false })
+  }
+
+  // "/browse [status or list name]"
+  usage(command) {
+    const args = command.args.map((arg) => arg.required ? `<${arg.name}>` : `[${arg.name}]`)
+    return [command.name, ...args].join(" ")
+  }
 
   /**
-   * Handle command input for showing command palette
+   * Render the palette's rows; each item has html, choose() for Enter or click and
+   * complete() for Tab
    */
-  handleCommandInput(event) {
-    const value = event.target.value
-    const caretPos = event.target.selectionStart
+  renderPalette(items, emptyText, { header = "", preselect = true } = {}) {
+    this.paletteItems = items
+    this.paletteIndex = preselect && items.length > 0 ? 0 : -1
 
-    // Only show palette at start of input
-    if (value.length === 0 || caretPos === 0) {
+    if (items.length === 0 && !header && !emptyText) {
       this.hideCommandPalette()
       return
     }
 
-    // Check if "/" appears at the beginning of a word
-    const lastChar = value[caretPos - 1]
-    const beforeCaret = value.substring(0, caretPos)
+    const palette = this.commandPalette
+    const rows = items.map((item, index) => `
+      <button type="button"
+              role="option"
+              id="${palette.id}-option-${index}"
+              data-index="${index}"
+              class="block w-full text-left px-3 py-2 hover:bg-blue-50 rounded text-sm">
+        ${item.html}
+      </button>
+    `).join("")
+    const empty = items.length === 0 && emptyText ? `<p class="px-3 py-2 text-sm text-gray-500">${emptyText}</p>` : ""
 
-    if (beforeCaret.endsWith("/")) {
-      this.showCommandPalette(beforeCaret)
-    } else {
-      this.hideCommandPalette()
+    palette.innerHTML = `${header}<div class="p-2" role="listbox">${rows}${empty}</div>`
+    palette.hidden = false
+    this.messageInputTarget.setAttribute("aria-expanded", "true")
+    this.highlightPaletteItem()
+  }
+
+  get commandPalette() {
+    if (!this.paletteElement) {
+      this.paletteElement = document.createElement("div")
+      this.paletteElement.id = `chat-command-palette-${this.chatIdValue}`
+      this.paletteElement.className = "absolute bottom-20 left-0 right-0 bg-white border border-gray-300 rounded-lg shadow-lg max-h-48 overflow-y-auto z-50"
+      this.paletteElement.hidden = true
+
+      // mousedown keeps focus in the input so the blur handler doesn't close us first
+      this.paletteElement.addEventListener("mousedown", (event) => event.preventDefault())
+      this.paletteElement.addEventListener("click", (event) => {
+        const row = event.target.closest("[data-index]")
+        if (row) this.paletteItems[Number(row.dataset.index)]?.choose()
+      })
+
+      this.messageInputTarget.setAttribute("aria-controls", this.paletteElement.id)
+      this.messageFormTarget.appendChild(this.paletteElement)
     }
+    return this.paletteElement
+  }
+
+  get paletteOpen() {
+    return Boolean(this.paletteElement && !this.paletteElement.hidden)
   }
 
   /**
-   * Show command palette
+   * Arrow keys move through the palette, Enter picks, Tab completes, Escape closes.
+   * Returns true when the key was handled.
    */
-  showCommandPalette(beforeCaret) {
-    // Get or create palette element
-    let palette = document.querySelector("[data-unified-chat-target='commandPalette']")
+  handlePaletteKeydown(event) {
+    if (!this.paletteOpen) return false
 
-    if (!palette) {
-      palette = document.createElement("div")
-      palette.dataset.unifiedChatTarget = "commandPalette"
-      palette.className = "absolute bottom-20 left-0 right-0 bg-white border border-gray-300 rounded-lg shadow-lg max-h-48 overflow-y-auto z-50"
-      this.messageFormTarget.appendChild(palette)
+    const count = this.paletteItems.length
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        if (count === 0) return false
+        event.preventDefault()
+        if (this.paletteIndex === -1) {
+          this.paletteIndex = event.key === "ArrowDown" ? 0 : count - 1
+        } else {
+          this.paletteIndex = (this.paletteIndex + (event.key === "ArrowDown" ? 1 : -1) + count) % count
+        }
+        this.highlightPaletteItem()
+        return true
+      case "Enter":
+        if (event.shiftKey || this.paletteIndex === -1) return false
+        event.preventDefault()
+        this.paletteItems[this.paletteIndex].choose()
+        return true
+      case "Tab":
+        if (this.paletteIndex === -1) return false
+        event.preventDefault()
+        this.paletteItems[this.paletteIndex].complete()
+        return true
+      case "Escape":
+        event.preventDefault()
+        this.hideCommandPalette()
+        return true
+      default:
+        return false
     }
+  }
 
-    palette.innerHTML = `
-      <div class="p-2">
-        <button class="block w-full text-left px-3 py-2 hover:bg-blue-50 rounded text-sm" data-action="click->unified-chat#insertCommand" data-command="/search">
-          <span class="font-mono text-blue-600">/search</span> - Search lists
-        </button>
-        <button class="block w-full text-left px-3 py-2 hover:bg-blue-50 rounded text-sm" data-action="click->unified-chat#insertCommand" data-command="/browse">
-          <span class="font-mono text-blue-600">/browse</span> - Browse lists
-        </button>
-        <button class="block w-full text-left px-3 py-2 hover:bg-blue-50 rounded text-sm" data-action="click->unified-chat#insertCommand" data-command="/clear">
-          <span class="font-mono text-blue-600">/clear</span> - Clear chat context
-        </button>
-        <button class="block w-full text-left px-3 py-2 hover:bg-blue-50 rounded text-sm" data-action="click->unified-chat#insertCommand" data-command="/help">
-          <span class="font-mono text-blue-600">/help</span> - Show help
-        </button>
-      </div>
-    `
-    palette.style.display = "block"
+  highlightPaletteItem() {
+    const rows = this.commandPalette.querySelectorAll("[data-index]")
+    rows.forEach((row, index) => {
+      const selected = index === this.paletteIndex
+      row.classList.toggle("bg-blue-50", selected)
+      row.setAttribute("aria-selected", String(selected))
+      if (selected) row.scrollIntoView({ block: "nearest" })
+    })
+
+    const active = rows[this.paletteIndex]
+    if (active) {
+      this.messageInputTarget.setAttribute("aria-activedescendant", active.id)
+    } else {
+      this.messageInputTarget.removeAttribute("aria-activedescendant")
+    }
   }
 
   /**
    * Hide command palette
    */
   hideCommandPalette() {
-    const palette = document.querySelector("[data-unified-chat-target='commandPalette']")
-    if (palette) {
-      palette.style.display = "none"
-    }
-  }
+    if (!this.paletteElement) return
 
+    this.paletteElement.hidden = true
+    this.paletteItems = []
+    this.paletteIndex = -1
+    this.messageInputTarget.setAttribute("aria-expanded", "false")
+    this.messageInputTarget.removeAttribute("aria-activedescendant")
+  }
 
+  // Escape text and bold the matched characters
+  highlight(text, positions) {
+    const matched = new Set(positions)
+    return Array.from(text)
+      .map((char, index) => matched.has(index) ? `<strong>${this.escapeHtml(char)}</strong>` : this.escapeHtml(char))
+      .join("")
+  }
 
   /**
    * Auto-scroll messages container to bottom
@@ -167,15 +999,44 @@ export default class extends Controller {
   }
 
   /**
-   * Setup auto-scroll when new messages arrive
+   * Scroll to the newest message and resume following new ones
+   */
+  scrollToLatest() {
+    this.followingLatest = true
+    this.autoScrollToBottom()
+    this.toggleJumpButton(false)
+  }
+
+  /**
+   * Follow new content only while the user is at (or near) the bottom
+   */
+  trackScroll() {
+    const container = this.messagesContainerTarget
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight
+    this.followingLatest = distanceFromBottom <= this.constructor.stickThreshold
+    if (this.followingLatest) this.toggleJumpButton(false)
+  }
+
+  toggleJumpButton(visible) {
+    if (this.hasJumpButtonTarget) this.jumpButtonTarget.hidden = !visible
+  }
+
+  /**
+   * Setup auto-scroll when new messages arrive or a streamed response grows.
+   * While the user has scrolled up, offer a jump button instead of moving the view.
    */
   setupAutoScroll() {
-    const observer = new MutationObserver(() => {
-      this.autoScrollToBottom()
+    this.autoScrollObserver = new MutationObserver(() => {
+      if (this.followingLatest) {
+        this.autoScrollToBottom()
+      } else {
+        this.toggleJumpButton(true)
+      }
     })
 
-    observer.observe(this.messagesContainerTarget, {
+    this.autoScrollObserver.observe(this.messagesContainerTarget, {
       childList: true,
+      characterData: true,
       subtree: true
     })
   }
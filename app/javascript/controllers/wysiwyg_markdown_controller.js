@@ -80,6 +80,21 @@ export default class extends Controller {
     this.applyEditorStyles(editor)
   }
 
+  // Re-render the editor after the hidden input was replaced from outside (e.g. an auto-save merge)
+  reload() {
+    const editor = this.editorTarget.querySelector('[contenteditable]')
+    if (!editor) return
+
+    this.isUpdatingDOM = true
+    try {
+      editor.innerHTML = this.inputTarget.value ? marked.parse(this.inputTarget.value) : '<p><br></p>'
+    } catch (e) {
+      editor.textContent = this.inputTarget.value
+    }
+    this.applyEditorStyles(editor)
+    this.isUpdatingDOM = false
+  }
+
   syncToHiddenInput(editor) {
     if (this.isUpdatingDOM) return
 
@@ -92,6 +107,8 @@ export default class extends Controller {
       const html = editor.innerHTML
       const markdown = this.htmlToMarkdown(html)
       this.inputTarget.value = markdown
+      // Hidden inputs don't fire change on their own; auto-save listens for it
+      this.inputTarget.dispatchEvent(new Event('change', { bubbles: true }))
 
       // Apply/refresh styling
       this.applyEditorStyles(editor)
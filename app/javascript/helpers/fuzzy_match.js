@@ -0,0 +1,30 @@
+// Fuzzy subsequence matching for the command palettes (spotlight and chat).
+//
+// Returns { score, positions } when every character of the query appears in the text
+// in order, or null. The score favours matches at word starts and runs of consecutive
+// characters; positions are the matched indexes in the text, for highlighting.
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "")
+  const haystack = text.toLowerCase()
+  const positions = []
+  let score = 0
+  let from = 0
+
+  if (!needle) return { score: 0, positions }
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from)
+    if (index === -1) return null
+
+    const wordStart = index === 0 || /[\s\-_/]/.test(haystack[index - 1])
+    const consecutive = positions.length > 0 && positions[positions.length - 1] === index - 1
+    score += 1 + (wordStart ? 3 : 0) + (consecutive ? 2 : 0)
+
+    positions.push(index)
+    from = index + 1
+  }
+
+  // Earlier and tighter matches rank higher
+  score -= positions[0] * 0.1 + (positions[positions.length - 1] - positions[0] - positions.length + 1) * 0.05
+  return { score, positions }
+}
@@ -0,0 +1,31 @@
+module Connectors
+  # Push a list item that was converted to an event into the user's connected calendar
+  class PushItemEventJob < Connectors::BaseJob
+    protected
+
+    def call(list_item_id:)
+      return unless connector_account.active?
+
+      item = ListItem.find_by(id: list_item_id)
+      return unless item&.start_date
+
+      service_class = case connector_account.provider
+      when "google_calendar"
+        Connectors::Google::EventSyncService
+      when "microsoft_outlook"
+        Connectors::Microsoft::EventSyncService
+      end
+      return unless service_class
+
+      service_class.new(connector_account: connector_account).push_events([
+        {
+          id: item.id,
+          title: item.title,
+          description: item.description,
+          start_time: item.start_date.utc,
+          end_time: (item.due_date || item.start_date + 1.hour).utc
+        }
+      ])
+    end
+  end
+end
@@ -0,0 +1,27 @@
+# app/jobs/due_item_notification_job.rb
+#
+# Runs hourly (config/recurring.yml) and notifies assignees, or the list owner for
+# unassigned items, about open items due in the coming hour. Each run covers the
+# hour it starts in, so with the hourly schedule an item is only announced once.
+class DueItemNotificationJob < ApplicationJob
+  queue_as :default
+
+  def perform(window_start = Time.current.beginning_of_hour)
+    window = window_start...(window_start + 1.hour)
+
+    ListItem.where(due_date: window)
+            .where.not(status: :completed)
+            .includes(:assigned_user, list: :owner)
+            .find_each do |item|
+      recipient = item.assigned_user || item.list.owner
+      next unless recipient
+
+      DueItemNotifier.with(
+        list_id: item.list_id,
+        item_id: item.id,
+        item_title: item.title,
+        due_date: item.due_date.iso8601
+      ).deliver([ recipient ])
+    end
+  end
+end
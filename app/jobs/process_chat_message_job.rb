@@ -162,7 +162,10 @@ class ProcessChatMessageJob < ApplicationJob
 
   def process_with_completion_service(chat, message, user)
     context = chat.build_ui_context(location: :dashboard)
-    service = ChatCompletionService.new(chat, message, context)
+    streamer = ChatResponseStreamer.new(chat: chat, user_message: message)
+    return broadcast_stopped_response(chat, streamer) if streamer.stop_requested?
+
+    service = ChatCompletionService.new(chat, message, context, streamer: streamer)
     result = service.call
 
     if result.success?
@@ -181,6 +184,20 @@ class ProcessChatMessageJob < ApplicationJob
     end
 
     broadcast_assistant_response(chat, assistant_message)
+  rescue ChatResponseStreamer::Stopped
+    broadcast_stopped_response(chat, streamer)
+  end
+
+  # Keep whatever was generated before the user pressed Stop
+  def broadcast_stopped_response(chat, streamer)
+    stopped_message = Message.create_assistant(
+      chat: chat,
+      content: streamer.content.strip.presence || "Stopped before a response was generated."
+    )
+    stopped_message.update(metadata: stopped_message.metadata.merge("stopped" => true))
+    chat.update(last_message_at: Time.current)
+
+    broadcast_assistant_response(chat, stopped_message)
   end
 
   def broadcast_assistant_response(chat, assistant_message)
@@ -2,13 +2,15 @@
 #
 # Table name: board_columns
 #
-#  id         :uuid             not null, primary key
-#  metadata   :json
-#  name       :string           not null
-#  position   :integer          default(0), not null
-#  created_at :datetime         not null
-#  updated_at :datetime         not null
-#  list_id    :uuid             not null
+#  id                :uuid             not null, primary key
+#  enforce_wip_limit :boolean          default(FALSE), not null
+#  metadata          :json
+#  name              :string           not null
+#  position          :integer          default(0), not null
+#  wip_limit         :integer
+#  created_at        :datetime         not null
+#  updated_at        :datetime         not null
+#  list_id           :uuid             not null
 #
 # Indexes
 #
@@ -21,4 +23,24 @@
 class BoardColumn < ApplicationRecord
   belongs_to :list
   has_many :list_items, dependent: :nullify
+
+  validates :wip_limit, numericality: { only_integer: true, greater_than: 0 }, allow_nil: true
+
+  def wip_limit?
+    wip_limit.present?
+  end
+
+  # True once the column holds as many items as its WIP limit allows
+  def wip_limit_reached?
+    wip_limit? && list_items.count >= wip_limit
+  end
+
+  def wip_limit_exceeded?
+    wip_limit? && list_items.count > wip_limit
+  end
+
+  # Whether another item may be moved into this column
+  def accepts_items?
+    !enforce_wip_limit? || !wip_limit_reached?
+  end
 end
@@ -7,29 +7,32 @@
 #
 # Table name: chats
 #
-#  id                                             :uuid             not null, primary key
-#  context                                        :json
-#  conversation_state                             :string           default("stable")
-#  focused_resource_type                          :string
-#  last_cleanup_at                                :datetime
-#  last_message_at                                :datetime
-#  last_stable_at                                 :datetime
-#  metadata                                       :json
-#  model_id_string                                :string
-#  status                                         :string           default("active")
-#  title                                          :string(255)
-#  visibility                                     :string           default("private")
-#  created_at                                     :datetime         not null
-#  updated_at                                     :datetime         not null
-#  chat_context_id(Reference to the chat context) :uuid
-#  focused_resource_id                            :uuid
-#  model_id                                       :bigint
-#  organization_id                                :uuid
-#  team_id                                        :uuid
-#  user_id                                        :uuid             not null
+#  id                                                                                                       :uuid             not null, primary key
+#  context                                                                                                  :json
+#  conversation_state                                                                                       :string           default("stable")
+#  focused_resource_type                                                                                    :string
+#  last_cleanup_at                                                                                          :datetime
+#  last_message_at                                                                                          :datetime
+#  last_stable_at                                                                                           :datetime
+#  metadata                                                                                                 :json
+#  model_id_string                                                                                          :string
+#  status                                                                                                   :string           default("active")
+#  title                                                                                                    :string(255)
+#  visibility                                                                                               :string           default("private")
+#  created_at                                                                                               :datetime         not null
+#  updated_at                                                                                               :datetime         not null
+#  branched_from_message_id(Message in the parent chat that was edited or regenerated to start this branch) :uuid
+#  chat_context_id(Reference to the chat context)                                                           :uuid
+#  focused_resource_id                                                                                      :uuid
+#  model_id                                                                                                 :bigint
+#  organization_id                                                                                          :uuid
+#  parent_chat_id(Chat this one was branched from)                                                          :uuid
+#  team_id                                                                                                  :uuid
+#  user_id                                                                                                  :uuid             not null
 #
 # Indexes
 #
+#  index_chats_on_branched_from_message_id                       (branched_from_message_id)
 #  index_chats_on_chat_context_id                                (chat_context_id) UNIQUE
 #  index_chats_on_conversation_state                             (conversation_state)
 #  index_chats_on_focused_resource_type_and_focused_resource_id  (focused_resource_type,focused_resource_id)
@@ -39,6 +42,7 @@
 #  index_chats_on_organization_id                                (organization_id)
 #  index_chats_on_organization_id_and_created_at                 (organization_id,created_at)
 #  index_chats_on_organization_id_and_user_id                    (organization_id,user_id)
+#  index_chats_on_parent_chat_id                                 (parent_chat_id)
 #  index_chats_on_status                                         (status)
 #  index_chats_on_team_id                                        (team_id)
 #  index_chats_on_team_id_and_user_id                            (team_id,user_id)
@@ -49,9 +53,11 @@
 #
 # Foreign Keys
 #
+#  fk_rails_...  (branched_from_message_id => messages.id) ON DELETE => nullify
 #  fk_rails_...  (chat_context_id => chat_contexts.id)
 #  fk_rails_...  (model_id => models.id)
 #  fk_rails_...  (organization_id => organizations.id)
+#  fk_rails_...  (parent_chat_id => chats.id) ON DELETE => nullify
 #  fk_rails_...  (team_id => teams.id)
 #  fk_rails_...  (user_id => users.id)
 #
@@ -60,8 +66,11 @@ class Chat < ApplicationRecord
   belongs_to :organization
   belongs_to :team, optional: true
   belongs_to :focused_resource, polymorphic: true, optional: true
+  belongs_to :parent_chat, class_name: "Chat", optional: true
+  belongs_to :branched_from_message, class_name: "Message", optional: true
 
   has_many :messages, dependent: :destroy
+  has_many :branches, class_name: "Chat", foreign_key: :parent_chat_id, inverse_of: :parent_chat, dependent: :nullify
   has_many :ai_agent_runs, as: :invocable, dependent: :nullify
 
   store :metadata, accessors: [ :rag_enabled, :model, :system_prompt ], coder: JSON
@@ -157,6 +166,26 @@ class Chat < ApplicationRecord
     )
   end
 
+  # The chat this one was (perhaps indirectly) branched from, or itself
+  def root_chat
+    chat = self
+    chat = chat.parent_chat while chat.parent_chat
+    chat
+  end
+
+  # The root chat and every branch under it that hasn't been deleted, oldest first
+  def branch_family
+    family = []
+    queue = [ root_chat ]
+
+    while (chat = queue.shift)
+      family << chat
+      queue.concat(chat.branches.where.not(status: :deleted).to_a)
+    end
+
+    family.sort_by(&:created_at)
+  end
+
   # Archive this chat
   def archive!
     update(status: :archived)
@@ -54,6 +54,21 @@ class ChatUiContext
     end
   end
 
+  # Slash commands handled by ChatsController#handle_command, for the chat's command
+  # palette and /help. An argument can offer fixed options and a source the palette
+  # searches as you type ("lists" looks up list titles).
+  def commands
+    [
+      { name: "/search", description: "Search lists, items and comments",
+        args: [ { name: "query", required: true } ] },
+      { name: "/browse", description: "Browse lists by status or name",
+        args: [ { name: "status or list name", required: false, options: List.statuses.keys, source: "lists" } ] },
+      { name: "/help", description: "Show all commands", args: [] },
+      { name: "/clear", description: "Clear chat history", args: [] },
+      { name: "/new", description: "Start a new conversation", args: [] }
+    ]
+  end
+
   # Get context-aware suggestions based on location and focused resource
   def suggestions
     base_suggestions = [
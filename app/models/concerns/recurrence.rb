@@ -1,10 +1,11 @@
 module Recurrence
   extend ActiveSupport::Concern
 
+  # Presets; recurrence_rule can also hold a custom rule (see Recurring::Rule)
   RULES = %w[none daily weekly biweekly monthly yearly].freeze
 
   included do
-    validates :recurrence_rule, inclusion: { in: RULES }
+    validate :recurrence_rule_is_valid
     validate :recurrence_end_date_after_due_date, if: -> { recurring? && recurrence_end_date.present? }
 
     scope :recurring, -> { where.not(recurrence_rule: "none") }
@@ -14,24 +15,38 @@ module Recurrence
     recurrence_rule != "none"
   end
 
+  def recurrence
+    Recurring::Rule.parse(recurrence_rule)
+  end
+
   def next_due_date
     return nil unless recurring? && due_date.present?
-    case recurrence_rule
-    when "daily"    then due_date + 1.day
-    when "weekly"   then due_date + 1.week
-    when "biweekly" then due_date + 2.weeks
-    when "monthly"  then due_date + 1.month
-    when "yearly"   then due_date + 1.year
-    end
+    recurrence&.next_after(due_date)
   end
 
   def within_recurrence_window?
+    return false if recurrence&.last_occurrence?
     return true if recurrence_end_date.blank?
     next_due_date.present? && next_due_date <= recurrence_end_date
   end
 
+  # The rule the next occurrence carries: one fewer left when it counts occurrences
+  def next_recurrence_rule
+    rule = recurrence
+    rule&.count ? rule.with_count(rule.count - 1).to_s : recurrence_rule
+  end
+
+  def recurrence_summary
+    recurrence&.summary
+  end
+
   private
 
+  def recurrence_rule_is_valid
+    return if recurrence_rule == "none" || recurrence.present?
+    errors.add(:recurrence_rule, :inclusion, value: recurrence_rule)
+  end
+
   def recurrence_end_date_after_due_date
     return unless due_date.present? && recurrence_end_date <= due_date
     errors.add(:recurrence_end_date, "must be after the due date")
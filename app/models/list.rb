@@ -139,6 +139,12 @@ class List < ApplicationRecord
       .where("lists.user_id = ? OR collaborators.user_id = ?", user.id, user.id)
       .group("lists.id")  # Use GROUP BY instead of DISTINCT
   }
+  # Lists the user owns or collaborates on with write permission, without public lists
+  scope :writable_by, ->(user) {
+    where(user_id: user.id).or(
+      where(id: Collaborator.permission_write.where(user: user, collaboratable_type: "List").select(:collaboratable_id))
+    )
+  }
   scope :recent, -> { order(updated_at: :desc) }
   scope :by_organization, ->(org) { where(organization: org) }
   scope :for_team, ->(team) { where(team: team) }
@@ -235,6 +241,51 @@ class List < ApplicationRecord
     self.public_slug = slug_candidate
   end
 
+  # Fingerprint of the items' order and nesting. sortable_controller.js sends it back
+  # with a reorder so a drag made on an outdated view of the list is refused.
+  def item_order_revision
+    item_ids = list_items.order(:position, :created_at).pluck(:id)
+    nesting = Relationship.relationship_type_parent_child
+                          .where(child_type: "ListItem", child_id: item_ids)
+                          .pluck(:child_id, :parent_id)
+                          .sort
+
+    Digest::SHA256.hexdigest([ item_ids, nesting ].to_json).first(16)
+  end
+
+  # Whether the given items, as a client last saw them, are still in that relative order
+  # under the same parents. Items added or deleted since are ignored, so a revision that
+  # only changed because of them isn't mistaken for someone else's reorder.
+  def item_order_unchanged?(order, parents)
+    order = order.map(&:to_s)
+    current_order = list_items.order(:position, :created_at).pluck(:id) & order
+    return false unless current_order == order & current_order
+
+    nesting = item_nesting
+    current_order.all? { |item_id| nesting.dig(item_id, :parent_id) == parents[item_id].presence }
+  end
+
+  # Parent id and nesting depth of every nested item from a single query, so rendering
+  # the whole list doesn't walk each item's ancestors. Top-level items aren't included.
+  def item_nesting
+    parent_ids = Relationship.relationship_type_parent_child
+                             .where(child_type: "ListItem", parent_type: "ListItem", child_id: list_items.select(:id))
+                             .order(:created_at)
+                             .pluck(:child_id, :parent_id)
+                             .each_with_object({}) { |(child_id, parent_id), parents| parents[child_id] ||= parent_id }
+
+    parent_ids.to_h do |item_id, parent_id|
+      depth = 1
+      ancestor_id = parent_ids[parent_id]
+      while ancestor_id && depth < ListItem::MAX_NESTING_DEPTH
+        depth += 1
+        ancestor_id = parent_ids[ancestor_id]
+      end
+
+      [ item_id, { parent_id: parent_id, depth: depth } ]
+    end
+  end
+
   # Status update methods
   def mark_completed!
     update!(status: :completed)
@@ -68,6 +68,9 @@ class ListItem < ApplicationRecord
 
   attr_accessor :skip_notifications, :previous_title_value, :is_kanban_update
 
+  # How many levels items can be nested under each other
+  MAX_NESTING_DEPTH = 5
+
   # Logidzy for auditing changes
   has_logidze
 
@@ -87,6 +90,8 @@ class ListItem < ApplicationRecord
 
   has_many :time_entries, dependent: :destroy
 
+  acts_as_taggable_on :tags
+
   # Comments
   has_many :comments, as: :commentable, dependent: :destroy
 
@@ -95,15 +100,27 @@ class ListItem < ApplicationRecord
   has_many :collaborator_users, through: :collaborators, source: :user
   has_many :invitations, as: :invitable, dependent: :destroy
 
+  # Nesting (e.g. indented lines pasted into quick add, or items dragged under another)
+  has_many :parent_relationships, as: :parent, class_name: "Relationship", dependent: :destroy
+  has_many :child_relationships, as: :child, class_name: "Relationship", dependent: :destroy
+  has_many :child_items, through: :parent_relationships, source: :child, source_type: "ListItem"
+  has_many :parent_items, through: :child_relationships, source: :parent, source_type: "ListItem"
+
+  # Whether duration_days counts calendar days or the organization's business days
+  DURATION_UNITS = %w[days business_days].freeze
+  store_accessor :metadata, :duration_unit
+
   # Validations
   validates :title, presence: true, length: { maximum: 255 }
   validates :item_type, presence: true
   validates :priority, presence: true
   validates :status, presence: true
   validates :position, numericality: { only_integer: true, greater_than_or_equal_to: 0 }
+  validates :duration_unit, inclusion: { in: DURATION_UNITS }, allow_blank: true
   # URL Sanitization & Validation. Must be kept in this order
   before_validation :sanitize_url
   validate :validate_url_format
+  validate :validate_board_column_wip_limit, if: :board_column_id_changed?
 
   # Enums
   enum :item_type, {
@@ -159,6 +176,7 @@ class ListItem < ApplicationRecord
   after_commit :notify_item_assigned, on: :update, if: :assignment_changed?
   after_commit :notify_priority_changed, on: :update, if: :priority_changed?
   after_commit :notify_item_completed, on: :update, if: :completion_changed?
+  after_commit :broadcast_list_event, on: [ :create, :update, :destroy ]
   after_create :assign_default_board_column
 
   # Methods
@@ -170,6 +188,26 @@ class ListItem < ApplicationRecord
     update!(status: new_status, status_changed_at: Time.current)
   end
 
+  # How deeply the item is nested under other items, 0 for top-level items
+  def nesting_depth(limit: MAX_NESTING_DEPTH)
+    ancestors(limit: limit).size
+  end
+
+  # Items this one is nested under, nearest first
+  def ancestors(limit: MAX_NESTING_DEPTH)
+    chain = []
+    parent = parent_items.first
+    while parent && chain.size < limit
+      chain << parent
+      parent = parent.parent_items.first
+    end
+    chain
+  end
+
+  def business_days?
+    duration_unit == "business_days"
+  end
+
   def overdue?
     due_date.present? && due_date < Time.current && !status_completed?
   end
@@ -213,6 +251,13 @@ class ListItem < ApplicationRecord
     end
   end
 
+  # Reject moves into a column whose enforced WIP limit is already reached
+  def validate_board_column_wip_limit
+    return if board_column.nil? || board_column.accepts_items?
+
+    errors.add(:board_column, "#{board_column.name} is at its WIP limit of #{board_column.wip_limit}")
+  end
+
   def sanitize_url
     return if url.blank?
 
@@ -279,6 +324,23 @@ class ListItem < ApplicationRecord
     end
   end
 
+  # Tell live list viewers (ListChannel) that this item changed
+  # Position-only updates are covered by the single items_reordered event from ListItemService#reorder_items
+  def broadcast_list_event
+    return if list.nil? || list.destroyed?
+
+    type = if destroyed?
+      "item_deleted"
+    elsif previously_new_record?
+      "item_created"
+    else
+      return if (saved_changes.keys - %w[position updated_at]).empty?
+      "item_updated"
+    end
+
+    ListChannel.broadcast_event(list, type, item_id: id, actor_id: Current.user&.id)
+  end
+
   # Use NotificationService for all notifications to ensure consistency
   def notify_item_created
     return if skip_notifications || !Current.user
@@ -69,9 +69,19 @@ class Message < ApplicationRecord
   belongs_to :user, optional: true
   belongs_to :organization, optional: true
   has_many :feedbacks, class_name: "MessageFeedback", dependent: :destroy
+  has_many_attached :files
 
-  # Store template data in metadata
-  store :metadata, accessors: [ :template_data, :rag_sources, :attachments ], coder: JSON
+  # Files users can attach in the chat composer (uploaded directly to storage)
+  MAX_FILES = 5
+  MAX_FILE_SIZE = 10.megabytes
+  FILE_CONTENT_TYPES = %w[
+    image/png image/jpeg image/gif image/webp
+    application/pdf text/plain text/csv text/markdown text/x-markdown
+  ].freeze
+
+  # Store template data in metadata. files_only marks a message sent with attachments and
+  # no text, whose content is just the file names
+  store :metadata, accessors: [ :template_data, :rag_sources, :attachments, :files_only ], coder: JSON
 
   enum :role, { user: "user", assistant: "assistant", system: "system", tool: "tool" }
 
@@ -79,6 +89,7 @@ class Message < ApplicationRecord
   validates :role, presence: true, inclusion: { in: roles.keys }
   validates :chat_id, presence: true
   validates :template_type, inclusion: { in: MessageTemplate::REGISTRY.keys }, allow_blank: true
+  validate :acceptable_files
 
   scope :by_user, ->(user) { where(user_id: user.id) }
   scope :by_role, ->(role) { where(role: role) }
@@ -153,13 +164,14 @@ class Message < ApplicationRecord
     )
   end
 
-  # Create user message
-  def self.create_user(chat:, user:, content:)
+  # Create user message, optionally with attached blobs (or their signed ids)
+  def self.create_user(chat:, user:, content:, files: [])
     create!(
       chat: chat,
       user: user,
       role: :user,
-      content: content
+      content: content,
+      files: files
     )
   end
 
@@ -185,8 +197,30 @@ class Message < ApplicationRecord
     )
   end
 
+  # The first attached CSV or markdown file, which chat can turn into a list
+  def list_source_file
+    files.find { |file| ListFileParser.parseable?(file.filename.to_s) }
+  end
+
+  def files_only?
+    files_only == true
+  end
+
   private
 
+  def acceptable_files
+    errors.add(:files, "can't be more than #{MAX_FILES}") if files.size > MAX_FILES
+
+    files.each do |file|
+      errors.add(:files, "#{file.filename} is larger than 10 MB") if file.byte_size > MAX_FILE_SIZE
+
+      # Browsers often send CSV and markdown as text/plain or octet-stream, so go by the extension
+      next if ListFileParser.parseable?(file.filename.to_s) || FILE_CONTENT_TYPES.include?(file.content_type)
+
+      errors.add(:files, "#{file.filename} isn't a supported file type")
+    end
+  end
+
   def update_chat_timestamp
     chat.update(updated_at: Time.current) if chat
   end
@@ -62,6 +62,17 @@ class Organization < ApplicationRecord
     deleted: 2
   }, prefix: true
 
+  # Working calendar used when counting business days (see date_calculator_controller).
+  # Weekdays follow Date#wday: 0 is Sunday.
+  DEFAULT_WORKING_DAYS = [ 1, 2, 3, 4, 5 ].freeze
+  DEFAULT_WORKDAY_START = "09:00"
+  DEFAULT_WORKDAY_END = "17:00"
+
+  store_accessor :metadata, :working_days, :workday_start, :workday_end, :holidays
+
+  validates :workday_start, :workday_end, format: { with: /\A([01]\d|2[0-3]):[0-5]\d\z/, message: "must be a time like 09:00" }, allow_blank: true
+  validate :workday_ends_after_start
+
   # Callbacks
   before_validation :generate_slug, if: :name_changed?
 
@@ -124,4 +135,40 @@ class Organization < ApplicationRecord
   def reactivate!
     update(status: :active)
   end
+
+  # Accepts checkbox values; keeps the default week when none are checked
+  def working_days=(days)
+    days = Array(days).reject(&:blank?).map(&:to_i).select { |day| day.between?(0, 6) }.uniq.sort
+    super(days.presence)
+  end
+
+  # Accepts an array or text with one YYYY-MM-DD date per line; anything after the
+  # date is ignored, so lines like "2026-12-25 Christmas" work
+  def holidays=(dates)
+    dates = dates.split(/[\r\n,]+/) if dates.is_a?(String)
+    parsed = Array(dates).filter_map do |date|
+      Date.iso8601(date.to_s.strip[0, 10])
+    rescue Date::Error
+      nil
+    end
+    super(parsed.uniq.sort.map(&:iso8601))
+  end
+
+  def business_calendar
+    {
+      working_days: working_days.presence || DEFAULT_WORKING_DAYS,
+      workday_start: workday_start.presence || DEFAULT_WORKDAY_START,
+      workday_end: workday_end.presence || DEFAULT_WORKDAY_END,
+      holidays: holidays || []
+    }
+  end
+
+  private
+
+  def workday_ends_after_start
+    calendar = business_calendar
+    return if calendar[:workday_end] > calendar[:workday_start]
+
+    errors.add(:workday_end, "must be after the start of the working day")
+  end
 end
@@ -0,0 +1,73 @@
+# == Schema Information
+#
+# Table name: push_subscriptions
+#
+#  id                                                                  :uuid             not null, primary key
+#  auth_key(Browser's auth secret for payload encryption (base64url))  :string           not null
+#  endpoint(Push service URL the browser gave us)                      :string           not null
+#  last_delivered_at                                                   :datetime
+#  p256dh_key(Browser's public key for payload encryption (base64url)) :string           not null
+#  user_agent                                                          :string
+#  created_at                                                          :datetime         not null
+#  updated_at                                                          :datetime         not null
+#  user_id                                                             :uuid             not null
+#
+# Indexes
+#
+#  index_push_subscriptions_on_endpoint  (endpoint) UNIQUE
+#  index_push_subscriptions_on_user_id   (user_id)
+#
+# Foreign Keys
+#
+#  fk_rails_...  (user_id => users.id)
+#
+class PushSubscription < ApplicationRecord
+  # Push services of Chrome/Android, Firefox, Safari and Edge (and their subdomains).
+  # The server posts to the endpoint, so any other host is refused.
+  PUSH_SERVICE_HOSTS = %w[
+    fcm.googleapis.com
+    android.googleapis.com
+    push.services.mozilla.com
+    push.apple.com
+    notify.windows.com
+  ].freeze
+
+  belongs_to :user
+
+  validates :endpoint, presence: true, uniqueness: true
+  validates :p256dh_key, :auth_key, presence: true
+  validate :endpoint_must_be_https
+  validate :endpoint_must_be_push_service
+
+  def self.push_service_endpoint?(endpoint)
+    uri = URI.parse(endpoint.to_s)
+    return false unless uri.is_a?(URI::HTTPS) && uri.host.present? && uri.port == URI::HTTPS::DEFAULT_PORT
+
+    host = uri.host.downcase
+    PUSH_SERVICE_HOSTS.any? { |allowed| host == allowed || host.end_with?(".#{allowed}") }
+  rescue URI::InvalidURIError
+    false
+  end
+
+  # Sends one notification payload to this browser (see WebPushService)
+  def deliver(payload)
+    WebPushService.new(self, payload).call
+  end
+
+  private
+
+  def endpoint_must_be_https
+    return if endpoint.blank?
+
+    uri = URI.parse(endpoint)
+    errors.add(:endpoint, "must be an https URL") unless uri.is_a?(URI::HTTPS) && uri.host.present?
+  rescue URI::InvalidURIError
+    errors.add(:endpoint, "must be an https URL")
+  end
+
+  def endpoint_must_be_push_service
+    return if endpoint.blank? || errors.include?(:endpoint)
+
+    errors.add(:endpoint, "must be a browser push service URL") unless self.class.push_service_endpoint?(endpoint)
+  end
+end
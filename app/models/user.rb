@@ -101,6 +101,7 @@ class User < ApplicationRecord
   # Notification associations
   has_many :notifications, as: :recipient, dependent: :destroy, class_name: "Noticed::Notification"
   has_one :notification_settings, class_name: "NotificationSetting", dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
 
   # Chat associations
   has_many :chats, dependent: :destroy
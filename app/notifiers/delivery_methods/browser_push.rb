@@ -0,0 +1,36 @@
+# app/notifiers/delivery_methods/browser_push.rb
+#
+# Sends a notification to every browser the recipient enabled push on.
+# The service worker shows it and, on click, opens `path` and marks it read.
+module DeliveryMethods
+  class BrowserPush < Noticed::DeliveryMethod
+    def deliver
+      return unless WebPushService.configured?
+      return unless recipient.wants_notification?(event.notification_type, :push)
+      return if recipient.notification_preferences.in_quiet_hours?
+
+      recipient.push_subscriptions.find_each do |subscription|
+        subscription.deliver(payload)
+      end
+    end
+
+    private
+
+    def payload
+      {
+        title: event.title,
+        options: {
+          body: event.message,
+          icon: "/icon.png",
+          badge: "/icon.png",
+          tag: "notification-#{notification.id}",
+          data: {
+            path: event.url,
+            notification_id: notification.id,
+            mark_as_read_path: Rails.application.routes.url_helpers.mark_as_read_notification_path(notification)
+          }
+        }
+      }
+    end
+  end
+end
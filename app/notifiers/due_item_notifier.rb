@@ -0,0 +1,30 @@
+# app/notifiers/due_item_notifier.rb
+class DueItemNotifier < ApplicationNotifier
+  deliver_by :browser_push, class: "DeliveryMethods::BrowserPush"
+
+  def notification_type
+    "item_due"
+  end
+
+  def title
+    "Item due soon"
+  end
+
+  def message
+    "\"#{params[:item_title]}\" on #{list_name} is due within the hour"
+  end
+
+  def icon
+    "clock"
+  end
+
+  def url
+    list_item_path(params[:list_id], params[:item_id])
+  end
+
+  private
+
+  def list_name
+    target_list&.title || "a list"
+  end
+end
@@ -1,5 +1,7 @@
 # app/notifiers/list_item_assignment_notifier.rb
 class ListItemAssignmentNotifier < ApplicationNotifier
+  deliver_by :browser_push, class: "DeliveryMethods::BrowserPush"
+
   def notification_type
     "item_assignment"
   end
@@ -1,5 +1,7 @@
 # app/notifiers/mention_notifier.rb
 class MentionNotifier < ApplicationNotifier
+  deliver_by :browser_push, class: "DeliveryMethods::BrowserPush"
+
   def notification_type
     "mention"
   end
@@ -24,6 +24,18 @@ class ChatPolicy < ApplicationPolicy
     owns_chat?
   end
 
+  def stop_generation?
+    owns_chat?
+  end
+
+  def edit_message?
+    owns_chat?
+  end
+
+  def regenerate_message?
+    owns_chat?
+  end
+
   def archive?
     owns_chat?
   end
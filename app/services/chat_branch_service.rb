@@ -0,0 +1,53 @@
+# app/services/chat_branch_service.rb
+#
+# Forks a chat at one of its user messages so an edited prompt (or the same prompt, to
+# regenerate the reply) starts a new thread while the original conversation stays intact.
+# The branch gets copies of the messages before that point followed by the new prompt;
+# Chat#branch_family ties the threads together for the branch switcher.
+
+class ChatBranchService < ApplicationService
+  # Chat settings that carry over; pending planning state belongs to the original thread
+  COPIED_METADATA = %w[rag_enabled model system_prompt].freeze
+  COPIED_MESSAGE_ATTRIBUTES = %w[
+    role content user_id organization_id message_type template_type metadata blocked created_at
+  ].freeze
+
+  def initialize(chat:, message:, content:, user:)
+    @chat = chat
+    @message = message
+    @content = content.to_s.strip
+    @user = user
+  end
+
+  def call
+    return failure(errors: "Only user messages can be edited") unless @message.user_message? && @message.chat_id == @chat.id
+    return failure(errors: "Message can't be blank") if @content.blank?
+
+    branch = nil
+    user_message = nil
+
+    Chat.transaction do
+      branch = Chat.create!(
+        user: @chat.user,
+        organization: @chat.organization,
+        team: @chat.team,
+        focused_resource: @chat.focused_resource,
+        title: @chat.title,
+        metadata: @chat.metadata.slice(*COPIED_METADATA),
+        parent_chat: @chat,
+        branched_from_message: @message
+      )
+
+      @chat.messages.where("created_at < ?", @message.created_at).ordered.each do |earlier|
+        branch.messages.create!(earlier.attributes.slice(*COPIED_MESSAGE_ATTRIBUTES).merge("files" => earlier.files.blobs))
+      end
+
+      # The edited prompt keeps the original's attachments
+      user_message = Message.create_user(chat: branch, user: @user, content: @content, files: @message.files.blobs)
+    end
+
+    success(data: { chat: branch, user_message: user_message })
+  rescue ActiveRecord::RecordInvalid => e
+    failure(errors: e.record.errors.full_messages, message: "Couldn't branch the chat")
+  end
+end
@@ -11,9 +11,14 @@
 # - Full message history context for conversation
 
 class ChatCompletionService < ApplicationService
-  def initialize(chat, user_message, context = nil)
+  # Messages like "make a list from this file" that use an attached CSV or markdown file
+  LIST_FROM_FILE_PATTERN = /\b(list|checklist|import|items|tasks|to-?dos?)\b/i
+
+  # Pass a ChatResponseStreamer to show the response as it is generated
+  def initialize(chat, user_message, context = nil, streamer: nil)
     @chat = chat
     @user_message = user_message
+    @streamer = streamer
     @context = context || ChatUiContext.new(
       chat: chat,
       user: user_message.user,
@@ -40,6 +45,11 @@ class ChatCompletionService < ApplicationService
         return continuation_result if continuation_result
       end
 
+      # Build the list straight from an attached CSV or markdown file when asked to
+      if (list_parameters = list_parameters_from_file)
+        return handle_list_creation("list", list_parameters)
+      end
+
       # PHASE 2 OPTIMIZATION: Combined intent + complexity + parameter extraction
       # Single LLM call instead of three separate ones (saves 2-3 seconds)
       start_time = Time.current
@@ -121,6 +131,8 @@ class ChatCompletionService < ApplicationService
       end
 
       success(data: assistant_message)
+    rescue ChatResponseStreamer::Stopped
+      raise
     rescue StandardError => e
       Rails.logger.error("Chat completion failed: #{e.class} - #{e.message}")
       failure(errors: [ e.message ], message: "Failed to generate response")
@@ -219,6 +231,19 @@ class ChatCompletionService < ApplicationService
     nil
   end
 
+  # List parameters from the message's CSV or markdown attachment, or nil when the
+  # message doesn't ask for a list or the file has no items. Only text the user typed
+  # counts as asking, not the file names standing in for a message without any
+  def list_parameters_from_file
+    file = @user_message.list_source_file
+    return unless file && !@user_message.files_only? && @user_message.content.match?(LIST_FROM_FILE_PATTERN)
+
+    structure = ListFileParser.new(filename: file.filename, content: file.download).parse
+    return unless structure
+
+    { "title" => structure[:title], "items" => structure[:items] }
+  end
+
   # Detect if a message that was classified as user creation is actually planning
   def looks_like_planning_request(message)
     message_lower = message.downcase
@@ -877,8 +902,12 @@ class ChatCompletionService < ApplicationService
       llm_chat.tools = tools
     end
 
-    # Get completion with tool support
-    response = llm_chat.complete
+    # Get completion with tool support, streaming text chunks when a streamer is given
+    response = if @streamer
+                 llm_chat.complete { |chunk| @streamer << chunk.content if chunk.content.is_a?(String) }
+    else
+                 llm_chat.complete
+    end
 
     # Check if response includes tool calls
     # Handle both Hash responses and RubyLLM::Message objects
@@ -900,6 +929,8 @@ class ChatCompletionService < ApplicationService
       # Return text response
       extract_response_content(response)
     end
+  rescue ChatResponseStreamer::Stopped
+    raise
   rescue => e
     Rails.logger.error("RubyLLM error: #{e.class} - #{e.message}")
     Rails.logger.error(e.backtrace.join("\n"))
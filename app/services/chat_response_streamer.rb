@@ -0,0 +1,73 @@
+# app/services/chat_response_streamer.rb
+#
+# Streams an assistant response into the chat's loading bubble while the LLM generates it.
+# Chunks are buffered and appended to #chat-stream-<chat id> over the chat's Turbo Stream
+# at most every FLUSH_INTERVAL; the finished message then replaces the whole bubble.
+#
+# Generation can be stopped: ChatsController#stop_generation flags the user message and
+# the next chunk raises Stopped, leaving what was generated so far in #content.
+
+class ChatResponseStreamer
+  FLUSH_INTERVAL = 0.1
+  STOP_CHECK_INTERVAL = 0.5
+
+  class Stopped < StandardError; end
+
+  attr_reader :chat, :user_message, :content
+
+  def initialize(chat:, user_message:)
+    @chat = chat
+    @user_message = user_message
+    @content = +""
+    @pending = +""
+    @last_flush_at = @last_stop_check_at = monotonic_now
+  end
+
+  def <<(text)
+    return self if text.nil? || text.empty?
+
+    @content << text
+    @pending << text
+    flush if monotonic_now - @last_flush_at >= FLUSH_INTERVAL
+
+    if monotonic_now - @last_stop_check_at >= STOP_CHECK_INTERVAL
+      @last_stop_check_at = monotonic_now
+      raise Stopped if stop_requested?
+    end
+
+    self
+  end
+
+  def flush
+    @last_flush_at = monotonic_now
+    return if @pending.empty? || structured?
+
+    Turbo::StreamsChannel.broadcast_append_to(
+      "chat_#{chat.id}",
+      target: self.class.target_id(chat),
+      html: ERB::Util.html_escape(@pending)
+    )
+    @pending = +""
+  end
+
+  def stop_requested?
+    return false unless user_message&.persisted?
+
+    user_message.reload.metadata["stop_requested"].present?
+  end
+
+  def self.target_id(chat)
+    "chat-stream-#{chat.id}"
+  end
+
+  private
+
+  # Responses with clarifying questions come back as JSON and are only shown once parsed
+  def structured?
+    @content.lstrip.start_with?("{")
+  end
+
+  def monotonic_now
+    Process.clock_gettime(Process::CLOCK_MONOTONIC)
+  end
+end
@@ -1,17 +1,26 @@
 module Connectors
   # Detect scheduling collisions across all user's calendar accounts
   class CollisionDetectorService < ApplicationService
-    def initialize(user:, start_time:, end_time:, exclude_external_id: nil)
+    # How far before and after the requested time to look for free slots
+    SLOT_SEARCH_DAYS = 7
+    SLOT_STEP = 30.minutes
+    # Slots that fit in a working day are only suggested on weekdays within these hours
+    WORKDAY_START_HOUR = 8
+    WORKDAY_END_HOUR = 18
+
+    def initialize(user:, start_time:, end_time:, exclude_external_id: nil, suggest_slots: 0)
       @user = user
       @start_time = start_time
       @end_time = end_time
       @exclude_external_id = exclude_external_id
+      @suggest_slots = suggest_slots.to_i
     end
 
     def call
       return failure(errors: [ "User is required" ]) unless @user
 
       collisions = []
+      busy_times = []
 
       # Get all active calendar accounts for this user
       calendar_accounts = Connectors::Account.for_user(@user)
@@ -19,14 +28,22 @@ module Connectors
                                              .by_provider(%w[google_calendar microsoft_outlook])
 
       calendar_accounts.each do |account|
-        account_collisions = detect_collisions_for_account(account)
-        collisions.concat(account_collisions)
+        events = timed_events_for_account(account)
+
+        events.each do |event|
+          # Only events overlapping the requested time are collisions
+          collisions << build_collision_record(event, account) if overlaps?(event[:start], event[:end], @start_time, @end_time)
+        end
+        busy_times.concat(events.map { |event| [ event[:start], event[:end] ] })
       end
 
-      success(data: {
-        collisions: collisions,
+      data = {
+        collisions: collisions.sort_by { |collision| collision[:start] },
         has_conflicts: collisions.any?
-      })
+      }
+      data[:free_slots] = collisions.any? ? find_free_slots(busy_times) : [] if suggest_slots?
+
+      success(data: data)
     rescue StandardError => e
       Rails.logger.error("Collision detection failed: #{e.message}")
       failure(errors: [ e.message ], message: "Failed to detect collisions")
@@ -34,9 +51,13 @@ module Connectors
 
     private
 
-    def detect_collisions_for_account(account)
-      collisions = []
+    def suggest_slots?
+      @suggest_slots.positive?
+    end
 
+    # Timed, non-cancelled events in the account's default calendar, with parsed times.
+    # When suggesting slots this covers the whole search range, so one fetch serves both.
+    def timed_events_for_account(account)
       # Set context for authorization
       Current.user = @user
       Current.organization = account.organization
@@ -47,38 +68,67 @@ module Connectors
 
         return [] unless calendar_id
 
-        # Fetch events in the requested range
-        events = service.send(:fetch_events_in_range, @start_time, @end_time, calendar_id)
+        range_start, range_end = suggest_slots? ? slot_search_range : [ @start_time, @end_time ]
+        events = service.send(:fetch_events_in_range, range_start, range_end, calendar_id)
 
-        # Detect overlapping events
-        events.each do |event|
-          # Skip cancelled events
+        events.filter_map do |event|
+          # Skip cancelled and all-day events, and the event we're excluding
           next if event["status"] == "cancelled"
-
-          # Skip all-day events
           next if is_all_day_event?(event)
-
-          # Skip if this is the event we're excluding
           next if event["id"] == @exclude_external_id
 
-          # Check for overlaps with other events in this account
-          overlapping_events = find_overlapping_events(events, event)
-
-          overlapping_events.each do |other_event|
-            next if other_event["id"] == event["id"]
-            next if other_event["id"] == @exclude_external_id
-            next if is_all_day_event?(other_event)
-
-            # Create collision record
-            collision = build_collision_record(event, account, other_event)
-            collisions << collision
-          end
+          { raw: event, start: parse_datetime(event["start"]), end: parse_datetime(event["end"]) }
         end
       ensure
         Current.reset
       end
+    end
+
+    def slot_search_range
+      [ [ @start_time - SLOT_SEARCH_DAYS.days, Time.current ].max, @end_time + SLOT_SEARCH_DAYS.days ]
+    end
+
+    # The free slots of the requested length closest to the requested start, earlier or later
+    def find_free_slots(busy_times)
+      length = @end_time - @start_time
+      range_start, range_end = slot_search_range
+      first_start = Time.zone.at((range_start.to_f / SLOT_STEP).ceil * SLOT_STEP)
+
+      candidates = []
+      slot_start = first_start
+      while slot_start + length <= range_end
+        candidates << slot_start
+        slot_start += SLOT_STEP
+      end
+
+      candidates.sort_by { |candidate| (candidate - @start_time).abs }
+                .lazy
+                .select { |candidate| working_time?(candidate, length) }
+                .reject { |candidate| busy_times.any? { |from, to| overlaps?(from, to, candidate, candidate + length) } }
+                .first(@suggest_slots)
+                .sort
+                .map { |candidate| { start: candidate, end: candidate + length } }
+    end
 
-      collisions
+    # Work longer than a working day can start any time; anything shorter is kept to working hours.
+    # Working hours and weekends are the user's own, so they're judged in the user's time zone.
+    def working_time?(slot_start, length)
+      return true if length > (WORKDAY_END_HOUR - WORKDAY_START_HOUR).hours
+
+      Time.use_zone(user_time_zone) do
+        day_start = slot_start.in_time_zone.change(hour: WORKDAY_START_HOUR)
+        day_end = day_start.change(hour: WORKDAY_END_HOUR)
+
+        !day_start.on_weekend? && slot_start >= day_start && slot_start + length <= day_end
+      end
+    end
+
+    def user_time_zone
+      ActiveSupport::TimeZone[@user.timezone.to_s] || Time.zone
+    end
+
+    def overlaps?(start_a, end_a, start_b, end_b)
+      start_a < end_b && end_a > start_b
     end
 
     def get_sync_service_for_account(account)
@@ -102,31 +152,18 @@ module Connectors
       end
     end
 
-    def find_overlapping_events(events, target_event)
-      target_start = parse_datetime(target_event["start"])
-      target_end = parse_datetime(target_event["end"])
-
-      events.select do |event|
-        event_start = parse_datetime(event["start"])
-        event_end = parse_datetime(event["end"])
-
-        # Check overlap: target_start < event_end AND target_end > event_start
-        target_start < event_end && target_end > event_start
-      end
-    end
+    def build_collision_record(event, account)
+      raw = event[:raw]
 
-    def build_collision_record(event, account, other_event)
       {
-        id: event["id"],
-        title: event["summary"] || event["subject"],
-        start: parse_datetime(event["start"]),
-        end: parse_datetime(event["end"]),
+        id: raw["id"],
+        title: raw["summary"] || raw["subject"],
+        start: event[:start],
+        end: event[:end],
         calendar: account.display_name,
         provider: account.provider,
-        attendees: extract_attendee_emails(event, account.provider),
-        organizer: extract_organizer_email(event, account.provider),
-        overlapping_event_id: other_event["id"],
-        overlapping_event_title: other_event["summary"] || other_event["subject"]
+        attendees: extract_attendee_emails(raw, account.provider),
+        organizer: extract_organizer_email(raw, account.provider)
       }
     end
 
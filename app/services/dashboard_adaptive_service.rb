@@ -165,8 +165,10 @@ class DashboardAdaptiveService
       id: item.id,
       title: item.title,
       priority: item.priority,
+      status: item.status,
       due_date: item.due_date,
-      assigned_to: item.assigned_user&.name
+      assigned_to: item.assigned_user&.name,
+      assigned_user_id: item.assigned_user_id
     }
   end
 
@@ -234,8 +236,10 @@ class DashboardAdaptiveService
       id: item.id,
       title: item.title,
       priority: item.priority,
+      status: item.status,
       due_date: item.due_date,
       assigned_to: item.assigned_user&.name,
+      assigned_user_id: item.assigned_user_id,
       days_until_due: days_until_due
     }
   end
@@ -0,0 +1,129 @@
+# app/services/list_file_parser.rb
+#
+# Turns an attached CSV or markdown file into the { title:, items: } structure that
+# ListCreationService#create_list_with_structure takes, so "make a list from this file"
+# in chat can create the list directly.
+#
+# Markdown follows quick add's multi-line paste: one item per line, indentation nests,
+# "- [x]" marks an item completed. The first heading names the list and later headings
+# become items with the lines under them nested inside.
+#
+# CSV uses a title/name/item/task column when the first row is a header (plus optional
+# description and status/done columns), otherwise the first column of every row.
+
+require "csv"
+
+class ListFileParser
+  EXTENSIONS = %w[csv md markdown].freeze
+  MAX_ITEMS = 500
+  TAB_WIDTH = 4
+
+  TITLE_HEADERS = %w[title name item task todo].freeze
+  DESCRIPTION_HEADERS = %w[description notes details].freeze
+  STATUS_HEADERS = %w[status done completed].freeze
+  COMPLETED_VALUES = %w[done completed complete yes true x 1].freeze
+
+  def self.parseable?(filename)
+    EXTENSIONS.include?(File.extname(filename.to_s).delete_prefix(".").downcase)
+  end
+
+  def initialize(filename:, content:)
+    @filename = filename.to_s
+    @content = content.to_s.dup.force_encoding(Encoding::UTF_8).scrub("").delete_prefix("\uFEFF")
+  end
+
+  # nil when the file isn't CSV or markdown or has no items
+  def parse
+    return nil unless self.class.parseable?(@filename)
+
+    title, items = extension == "csv" ? parse_csv : parse_markdown
+    items = items.first(MAX_ITEMS)
+    return nil if items.empty?
+
+    { title: title.presence || default_title, items: items }
+  rescue CSV::MalformedCSVError
+    nil
+  end
+
+  private
+
+  def extension
+    File.extname(@filename).delete_prefix(".").downcase
+  end
+
+  # "q3-launch_plan.csv" => "Q3 launch plan"
+  def default_title
+    File.basename(@filename, ".*").tr("-_", "  ").squish.capitalize
+  end
+
+  def parse_csv
+    rows = CSV.parse(@content).map { |row| row.map { |cell| cell.to_s.strip } }.reject { |row| row.all?(&:blank?) }
+    return [ nil, [] ] if rows.empty?
+
+    headers = rows.first.map(&:downcase)
+    title_column = headers.index { |header| TITLE_HEADERS.include?(header) }
+
+    items = if title_column
+              description_column = headers.index { |header| DESCRIPTION_HEADERS.include?(header) }
+              status_column = headers.index { |header| STATUS_HEADERS.include?(header) }
+
+              rows.drop(1).map do |row|
+                {
+                  title: row[title_column],
+                  description: description_column && row[description_column].presence,
+                  status: status_column && completed?(row[status_column]) ? "completed" : "pending"
+                }.compact
+              end
+    else
+              rows.map { |row| { title: row.first, status: "pending" } }
+    end
+
+    [ nil, items.select { |item| item[:title].present? } ]
+  end
+
+  def completed?(value)
+    COMPLETED_VALUES.include?(value.to_s.downcase)
+  end
+
+  def parse_markdown
+    title = nil
+    items = []
+    parents = []
+    section = nil
+
+    @content.each_line do |line|
+      expanded = line.chomp.gsub("\t", " " * TAB_WIDTH)
+      text = expanded.strip
+      next if text.empty? || text.match?(/\A(?:-{3,}|\*{3,}|_{3,})\z/)
+
+      if (heading = text.match(/\A#+\s+(.*)/))
+        if title.nil? && items.empty?
+          title = heading[1].strip
+        else
+          items << { title: heading[1].strip, status: "pending", parent_index: nil }
+          section = items.size - 1
+          parents = []
+        end
+        next
+      end
+
+      indent = expanded[/\A */].size
+      item_title = text.sub(/\A(?:[-*+•]|\d+[.)])\s+/, "")
+      status = "pending"
+      if (checkbox = item_title.match(/\A\[([ xX])\]\s*/))
+        status = checkbox[1] == " " ? "pending" : "completed"
+        item_title = item_title[checkbox[0].size..]
+      end
+      item_title = item_title.strip
+      next if item_title.empty?
+
+      parents.pop while parents.any? && parents.last[:indent] >= indent
+      parent_index = parents.any? ? parents.last[:index] : section
+
+      items << { title: item_title, status: status, parent_index: parent_index }
+      parents << { indent: indent, index: items.size - 1 }
+    end
+
+    [ title, items ]
+  end
+end
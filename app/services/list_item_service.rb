@@ -50,7 +50,7 @@ class ListItemService
           item_type: options[:item_type] || determine_item_type(title),
           priority: options[:priority] || :medium,
           **options.slice(:due_date, :reminder_at, :assigned_user_id, :url, :metadata, :completed, :status,
-                         :recurrence_rule, :recurrence_end_date)
+                         :recurrence_rule, :recurrence_end_date, :board_column_id, :tag_list)
         )
 
         unless item.save
@@ -94,6 +94,7 @@ class ListItemService
   #   result = service.bulk_create_items([
   #     {title: "Item 1", description: "First item"},
   #     {title: "Item 2"},
+  #     {title: "Item 2a", status: "completed", parent_index: 1},  # nested under "Item 2"
   #     "Item 3"  # String format also supported
   #   ])
   def bulk_create_items(items_data, skip_broadcasts: false)
@@ -106,6 +107,10 @@ class ListItemService
     end
 
     created_items = []
+    items_by_index = {}
+    # Nesting of the created items, to keep pasted or imported lines within MAX_NESTING_DEPTH
+    parent_indexes = {}
+    depths = {}
 
     begin
       ActiveRecord::Base.transaction do
@@ -117,6 +122,8 @@ class ListItemService
             # Extract item attributes - supports both Hash and String formats
             item_title = item_data.is_a?(Hash) ? (item_data["title"] || item_data[:title]) : item_data.to_s
             item_description = item_data.is_a?(Hash) ? (item_data["description"] || item_data[:description]) : nil
+            item_status = item_data.is_a?(Hash) ? (item_data["status"] || item_data[:status]).presence_in(%w[pending completed]) : nil
+            parent_index = item_data.is_a?(Hash) ? (item_data["parent_index"] || item_data[:parent_index]) : nil
 
             Rails.logger.debug("ListItemService#bulk_create_items - Processing item #{index}: title=#{item_title}, description=#{item_description}")
 
@@ -135,13 +142,23 @@ class ListItemService
               title: item_title,
               description: item_description,
               position: position,
-              status: "pending",
+              status: item_status || "pending",
               item_type: determine_item_type(item_title),
               priority: :medium
             )
 
             if item.save
               created_items << item
+              items_by_index[index] = item
+
+              # Parents come before their children, so the parent already exists. Lines nested
+              # deeper than MAX_NESTING_DEPTH go under their deepest allowed ancestor instead.
+              parent_index = parent_index.present? ? parent_index.to_i : nil
+              parent_index = parent_indexes[parent_index] while parent_index && depths.fetch(parent_index, 0) >= ListItem::MAX_NESTING_DEPTH
+              parent = items_by_index[parent_index] if parent_index
+              parent_indexes[index] = parent_index if parent
+              depths[index] = parent ? depths.fetch(parent_index, 0) + 1 : 0
+              Relationship.create!(parent: parent, child: item, relationship_type: :parent_child) if parent
               Rails.logger.info("ListItemService#bulk_create_items - Created item: #{item.id} (#{item_title})")
             else
               Rails.logger.warn("ListItemService#bulk_create_items - Failed to create item in list #{@list.id}: #{item.errors.full_messages}")
@@ -232,6 +249,11 @@ class ListItemService
     end
 
     ActiveRecord::Base.transaction do
+      # Positions are unique per list, so park the items past the current maximum first;
+      # otherwise swapping two items would collide on the unique index mid-update
+      parking_offset = (@list.list_items.maximum(:position) || 0) + 1
+      @list.list_items.where(id: item_positions.keys).update_all([ "position = position + ?", parking_offset ])
+
       item_positions.each do |item_id, position|
         item = @list.list_items.find(item_id)
         item.skip_notifications = true # Avoid spamming notifications for reordering
@@ -240,6 +262,7 @@ class ListItemService
     end
 
     @list.reload
+    ListChannel.broadcast_event(@list, "items_reordered", positions: item_positions, actor_id: @user.id)
     broadcast_all_updates(@list)
     ApplicationService::Result.success(data: @list)
   rescue => e
@@ -247,6 +270,41 @@ class ListItemService
     ApplicationService::Result.failure(errors: @errors)
   end
 
+  # Save a drag-and-drop result from the list view. ordered_ids are the items in their
+  # new order; they take over the positions they already hold between them, so items
+  # outside the view keep theirs. parents maps dragged item ids to the item they now sit
+  # under (blank for top level).
+  def reorder_list(ordered_ids, parents: {})
+    unless can_edit_list?
+      return ApplicationService::Result.failure(errors: "You don't have permission to reorder items in this list")
+    end
+
+    ordered_ids = ordered_ids.map(&:to_s).uniq
+    items = @list.list_items.where(id: ordered_ids).index_by(&:id)
+    unless items.size == ordered_ids.size
+      return ApplicationService::Result.failure(errors: "Some of these items are no longer in this list")
+    end
+
+    available_positions = items.values.map(&:position).sort
+    item_positions = ordered_ids.each_with_index.to_h { |item_id, index| [ item_id, available_positions[index] ] }
+
+    result = nil
+    ActiveRecord::Base.transaction do
+      parents.each do |item_id, parent_id|
+        nest_item(items.fetch(item_id.to_s) { @list.list_items.find(item_id) }, parent_id)
+      end
+
+      result = reorder_items(item_positions)
+      raise ActiveRecord::Rollback if result.failure?
+    end
+
+    parents.each_key { |item_id| ListChannel.broadcast_event(@list, "item_updated", item_id: item_id, actor_id: @user.id) }
+    result
+  rescue => e
+    @errors = [ e.message ]
+    ApplicationService::Result.failure(errors: @errors)
+  end
+
   # Bulk operations
   def bulk_complete_items(item_ids)
     unless can_edit_list?
@@ -275,6 +333,26 @@ class ListItemService
 
   private
 
+  # Move an item under another one (or to the top level when parent_id is blank)
+  def nest_item(item, parent_id)
+    item.child_relationships.relationship_type_parent_child.where(parent_type: "ListItem").destroy_all
+
+    if parent_id.present?
+      parent = @list.list_items.find(parent_id)
+      if parent == item || parent.ancestors.include?(item)
+        raise ArgumentError, "An item can't be nested under itself or one of its sub-items"
+      end
+      if parent.nesting_depth >= ListItem::MAX_NESTING_DEPTH
+        raise ArgumentError, "Items can only be nested #{ListItem::MAX_NESTING_DEPTH} levels deep"
+      end
+
+      Relationship.create!(parent: parent, child: item, relationship_type: :parent_child)
+    end
+
+    # Live viewers re-fetch items by updated_at
+    item.touch
+  end
+
   def find_item(item_id)
     @list.list_items.find_by(id: item_id)
   end
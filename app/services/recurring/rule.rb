@@ -0,0 +1,150 @@
+module Recurring
+  # A parsed recurrence rule: one of the Recurrence::RULES presets or an RRULE-style
+  # string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10".
+  #
+  # Supported parts are FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (weekdays
+  # for WEEKLY, one nth weekday like 2TU or -1FR for MONTHLY) and COUNT, the number of
+  # occurrences left including the current one. The end date lives in recurrence_end_date
+  # rather than UNTIL.
+  #
+  # recurrence_controller.js mirrors #next_after and #summary for the form's preview,
+  # so changes here need to be made there too.
+  class Rule
+    FREQUENCIES = %w[DAILY WEEKLY MONTHLY YEARLY].freeze
+    # Indexed by Date#wday
+    WEEKDAYS = %w[SU MO TU WE TH FR SA].freeze
+    PRESETS = {
+      "daily" => "FREQ=DAILY",
+      "weekly" => "FREQ=WEEKLY",
+      "biweekly" => "FREQ=WEEKLY;INTERVAL=2",
+      "monthly" => "FREQ=MONTHLY",
+      "yearly" => "FREQ=YEARLY"
+    }.freeze
+    MAX_INTERVAL = 99
+    MAX_COUNT = 999
+    UNITS = { "DAILY" => "day", "WEEKLY" => "week", "MONTHLY" => "month", "YEARLY" => "year" }.freeze
+    ORDINALS = { 1 => "first", 2 => "second", 3 => "third", 4 => "fourth", -1 => "last" }.freeze
+
+    attr_reader :frequency, :interval, :weekdays, :nth, :count
+
+    # Returns nil for "none" and for anything that isn't a valid rule
+    def self.parse(value)
+      value = value.to_s.strip
+      return nil if value.blank? || value == "none"
+
+      parts = PRESETS.fetch(value, value).delete_prefix("RRULE:").split(";").to_h { |part| part.split("=", 2) }
+      return nil unless (parts.keys - %w[FREQ INTERVAL BYDAY COUNT]).empty?
+
+      frequency = parts["FREQ"]
+      interval = parts["INTERVAL"] ? Integer(parts["INTERVAL"], 10) : 1
+      count = parts["COUNT"] && Integer(parts["COUNT"], 10)
+      weekdays, nth = parse_by_day(frequency, parts["BYDAY"])
+
+      return nil unless FREQUENCIES.include?(frequency) && interval.between?(1, MAX_INTERVAL)
+      return nil if count && !count.between?(1, MAX_COUNT)
+      return nil if weekdays.nil?
+
+      new(frequency: frequency, interval: interval, weekdays: weekdays, nth: nth, count: count)
+    rescue ArgumentError, TypeError
+      nil
+    end
+
+    # [weekdays, nth], or nil when BYDAY doesn't fit the frequency
+    def self.parse_by_day(frequency, by_day)
+      return [ [], nil ] if by_day.blank?
+
+      case frequency
+      when "WEEKLY"
+        days = by_day.split(",")
+        return nil unless days.all? { |day| WEEKDAYS.include?(day) }
+
+        [ days.map { |day| WEEKDAYS.index(day) }.uniq.sort_by { |wday| (wday - 1) % 7 }, nil ]
+      when "MONTHLY"
+        match = by_day.match(/\A(-1|[1-4])(#{WEEKDAYS.join('|')})\z/)
+        match && [ [ WEEKDAYS.index(match[2]) ], match[1].to_i ]
+      end
+    end
+    private_class_method :parse_by_day
+
+    def initialize(frequency:, interval: 1, weekdays: [], nth: nil, count: nil)
+      @frequency = frequency
+      @interval = interval
+      @weekdays = weekdays
+      @nth = nth
+      @count = count
+    end
+
+    # The first occurrence after the given time, at the same time of day
+    def next_after(time)
+      case frequency
+      when "DAILY" then time + interval.days
+      when "WEEKLY" then weekdays.any? ? next_weekday_after(time) : time + interval.weeks
+      when "MONTHLY" then nth ? next_nth_weekday_after(time) : time + interval.months
+      when "YEARLY" then time + interval.years
+      end
+    end
+
+    def with_count(count)
+      self.class.new(frequency: frequency, interval: interval, weekdays: weekdays, nth: nth, count: count)
+    end
+
+    def last_occurrence?
+      count.present? && count <= 1
+    end
+
+    # "Every 2 weeks on Monday and Wednesday, 10 times"
+    def summary
+      text = interval == 1 ? frequency.capitalize : "Every #{interval} #{UNITS[frequency]}s"
+
+      if frequency == "WEEKLY" && weekdays.any?
+        text += " on #{weekdays.map { |wday| Date::DAYNAMES[wday] }.to_sentence}"
+      elsif nth
+        text += " on the #{ORDINALS[nth]} #{Date::DAYNAMES[weekdays.first]}"
+      end
+
+      text += count == 1 ? ", once" : ", #{count} times" if count
+      text
+    end
+
+    def to_s
+      parts = [ "FREQ=#{frequency}" ]
+      parts << "INTERVAL=#{interval}" if interval > 1
+      if nth
+        parts << "BYDAY=#{nth}#{WEEKDAYS[weekdays.first]}"
+      elsif weekdays.any?
+        parts << "BYDAY=#{weekdays.map { |wday| WEEKDAYS[wday] }.join(',')}"
+      end
+      parts << "COUNT=#{count}" if count
+      parts.join(";")
+    end
+
+    private
+
+    # A later chosen weekday in the same week (weeks start on Monday), otherwise the
+    # first chosen weekday `interval` weeks on
+    def next_weekday_after(time)
+      monday = time - ((time.wday - 1) % 7).days
+      offsets = weekdays.map { |wday| (wday - 1) % 7 }
+
+      later = offsets.map { |offset| monday + offset.days }.find { |day| day > time }
+      later || monday + interval.weeks + offsets.first.days
+    end
+
+    # The nth weekday of this month if it's still ahead, otherwise of the month `interval` on
+    def next_nth_weekday_after(time)
+      candidate = nth_weekday_in(time.change(day: 1))
+      candidate > time ? candidate : nth_weekday_in(time.change(day: 1) + interval.months)
+    end
+
+    def nth_weekday_in(first_of_month)
+      wday = weekdays.first
+
+      if nth.positive?
+        first_of_month + ((wday - first_of_month.wday) % 7).days + (nth - 1).weeks
+      else
+        last_of_month = first_of_month.change(day: first_of_month.end_of_month.day)
+        last_of_month - ((last_of_month.wday - wday) % 7).days
+      end
+    end
+  end
+end
@@ -28,7 +28,7 @@ module Recurring
         description: @item.description,
         item_type: @item.item_type,
         priority: @item.priority,
-        recurrence_rule: @item.recurrence_rule,
+        recurrence_rule: @item.next_recurrence_rule,
         recurrence_end_date: @item.recurrence_end_date,
         due_date: @item.next_due_date,
         assigned_user_id: @item.assigned_user_id,
@@ -0,0 +1,92 @@
+# app/services/web_push_service.rb
+#
+# Delivers one Web Push message to a browser subscription.
+#
+# The web-push gem encrypts the payload for the browser (RFC 8291) and signs the
+# request with our VAPID key (RFC 8292), so no push-provider account is needed.
+# Only endpoints on the browsers' push services are contacted (see PushSubscription),
+# and subscriptions the push service reports as gone (404/410) are removed.
+class WebPushService < ApplicationService
+  DEFAULT_TTL = 24.hours.to_i
+
+  class NotConfiguredError < StandardError; end
+
+  # Base64url public key the browser needs as applicationServerKey
+  def self.public_key
+    return unless configured?
+
+    encode64(vapid_key.public_key.to_bn.to_s(2))
+  end
+
+  def self.private_key
+    encode64(vapid_key.private_key.to_s(2))
+  end
+
+  def self.configured?
+    vapid_private_key_pem.present?
+  end
+
+  def self.vapid_key
+    raise NotConfiguredError, "VAPID private key not configured" unless configured?
+
+    @vapid_key ||= OpenSSL::PKey::EC.new(vapid_private_key_pem)
+  end
+
+  def self.vapid_private_key_pem
+    Rails.application.credentials.dig(:web_push, :vapid_private_key) || ENV["VAPID_PRIVATE_KEY"]
+  end
+
+  def self.vapid_subject
+    Rails.application.credentials.dig(:web_push, :subject) ||
+      ENV["VAPID_SUBJECT"] ||
+      "mailto:notifications@listopia.app"
+  end
+
+  def self.encode64(bytes)
+    Base64.urlsafe_encode64(bytes, padding: false)
+  end
+
+  def initialize(subscription, payload, ttl: DEFAULT_TTL, urgency: "normal")
+    @subscription = subscription
+    @payload = payload.is_a?(String) ? payload : payload.to_json
+    @ttl = ttl
+    @urgency = urgency
+  end
+
+  def call
+    return failure(errors: [ "Web Push is not configured" ]) unless self.class.configured?
+    # Endpoints are validated on save; check again so older rows can't reach other hosts
+    return failure(errors: [ "Unknown push service" ]) unless PushSubscription.push_service_endpoint?(@subscription.endpoint)
+
+    WebPush.payload_send(
+      message: @payload,
+      endpoint: @subscription.endpoint,
+      p256dh: @subscription.p256dh_key,
+      auth: @subscription.auth_key,
+      vapid: {
+        subject: self.class.vapid_subject,
+        public_key: self.class.public_key,
+        private_key: self.class.private_key
+      },
+      ttl: @ttl,
+      urgency: @urgency,
+      open_timeout: 5,
+      read_timeout: 10
+    )
+
+    @subscription.update_column(:last_delivered_at, Time.current)
+    success(message: "Push notification delivered")
+  rescue WebPush::ExpiredSubscription, WebPush::InvalidSubscription
+    # The browser unsubscribed or the subscription expired
+    @subscription.destroy
+    failure(errors: [ "Subscription expired" ])
+  rescue WebPush::ResponseError => e
+    failure(errors: [ "Push service responded with #{e.response.code}: #{e.response.body.to_s.truncate(200)}" ])
+  rescue OpenSSL::PKey::PKeyError, ArgumentError => e
+    Rails.logger.error("Web Push encryption failed for subscription #{@subscription.id}: #{e.message}")
+    failure(errors: [ "Invalid subscription keys" ])
+  rescue StandardError => e
+    Rails.logger.error("Web Push delivery failed for subscription #{@subscription.id}: #{e.message}")
+    failure(errors: [ e.message ])
+  end
+end
@@ -1,26 +1,345 @@
-// Add a service worker for processing Web Push notifications:
+// app/views/pwa/service-worker.js
+// Served at /service-worker.js and registered by service_worker_controller.js
 //
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
-//
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
-//
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// - Precaches the app shell (static files here, digested assets sent by the page)
+// - Keeps the most recently viewed lists for read-only offline browsing
+// - Queues item toggles, inline edits and quick-adds made offline in IndexedDB and
+//   replays them on Background Sync or when the page reports the connection is back
+// - Shows Web Push notifications (WebPushService) and opens their target on click
+
+const VERSION = "v2"
+const SHELL_CACHE = `listopia-shell-${VERSION}`
+const LISTS_CACHE = `listopia-lists-${VERSION}`
+const RECENT_LISTS_LIMIT = 20
+
+// "/" redirects signed-in users to their dashboard, so a static page stands in offline
+const OFFLINE_PAGE = "/offline.html"
+const SHELL_URLS = [OFFLINE_PAGE, "/icon.png", "/icon.svg", "/manifest.json"]
+
+// Same-origin page fetches we keep for offline reading
+const LIST_PAGE = /^\/lists\/[0-9a-f-]{36}(\/kanban)?\/?$/
+
+// Mutations that are queued instead of failing while offline. Forms on the list page send
+// PATCH as a POST with a hidden _method field, which is the method matched here
+const QUEUEABLE_MUTATIONS = [
+  { method: "PATCH", path: /^\/lists\/[0-9a-f-]{36}\/items\/[0-9a-f-]{36}\/toggle_completion$/ },
+  { method: "PATCH", path: /^\/lists\/[0-9a-f-]{36}\/items\/[0-9a-f-]{36}\/inline_update$/ },
+  { method: "PATCH", path: /^\/lists\/[0-9a-f-]{36}\/items\/[0-9a-f-]{36}(\.json)?$/ },
+  { method: "POST", path: /^\/lists\/[0-9a-f-]{36}\/items$/ }
+]
+
+const DB_NAME = "listopia-offline"
+const DB_STORE = "mutations"
+const SYNC_TAG = "replay-mutations"
+
+// Lifecycle
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith("listopia-") && ![SHELL_CACHE, LISTS_CACHE].includes(key))
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener("message", (event) => {
+  const { type, urls } = event.data || {}
+
+  switch (type) {
+    case "precache":
+      // Digested stylesheet/script URLs of the current page
+      event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(urls || [])).catch(() => {}))
+      break
+    case "replay":
+      event.waitUntil(replayMutations())
+      break
+    case "clear":
+      // Signed out: don't leave private lists behind
+      event.waitUntil(Promise.all([
+        caches.delete(LISTS_CACHE),
+        clearMutations(),
+        // The server drops the subscription once the push service reports it gone
+        self.registration.pushManager.getSubscription().then((subscription) => subscription?.unsubscribe())
+      ]))
+      break
+  }
+})
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayMutations())
+})
+
+// Push notifications
+
+self.addEventListener("push", (event) => {
+  if (!event.data) return
+
+  let message
+  try {
+    message = event.data.json()
+  } catch (error) {
+    message = { title: "Listopia", options: { body: event.data.text() } }
+  }
+
+  event.waitUntil(Promise.all([
+    self.registration.showNotification(message.title || "Listopia", message.options || {}),
+    // Let open pages update the notification bell
+    notifyClients({ type: "push-received" })
+  ]))
+})
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
+  event.waitUntil(openNotificationTarget(event.notification.data || {}))
+})
+
+// Reuses an open tab when there is one; the page marks the notification read
+// since only it has a CSRF token
+async function openNotificationTarget({ path = "/notifications", mark_as_read_path: markAsReadPath }) {
+  const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true })
+  const client = clients.find((candidate) => new URL(candidate.url).origin === self.location.origin)
+
+  if (client) {
+    await client.focus()
+    client.postMessage({ type: "notification-clicked", path, markAsReadPath })
+    return
+  }
+
+  const opened = await self.clients.openWindow(path)
+  opened?.postMessage({ type: "notification-clicked", markAsReadPath })
+}
+
+// Fetch handling
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.method === "GET") {
+    if (url.pathname.startsWith("/assets/")) {
+      // Digested, so they never change under the same URL
+      event.respondWith(cacheFirst(request))
+    } else if (LIST_PAGE.test(url.pathname) && acceptsHtml(request)) {
+      event.respondWith(networkFirstListPage(request))
+    } else if (request.mode === "navigate") {
+      event.respondWith(fetch(request).catch(() => offlineFallback(request)))
+    }
+    return
+  }
+
+  if (QUEUEABLE_MUTATIONS.some((mutation) => mutation.path.test(url.pathname))) {
+    event.respondWith(
+      requestMethod(request).then((method) => isQueueableMutation(method, url.pathname) ? fetchOrQueue(request) : fetch(request))
+    )
+  }
+})
+
+function acceptsHtml(request) {
+  return (request.headers.get("Accept") || "").includes("text/html")
+}
+
+// The method Rails will route the request by, taking _method from form posts into account
+async function requestMethod(request) {
+  const contentType = request.headers.get("Content-Type") || ""
+  if (request.method !== "POST" || !/multipart\/form-data|application\/x-www-form-urlencoded/.test(contentType)) {
+    return request.method
+  }
+
+  try {
+    const method = (await request.clone().formData()).get("_method")
+    return method ? String(method).toUpperCase() : request.method
+  } catch (error) {
+    return request.method
+  }
+}
+
+function isQueueableMutation(method, pathname) {
+  return QUEUEABLE_MUTATIONS.some((mutation) => mutation.method === method && mutation.path.test(pathname))
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+async function networkFirstListPage(request) {
+  // Turbo and full-page loads of the same list share one cache entry
+  const cacheKey = new URL(request.url).pathname
+
+  try {
+    const response = await fetch(request)
+    if (response.ok && !response.redirected) {
+      const cache = await caches.open(LISTS_CACHE)
+      await cache.put(cacheKey, response.clone())
+      await trimCache(cache, RECENT_LISTS_LIMIT)
+    }
+    return response
+  } catch (error) {
+    const cache = await caches.open(LISTS_CACHE)
+    return (await cache.match(cacheKey)) || offlineFallback(request)
+  }
+}
+
+// Cache keys come back in insertion order; re-putting a list moves it to the end
+async function trimCache(cache, limit) {
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(keys.length - limit, 0)).map((key) => cache.delete(key)))
+}
+
+async function offlineFallback(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const headers = { "Content-Type": "text/html; charset=utf-8" }
+  const offlinePage = await caches.match(OFFLINE_PAGE)
+  if (offlinePage) return new Response(offlinePage.body, { status: 503, headers })
+
+  return new Response(
+    "<!DOCTYPE html><title>Offline</title><p>You're offline and this page hasn't been saved for offline use yet.</p>",
+    { status: 503, headers }
+  )
+}
+
+// Offline mutation queue
+
+async function fetchOrQueue(request) {
+  // Keep a copy of the body; the original stream is consumed by fetch
+  const queuedRequest = request.clone()
+
+  try {
+    return await fetch(request)
+  } catch (error) {
+    await queueMutation(queuedRequest)
+    await notifyClients({ type: "mutation-queued", count: await countMutations() })
+
+    if (self.registration.sync) {
+      self.registration.sync.register(SYNC_TAG).catch(() => {})
+    }
+
+    // Empty turbo-stream so Turbo treats the submission as handled
+    return new Response("", {
+      status: 202,
+      headers: { "Content-Type": "text/vnd.turbo-stream.html; charset=utf-8", "X-Offline-Queued": "true" }
+    })
+  }
+}
+
+async function queueMutation(request) {
+  const headers = {}
+  ;["Accept", "Content-Type", "X-CSRF-Token", "X-Requested-With", "X-Record-Version"].forEach((name) => {
+    const value = request.headers.get(name)
+    if (value) headers[name] = value
+  })
+
+  const entry = {
+    url: request.url,
+    method: request.method,
+    headers,
+    body: await request.arrayBuffer(),
+    queuedAt: Date.now()
+  }
+
+  const db = await openDatabase()
+  await transactionDone(db.transaction(DB_STORE, "readwrite").objectStore(DB_STORE).add(entry))
+}
+
+let replaying = null
+
+// Replays in the order the changes were made and stops at the first network failure
+function replayMutations() {
+  replaying ||= (async () => {
+    const db = await openDatabase()
+    const entries = await requestResult(db.transaction(DB_STORE).objectStore(DB_STORE).getAll())
+    let replayed = 0
+    let failed = 0
+
+    for (const entry of entries) {
+      let response
+      try {
+        response = await fetch(entry.url, {
+          method: entry.method,
+          headers: entry.headers,
+          body: entry.body,
+          credentials: "same-origin"
+        })
+      } catch (error) {
+        // Still offline; try again on the next sync/reconnect
+        break
+      }
+
+      // Server errors may be temporary, anything else won't succeed on a retry
+      if (response.status >= 500) break
+      if (response.ok) replayed++
+      else failed++
+
+      await transactionDone(db.transaction(DB_STORE, "readwrite").objectStore(DB_STORE).delete(entry.id))
+    }
+
+    if (replayed > 0 || failed > 0) {
+      await notifyClients({ type: "mutations-replayed", replayed, failed, remaining: await countMutations() })
+    }
+  })().finally(() => { replaying = null })
+
+  return replaying
+}
+
+async function countMutations() {
+  const db = await openDatabase()
+  return requestResult(db.transaction(DB_STORE).objectStore(DB_STORE).count())
+}
+
+async function clearMutations() {
+  const db = await openDatabase()
+  await transactionDone(db.transaction(DB_STORE, "readwrite").objectStore(DB_STORE).clear())
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" })
+  clients.forEach((client) => client.postMessage(message))
+}
+
+// IndexedDB helpers
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(DB_STORE, { keyPath: "id", autoIncrement: true })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(request) {
+  return new Promise((resolve, reject) => {
+    request.transaction.oncomplete = () => resolve(request.result)
+    request.transaction.onerror = () => reject(request.transaction.error)
+  })
+}
@@ -7,8 +7,8 @@ Rails.application.routes.draw do
   get "up" => "rails/health#show", as: :rails_health_check
 
   # Render dynamic PWA files from app/views/pwa/*
-  # get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
-  # get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
+  get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
 
   # Root path
   root "home#index"
@@ -92,6 +92,9 @@ Rails.application.routes.draw do
 
       # Create message endpoint
       post :create_message, action: :create_message
+      post :stop_generation
+      post :edit_message
+      post :regenerate_message
 
       # Chat mentions and references search
       get "mentions/search_users", to: "chat_mentions#search_users", as: :search_users
@@ -140,6 +143,7 @@ Rails.application.routes.draw do
   resources :lists do
     member do
       get :kanban
+      get :updates
       patch :toggle_status
       patch :toggle_public_access
       post :duplicate
@@ -151,6 +155,9 @@ Rails.application.routes.draw do
     # Comments on Lists
     resources :comments, only: [ :create, :destroy ]
 
+    # Kanban board column settings (WIP limits)
+    resources :board_columns, only: [ :update ]
+
     # Analytics routes
     resources :analytics, only: [ :index ]
 
@@ -180,6 +187,7 @@ Rails.application.routes.draw do
       resources :collaborations, except: [ :new, :edit ]
 
       collection do
+        post :bulk_create
         patch :bulk_update
         patch :bulk_complete
         get :context_summary
@@ -220,6 +228,7 @@ Rails.application.routes.draw do
 
   # Notification preferences
   resource :notification_preferences, only: [ :show, :update ]
+  resource :push_subscription, only: [ :create, :destroy ]
 
   # Calendar events - synced from Google Calendar and Outlook
   resources :calendar_events, only: [ :show ]
@@ -249,8 +258,8 @@ Rails.application.routes.draw do
   get "setup_password/:token", to: "registrations#setup_password", as: :setup_password_registration
   post "setup_password/:token", to: "registrations#complete_setup_password", as: :complete_setup_password_registration
 
-  # Organizations - switcher and switching only
-  resources :organizations, only: [ :show ] do
+  # Organizations - switching, and settings for organization owners and admins
+  resources :organizations, only: [ :show, :edit, :update ] do
     collection do
       get :switcher, as: :switcher
       patch :switch
@@ -0,0 +1,6 @@
+class AddWipLimitToBoardColumns < ActiveRecord::Migration[8.1]
+  def change
+    add_column :board_columns, :wip_limit, :integer, comment: "Maximum number of items in the column (nil = unlimited)"
+    add_column :board_columns, :enforce_wip_limit, :boolean, default: false, null: false, comment: "Reject drops into the column once the WIP limit is reached"
+  end
+end
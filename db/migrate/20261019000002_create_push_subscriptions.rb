@@ -0,0 +1,16 @@
+class CreatePushSubscriptions < ActiveRecord::Migration[8.1]
+  def change
+    create_table :push_subscriptions, id: :uuid do |t|
+      t.references :user, null: false, foreign_key: true, type: :uuid
+      t.string :endpoint, null: false, comment: "Push service URL the browser gave us"
+      t.string :p256dh_key, null: false, comment: "Browser's public key for payload encryption (base64url)"
+      t.string :auth_key, null: false, comment: "Browser's auth secret for payload encryption (base64url)"
+      t.string :user_agent
+      t.datetime :last_delivered_at
+
+      t.timestamps
+    end
+
+    add_index :push_subscriptions, :endpoint, unique: true
+  end
+end
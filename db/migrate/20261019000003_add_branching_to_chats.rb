@@ -0,0 +1,8 @@
+class AddBranchingToChats < ActiveRecord::Migration[8.1]
+  def change
+    add_reference :chats, :parent_chat, type: :uuid, foreign_key: { to_table: :chats, on_delete: :nullify },
+                  comment: "Chat this one was branched from"
+    add_reference :chats, :branched_from_message, type: :uuid, foreign_key: { to_table: :messages, on_delete: :nullify },
+                  comment: "Message in the parent chat that was edited or regenerated to start this branch"
+  end
+end
@@ -1078,10 +1078,26 @@ CREATE TABLE public.board_columns (
     "position" integer DEFAULT 0 NOT NULL,
     metadata json DEFAULT '{}'::json,
     created_at timestamp(6) without time zone NOT NULL,
-    updated_at timestamp(6) without time zone NOT NULL
+    updated_at timestamp(6) without time zone NOT NULL,
+    wip_limit integer,
+    enforce_wip_limit boolean DEFAULT false NOT NULL
 );
 
 
+--
+-- Name: COLUMN board_columns.wip_limit; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.board_columns.wip_limit IS 'Maximum number of items in the column (nil = unlimited)';
+
+
+--
+-- Name: COLUMN board_columns.enforce_wip_limit; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.board_columns.enforce_wip_limit IS 'Reject drops into the column once the WIP limit is reached';
+
+
 --
 -- Name: calendar_events; Type: TABLE; Schema: public; Owner: -
 --
@@ -1326,7 +1342,9 @@ CREATE TABLE public.chats (
     visibility character varying DEFAULT 'private'::character varying,
     focused_resource_type character varying,
     focused_resource_id uuid,
-    chat_context_id uuid
+    chat_context_id uuid,
+    parent_chat_id uuid,
+    branched_from_message_id uuid
 );
 
 
@@ -1337,6 +1355,20 @@ CREATE TABLE public.chats (
 COMMENT ON COLUMN public.chats.chat_context_id IS 'Reference to the chat context';
 
 
+--
+-- Name: COLUMN chats.parent_chat_id; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.chats.parent_chat_id IS 'Chat this one was branched from';
+
+
+--
+-- Name: COLUMN chats.branched_from_message_id; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.chats.branched_from_message_id IS 'Message in the parent chat that was edited or regenerated to start this branch';
+
+
 --
 -- Name: collaborators; Type: TABLE; Schema: public; Owner: -
 --
@@ -1903,6 +1935,44 @@ COMMENT ON COLUMN public.planning_relationships.relationship_type IS 'Type of re
 COMMENT ON COLUMN public.planning_relationships.metadata IS 'Additional relationship metadata';
 
 
+--
+-- Name: push_subscriptions; Type: TABLE; Schema: public; Owner: -
+--
+
+CREATE TABLE public.push_subscriptions (
+    id uuid DEFAULT gen_random_uuid() NOT NULL,
+    user_id uuid NOT NULL,
+    endpoint character varying NOT NULL,
+    p256dh_key character varying NOT NULL,
+    auth_key character varying NOT NULL,
+    user_agent character varying,
+    last_delivered_at timestamp(6) without time zone,
+    created_at timestamp(6) without time zone NOT NULL,
+    updated_at timestamp(6) without time zone NOT NULL
+);
+
+
+--
+-- Name: COLUMN push_subscriptions.endpoint; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.push_subscriptions.endpoint IS 'Push service URL the browser gave us';
+
+
+--
+-- Name: COLUMN push_subscriptions.p256dh_key; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.push_subscriptions.p256dh_key IS 'Browser''s public key for payload encryption (base64url)';
+
+
+--
+-- Name: COLUMN push_subscriptions.auth_key; Type: COMMENT; Schema: public; Owner: -
+--
+
+COMMENT ON COLUMN public.push_subscriptions.auth_key IS 'Browser''s auth secret for payload encryption (base64url)';
+
+
 --
 -- Name: recovery_contexts; Type: TABLE; Schema: public; Owner: -
 --
@@ -2455,6 +2525,14 @@ ALTER TABLE ONLY public.planning_relationships
     ADD CONSTRAINT planning_relationships_pkey PRIMARY KEY (id);
 
 
+--
+-- Name: push_subscriptions push_subscriptions_pkey; Type: CONSTRAINT; Schema: public; Owner: -
+--
+
+ALTER TABLE ONLY public.push_subscriptions
+    ADD CONSTRAINT push_subscriptions_pkey PRIMARY KEY (id);
+
+
 --
 -- Name: recovery_contexts recovery_contexts_pkey; Type: CONSTRAINT; Schema: public; Owner: -
 --
@@ -3006,6 +3084,13 @@ CREATE INDEX index_chat_contexts_on_user_id ON public.chat_contexts USING btree
 CREATE UNIQUE INDEX index_chats_on_chat_context_id ON public.chats USING btree (chat_context_id);
 
 
+--
+-- Name: index_chats_on_branched_from_message_id; Type: INDEX; Schema: public; Owner: -
+--
+
+CREATE INDEX index_chats_on_branched_from_message_id ON public.chats USING btree (branched_from_message_id);
+
+
 --
 -- Name: index_chats_on_conversation_state; Type: INDEX; Schema: public; Owner: -
 --
@@ -3062,6 +3147,13 @@ CREATE INDEX index_chats_on_organization_id_and_created_at ON public.chats USING
 CREATE INDEX index_chats_on_organization_id_and_user_id ON public.chats USING btree (organization_id, user_id);
 
 
+--
+-- Name: index_chats_on_parent_chat_id; Type: INDEX; Schema: public; Owner: -
+--
+
+CREATE INDEX index_chats_on_parent_chat_id ON public.chats USING btree (parent_chat_id);
+
+
 --
 -- Name: index_chats_on_status; Type: INDEX; Schema: public; Owner: -
 --
@@ -3986,6 +4078,20 @@ CREATE INDEX index_organizations_on_status ON public.organizations USING btree (
 CREATE INDEX index_planning_relationships_on_chat_context_id ON public.planning_relationships USING btree (chat_context_id);
 
 
+--
+-- Name: index_push_subscriptions_on_endpoint; Type: INDEX; Schema: public; Owner: -
+--
+
+CREATE UNIQUE INDEX index_push_subscriptions_on_endpoint ON public.push_subscriptions USING btree (endpoint);
+
+
+--
+-- Name: index_push_subscriptions_on_user_id; Type: INDEX; Schema: public; Owner: -
+--
+
+CREATE INDEX index_push_subscriptions_on_user_id ON public.push_subscriptions USING btree (user_id);
+
+
 --
 -- Name: index_recovery_contexts_on_chat_id; Type: INDEX; Schema: public; Owner: -
 --
@@ -4401,6 +4507,14 @@ ALTER TABLE ONLY public.comments
     ADD CONSTRAINT fk_rails_03de2dc08c FOREIGN KEY (user_id) REFERENCES public.users(id);
 
 
+--
+-- Name: chats fk_rails_0c85fe670b; Type: FK CONSTRAINT; Schema: public; Owner: -
+--
+
+ALTER TABLE ONLY public.chats
+    ADD CONSTRAINT fk_rails_0c85fe670b FOREIGN KEY (parent_chat_id) REFERENCES public.chats(id) ON DELETE SET NULL;
+
+
 --
 -- Name: notification_settings fk_rails_0c95e91db7; Type: FK CONSTRAINT; Schema: public; Owner: -
 --
@@ -4529,6 +4643,14 @@ ALTER TABLE ONLY public.messages
     ADD CONSTRAINT fk_rails_41c70a97c6 FOREIGN KEY (organization_id) REFERENCES public.organizations(id);
 
 
+--
+-- Name: push_subscriptions fk_rails_43d43720fc; Type: FK CONSTRAINT; Schema: public; Owner: -
+--
+
+ALTER TABLE ONLY public.push_subscriptions
+    ADD CONSTRAINT fk_rails_43d43720fc FOREIGN KEY (user_id) REFERENCES public.users(id);
+
+
 --
 -- Name: ai_agent_team_memberships fk_rails_4b41739a47; Type: FK CONSTRAINT; Schema: public; Owner: -
 --
@@ -4625,6 +4747,14 @@ ALTER TABLE ONLY public.team_memberships
     ADD CONSTRAINT fk_rails_61c29b529e FOREIGN KEY (team_id) REFERENCES public.teams(id);
 
 
+--
+-- Name: chats fk_rails_621d330c8a; Type: FK CONSTRAINT; Schema: public; Owner: -
+--
+
+ALTER TABLE ONLY public.chats
+    ADD CONSTRAINT fk_rails_621d330c8a FOREIGN KEY (branched_from_message_id) REFERENCES public.messages(id) ON DELETE SET NULL;
+
+
 --
 -- Name: list_items fk_rails_671dc678fa; Type: FK CONSTRAINT; Schema: public; Owner: -
 --
@@ -5000,6 +5130,9 @@ ALTER TABLE ONLY public.connector_settings
 SET search_path TO "$user", public;
 
 INSERT INTO "schema_migrations" (version) VALUES
+('20261019000003'),
+('20261019000002'),
+('20261019000001'),
 ('20260326000001'),
 ('20260325000007'),
 ('20260325000006'),
@@ -0,0 +1,21 @@
+require 'rails_helper'
+
+RSpec.describe ApplicationCable::Connection, type: :channel do
+  let(:user) { create(:user, :verified) }
+
+  it 'connects a signed-in user' do
+    connect '/cable', session: { user_id: user.id, user_signed_in_at: Time.current.to_s }
+
+    expect(connection.current_user).to eq(user)
+  end
+
+  it 'rejects sessions without a user' do
+    expect { connect '/cable', session: {} }.to have_rejected_connection
+  end
+
+  it 'rejects sessions past the inactivity limit, like ApplicationController' do
+    expect {
+      connect '/cable', session: { user_id: user.id, user_signed_in_at: 25.hours.ago.to_s }
+    }.to have_rejected_connection
+  end
+end
@@ -0,0 +1,53 @@
+require 'rails_helper'
+
+RSpec.describe ListChannel, type: :channel do
+  let(:user) { create(:user, :verified) }
+  let(:list) { create(:list, owner: user) }
+
+  before { stub_connection current_user: user }
+
+  it 'streams events for a list the user can read' do
+    subscribe(list_id: list.id)
+
+    expect(subscription).to be_confirmed
+    expect(subscription).to have_stream_for(list)
+  end
+
+  it 'rejects lists the user cannot read' do
+    other_list = create(:list, owner: create(:user, :verified))
+
+    subscribe(list_id: other_list.id)
+
+    expect(subscription).to be_rejected
+  end
+
+  it 'rejects unknown lists' do
+    subscribe(list_id: SecureRandom.uuid)
+
+    expect(subscription).to be_rejected
+  end
+
+  describe 'item events' do
+    it 'broadcasts item creation' do
+      expect {
+        create(:list_item, list: list)
+      }.to have_broadcasted_to(list).from_channel(ListChannel).with(a_hash_including(type: 'item_created'))
+    end
+
+    it 'broadcasts item deletion' do
+      item = create(:list_item, list: list)
+
+      expect {
+        item.destroy
+      }.to have_broadcasted_to(list).from_channel(ListChannel).with(a_hash_including(type: 'item_deleted', item_id: item.id))
+    end
+
+    it 'leaves position-only changes to the reorder event' do
+      item = create(:list_item, list: list)
+
+      expect {
+        item.update!(position: item.position + 100)
+      }.not_to have_broadcasted_to(list).from_channel(ListChannel)
+    end
+  end
+end
@@ -0,0 +1,51 @@
+require 'rails_helper'
+
+RSpec.describe ListPresenceChannel, type: :channel do
+  let(:user) { create(:user, :verified) }
+  let(:list) { create(:list, owner: user) }
+
+  before { stub_connection current_user: user }
+
+  it 'rejects lists the user cannot read' do
+    other_list = create(:list, owner: create(:user, :verified))
+
+    subscribe(list_id: other_list.id)
+
+    expect(subscription).to be_rejected
+  end
+
+  describe '#announce' do
+    before { subscribe(list_id: list.id) }
+
+    it 'broadcasts the viewer with their state' do
+      expect {
+        perform :announce, connection_id: 'tab-1', state: 'idle', hello: true
+      }.to have_broadcasted_to(list).from_channel(ListPresenceChannel)
+        .with(a_hash_including(type: 'presence', connection_id: 'tab-1', state: 'idle', hello: true))
+    end
+
+    it 'only shares the edited item when it belongs to the list' do
+      item = create(:list_item, list: list)
+      other_item = create(:list_item)
+
+      expect {
+        perform :announce, connection_id: 'tab-1', editing_item_id: item.id
+      }.to have_broadcasted_to(list).from_channel(ListPresenceChannel)
+        .with(a_hash_including(editing_item_id: item.id))
+
+      expect {
+        perform :announce, connection_id: 'tab-1', editing_item_id: other_item.id
+      }.to have_broadcasted_to(list).from_channel(ListPresenceChannel)
+        .with(a_hash_including(editing_item_id: nil))
+    end
+
+    it 'broadcasts leaving on unsubscribe' do
+      perform :announce, connection_id: 'tab-1'
+
+      expect {
+        unsubscribe
+      }.to have_broadcasted_to(list).from_channel(ListPresenceChannel)
+        .with(a_hash_including(type: 'left', connection_id: 'tab-1'))
+    end
+  end
+end
@@ -2,13 +2,15 @@
 #
 # Table name: board_columns
 #
-#  id         :uuid             not null, primary key
-#  metadata   :json
-#  name       :string           not null
-#  position   :integer          default(0), not null
-#  created_at :datetime         not null
-#  updated_at :datetime         not null
-#  list_id    :uuid             not null
+#  id                :uuid             not null, primary key
+#  enforce_wip_limit :boolean          default(FALSE), not null
+#  metadata          :json
+#  name              :string           not null
+#  position          :integer          default(0), not null
+#  wip_limit         :integer
+#  created_at        :datetime         not null
+#  updated_at        :datetime         not null
+#  list_id           :uuid             not null
 #
 # Indexes
 #
@@ -0,0 +1,31 @@
+# == Schema Information
+#
+# Table name: push_subscriptions
+#
+#  id                                                                  :uuid             not null, primary key
+#  auth_key(Browser's auth secret for payload encryption (base64url))  :string           not null
+#  endpoint(Push service URL the browser gave us)                      :string           not null
+#  last_delivered_at                                                   :datetime
+#  p256dh_key(Browser's public key for payload encryption (base64url)) :string           not null
+#  user_agent                                                          :string
+#  created_at                                                          :datetime         not null
+#  updated_at                                                          :datetime         not null
+#  user_id                                                             :uuid             not null
+#
+# Indexes
+#
+#  index_push_subscriptions_on_endpoint  (endpoint) UNIQUE
+#  index_push_subscriptions_on_user_id   (user_id)
+#
+# Foreign Keys
+#
+#  fk_rails_...  (user_id => users.id)
+#
+FactoryBot.define do
+  factory :push_subscription do
+    association :user
+    sequence(:endpoint) { |n| "https://fcm.googleapis.com/fcm/send/#{n}" }
+    p256dh_key { Base64.urlsafe_encode64(OpenSSL::PKey::EC.generate("prime256v1").public_key.to_bn.to_s(2), padding: false) }
+    auth_key { Base64.urlsafe_encode64(SecureRandom.random_bytes(16), padding: false) }
+  end
+end
@@ -60,6 +60,29 @@ RSpec.describe ListsHelper, type: :helper do
     end
   end
 
+  describe "#kanban_cell_dom_id" do
+    let(:column) { create(:board_column) }
+
+    it "returns the column id without swimlanes" do
+      expect(helper.kanban_cell_dom_id(column)).to eq("column_#{column.id}")
+    end
+
+    it "includes the swimlane attribute and lane" do
+      expect(helper.kanban_cell_dom_id(column, "priority", "high")).to eq("column_#{column.id}_priority_high")
+    end
+  end
+
+  describe "#kanban_cell_selector" do
+    it "matches the column and both swimlane cells for the item" do
+      item = create(:list_item, priority: :high)
+      column_id = item.reload.board_column_id
+
+      expect(helper.kanban_cell_selector(item)).to eq(
+        "#column_#{column_id}, #column_#{column_id}_assignee_unassigned, #column_#{column_id}_priority_high"
+      )
+    end
+  end
+
   describe "#list_type_badge" do
     it "displays personal list with correct styling" do
       list = double(list_type: "personal")
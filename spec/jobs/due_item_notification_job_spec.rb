@@ -0,0 +1,35 @@
+require 'rails_helper'
+
+RSpec.describe DueItemNotificationJob, type: :job do
+  let(:user) { create(:user) }
+  let(:assignee) { create(:user) }
+  let(:list) { create(:list, owner: user) }
+  let(:window_start) { Time.current.beginning_of_hour }
+
+  describe '#perform' do
+    it 'notifies the assignee about items due in the window' do
+      create(:list_item, list: list, assigned_user: assignee, due_date: window_start + 30.minutes)
+
+      expect {
+        described_class.perform_now(window_start)
+      }.to change { assignee.notifications.count }.by(1)
+    end
+
+    it 'notifies the list owner about unassigned items' do
+      create(:list_item, list: list, due_date: window_start + 30.minutes)
+
+      expect {
+        described_class.perform_now(window_start)
+      }.to change { user.notifications.count }.by(1)
+    end
+
+    it 'skips completed items and items due outside the window' do
+      create(:list_item, list: list, status: :completed, due_date: window_start + 30.minutes)
+      create(:list_item, list: list, due_date: window_start + 2.hours)
+
+      expect {
+        described_class.perform_now(window_start)
+      }.not_to change(Noticed::Notification, :count)
+    end
+  end
+end
@@ -2,13 +2,15 @@
 #
 # Table name: board_columns
 #
-#  id         :uuid             not null, primary key
-#  metadata   :json
-#  name       :string           not null
-#  position   :integer          default(0), not null
-#  created_at :datetime         not null
-#  updated_at :datetime         not null
-#  list_id    :uuid             not null
+#  id                :uuid             not null, primary key
+#  enforce_wip_limit :boolean          default(FALSE), not null
+#  metadata          :json
+#  name              :string           not null
+#  position          :integer          default(0), not null
+#  wip_limit         :integer
+#  created_at        :datetime         not null
+#  updated_at        :datetime         not null
+#  list_id           :uuid             not null
 #
 # Indexes
 #
@@ -21,5 +23,46 @@
 require 'rails_helper'
 
 RSpec.describe BoardColumn, type: :model do
-  pending "add some examples to (or delete) #{__FILE__}"
+  describe "associations" do
+    it { should belong_to(:list) }
+    it { should have_many(:list_items).dependent(:nullify) }
+  end
+
+  describe "validations" do
+    it { should validate_numericality_of(:wip_limit).only_integer.is_greater_than(0).allow_nil }
+  end
+
+  describe "WIP limits" do
+    let(:list) { create(:list) }
+    let(:column) { create(:board_column, list: list, name: "Review", wip_limit: 1) }
+
+    it "is not reached while below the limit" do
+      expect(column.wip_limit_reached?).to be false
+    end
+
+    it "is reached once the column holds wip_limit items" do
+      create(:list_item, list: list, board_column: column)
+      expect(column.wip_limit_reached?).to be true
+      expect(column.wip_limit_exceeded?).to be false
+    end
+
+    it "accepts items past the limit unless enforced" do
+      create(:list_item, list: list, board_column: column)
+      expect(column.accepts_items?).to be true
+    end
+
+    it "rejects items into a full enforced column" do
+      column.update!(enforce_wip_limit: true)
+      create(:list_item, list: list, board_column: column)
+
+      item = create(:list_item, list: list)
+      expect(item.update(board_column: column)).to be false
+      expect(item.errors[:board_column]).to be_present
+    end
+
+    it "has no limit without wip_limit" do
+      column.update!(wip_limit: nil, enforce_wip_limit: true)
+      expect(column.accepts_items?).to be true
+    end
+  end
 end
@@ -2,29 +2,32 @@
 #
 # Table name: chats
 #
-#  id                                             :uuid             not null, primary key
-#  context                                        :json
-#  conversation_state                             :string           default("stable")
-#  focused_resource_type                          :string
-#  last_cleanup_at                                :datetime
-#  last_message_at                                :datetime
-#  last_stable_at                                 :datetime
-#  metadata                                       :json
-#  model_id_string                                :string
-#  status                                         :string           default("active")
-#  title                                          :string(255)
-#  visibility                                     :string           default("private")
-#  created_at                                     :datetime         not null
-#  updated_at                                     :datetime         not null
-#  chat_context_id(Reference to the chat context) :uuid
-#  focused_resource_id                            :uuid
-#  model_id                                       :bigint
-#  organization_id                                :uuid
-#  team_id                                        :uuid
-#  user_id                                        :uuid             not null
+#  id                                                                                                       :uuid             not null, primary key
+#  context                                                                                                  :json
+#  conversation_state                                                                                       :string           default("stable")
+#  focused_resource_type                                                                                    :string
+#  last_cleanup_at                                                                                          :datetime
+#  last_message_at                                                                                          :datetime
+#  last_stable_at                                                                                           :datetime
+#  metadata                                                                                                 :json
+#  model_id_string                                                                                          :string
+#  status                                                                                                   :string           default("active")
+#  title                                                                                                    :string(255)
+#  visibility                                                                                               :string           default("private")
+#  created_at                                                                                               :datetime         not null
+#  updated_at                                                                                               :datetime         not null
+#  branched_from_message_id(Message in the parent chat that was edited or regenerated to start this branch) :uuid
+#  chat_context_id(Reference to the chat context)                                                           :uuid
+#  focused_resource_id                                                                                      :uuid
+#  model_id                                                                                                 :bigint
+#  organization_id                                                                                          :uuid
+#  parent_chat_id(Chat this one was branched from)                                                          :uuid
+#  team_id                                                                                                  :uuid
+#  user_id                                                                                                  :uuid             not null
 #
 # Indexes
 #
+#  index_chats_on_branched_from_message_id                       (branched_from_message_id)
 #  index_chats_on_chat_context_id                                (chat_context_id) UNIQUE
 #  index_chats_on_conversation_state                             (conversation_state)
 #  index_chats_on_focused_resource_type_and_focused_resource_id  (focused_resource_type,focused_resource_id)
@@ -34,6 +37,7 @@
 #  index_chats_on_organization_id                                (organization_id)
 #  index_chats_on_organization_id_and_created_at                 (organization_id,created_at)
 #  index_chats_on_organization_id_and_user_id                    (organization_id,user_id)
+#  index_chats_on_parent_chat_id                                 (parent_chat_id)
 #  index_chats_on_status                                         (status)
 #  index_chats_on_team_id                                        (team_id)
 #  index_chats_on_team_id_and_user_id                            (team_id,user_id)
@@ -44,9 +48,11 @@
 #
 # Foreign Keys
 #
+#  fk_rails_...  (branched_from_message_id => messages.id) ON DELETE => nullify
 #  fk_rails_...  (chat_context_id => chat_contexts.id)
 #  fk_rails_...  (model_id => models.id)
 #  fk_rails_...  (organization_id => organizations.id)
+#  fk_rails_...  (parent_chat_id => chats.id) ON DELETE => nullify
 #  fk_rails_...  (team_id => teams.id)
 #  fk_rails_...  (user_id => users.id)
 #
@@ -58,6 +64,8 @@ RSpec.describe Chat, type: :model do
     it { is_expected.to belong_to(:organization).required }
     it { is_expected.to belong_to(:team).optional }
     it { is_expected.to have_many(:messages).dependent(:destroy) }
+    it { is_expected.to belong_to(:parent_chat).class_name("Chat").optional }
+    it { is_expected.to have_many(:branches).class_name("Chat").dependent(:nullify) }
   end
 
   describe "validations" do
@@ -400,4 +408,20 @@ RSpec.describe Chat, type: :model do
       expect(chat.reload.updated_at).to be > original_updated_at
     end
   end
+
+  describe "#branch_family" do
+    let(:root) { create(:chat, created_at: 3.hours.ago) }
+    let!(:branch) { create(:chat, user: root.user, organization: root.organization, parent_chat: root, created_at: 2.hours.ago) }
+    let!(:nested) { create(:chat, user: root.user, organization: root.organization, parent_chat: branch, created_at: 1.hour.ago) }
+    let!(:deleted) { create(:chat, :deleted, user: root.user, organization: root.organization, parent_chat: root) }
+
+    it "returns the whole tree from any branch, oldest first" do
+      expect(nested.branch_family).to eq([ root, branch, nested ])
+      expect(root.branch_family).to eq([ root, branch, nested ])
+    end
+
+    it "finds the root chat" do
+      expect(nested.root_chat).to eq(root)
+    end
+  end
 end
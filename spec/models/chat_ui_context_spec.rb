@@ -0,0 +1,20 @@
+require 'rails_helper'
+
+RSpec.describe ChatUiContext do
+  let(:chat) { create(:chat) }
+  let(:context) { described_class.new(chat: chat, user: chat.user, organization: chat.organization) }
+
+  describe '#commands' do
+    it 'lists the slash commands the chat handles' do
+      expect(context.commands.map { |command| command[:name] }).to eq(%w[/search /browse /help /clear /new])
+    end
+
+    it 'offers list statuses and list titles for /browse' do
+      argument = context.commands.find { |command| command[:name] == '/browse' }[:args].first
+
+      expect(argument[:options]).to match_array(List.statuses.keys)
+      expect(argument[:source]).to eq('lists')
+      expect(argument[:required]).to be(false)
+    end
+  end
+end
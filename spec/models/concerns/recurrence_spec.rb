@@ -81,9 +81,54 @@ RSpec.describe ListItem, type: :model do
       item.update!(recurrence_rule: 'yearly')
       expect(item.next_due_date).to eq(item.due_date + 1.year)
     end
+
+    it 'follows custom rules' do
+      item.update!(recurrence_rule: 'FREQ=DAILY;INTERVAL=3')
+      expect(item.next_due_date).to eq(item.due_date + 3.days)
+    end
+  end
+
+  describe 'custom rules' do
+    it 'accepts valid rules' do
+      item.recurrence_rule = 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5'
+      expect(item).to be_valid
+    end
+
+    it 'rejects invalid rules' do
+      item.recurrence_rule = 'FREQ=WEEKLY;BYDAY=XX'
+      expect(item).not_to be_valid
+      expect(item.errors[:recurrence_rule]).to be_present
+    end
+
+    it 'summarizes the rule' do
+      item.recurrence_rule = 'FREQ=MONTHLY;BYDAY=-1FR'
+      expect(item.recurrence_summary).to eq('Monthly on the last Friday')
+    end
+
+    it 'counts down occurrences in the rule passed on' do
+      item.recurrence_rule = 'FREQ=DAILY;COUNT=3'
+      expect(item.next_recurrence_rule).to eq('FREQ=DAILY;COUNT=2')
+    end
+
+    it 'passes other rules on unchanged' do
+      item.recurrence_rule = 'weekly'
+      expect(item.next_recurrence_rule).to eq('weekly')
+    end
   end
 
   describe '#within_recurrence_window?' do
+    context 'when the rule counts occurrences' do
+      it 'returns true while more are left' do
+        item.update!(recurrence_rule: 'FREQ=WEEKLY;COUNT=2')
+        expect(item.within_recurrence_window?).to be true
+      end
+
+      it 'returns false on the last one' do
+        item.update!(recurrence_rule: 'FREQ=WEEKLY;COUNT=1')
+        expect(item.within_recurrence_window?).to be false
+      end
+    end
+
     context 'when recurrence_end_date is blank' do
       it 'returns true' do
         item.update!(recurrence_rule: 'weekly', recurrence_end_date: nil)
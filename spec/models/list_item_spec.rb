@@ -76,6 +76,18 @@ RSpec.describe ListItem, type: :model do
     it { should validate_presence_of(:priority) }
     it { should validate_presence_of(:status) }
     it { should validate_numericality_of(:position).only_integer.is_greater_than_or_equal_to(0) }
+    it { should validate_inclusion_of(:duration_unit).in_array(ListItem::DURATION_UNITS).allow_blank }
+  end
+
+  describe "duration unit" do
+    it "is kept in the metadata and counts calendar days by default" do
+      item = create(:list_item)
+      expect(item.business_days?).to be false
+
+      item.update!(duration_unit: "business_days")
+      expect(item.reload.metadata).to include("duration_unit" => "business_days")
+      expect(item.business_days?).to be true
+    end
   end
 
   describe "enums" do
@@ -241,6 +241,30 @@ RSpec.describe List, type: :model do
     end
   end
 
+  describe '#item_nesting' do
+    let(:list) { create(:list) }
+    let!(:parent) { create(:list_item, list: list) }
+    let!(:child) { create(:list_item, list: list) }
+    let!(:grandchild) { create(:list_item, list: list) }
+    let!(:top_level) { create(:list_item, list: list) }
+
+    before do
+      Relationship.create!(parent: parent, child: child, relationship_type: :parent_child)
+      Relationship.create!(parent: child, child: grandchild, relationship_type: :parent_child)
+    end
+
+    it 'returns the parent and depth of nested items only' do
+      expect(list.item_nesting).to eq(
+        child.id => { parent_id: parent.id, depth: 1 },
+        grandchild.id => { parent_id: child.id, depth: 2 }
+      )
+    end
+
+    it 'matches ListItem#nesting_depth' do
+      expect(list.item_nesting.dig(grandchild.id, :depth)).to eq(grandchild.nesting_depth)
+    end
+  end
+
   describe 'color themes' do
     it 'stores color theme' do
       list = create(:list, color_theme: "red")
@@ -91,6 +91,22 @@ RSpec.describe Message, type: :model do
       }.to raise_error(ArgumentError)
     end
 
+    it "accepts supported files, going by extension for CSV and markdown" do
+      message = build(:message, chat: chat)
+      message.files.attach(io: StringIO.new("Milk\nEggs"), filename: "groceries.csv", content_type: "application/octet-stream")
+      message.files.attach(io: StringIO.new("png"), filename: "photo.png", content_type: "image/png")
+
+      expect(message).to be_valid
+    end
+
+    it "rejects unsupported files" do
+      message = build(:message, chat: chat)
+      message.files.attach(io: StringIO.new("MZ"), filename: "setup.exe", content_type: "application/x-msdownload")
+
+      expect(message).not_to be_valid
+      expect(message.errors[:files]).to include("setup.exe isn't a supported file type")
+    end
+
     it "validates template_type is in MessageTemplate registry" do
       message = build(:message, chat: chat, template_type: "invalid_template")
       expect(message).not_to be_valid
@@ -461,6 +477,11 @@ RSpec.describe Message, type: :model do
       expect(reloaded.rag_sources).to eq(rag_sources)
       expect(reloaded.attachments).to eq(attachments)
     end
+
+    it "marks messages whose content is only the attached file names" do
+      expect(create(:message, chat: chat, metadata: { files_only: true }).reload).to be_files_only
+      expect(create(:message, chat: chat, content: "Make a list from tasks.csv").reload).not_to be_files_only
+    end
   end
 
   describe "token tracking" do
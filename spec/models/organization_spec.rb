@@ -157,6 +157,40 @@ RSpec.describe Organization, type: :model do
     end
   end
 
+  describe '#business_calendar' do
+    it 'defaults to a Monday to Friday, 9 to 5 week without holidays' do
+      expect(organization.business_calendar).to eq(
+        working_days: [ 1, 2, 3, 4, 5 ], workday_start: '09:00', workday_end: '17:00', holidays: []
+      )
+    end
+
+    it 'returns the configured calendar' do
+      organization.update!(working_days: [ '', '0', '1', '2', '3', '4' ], workday_start: '08:30', workday_end: '16:00')
+
+      expect(organization.reload.business_calendar).to include(working_days: [ 0, 1, 2, 3, 4 ], workday_start: '08:30', workday_end: '16:00')
+    end
+
+    it 'parses holidays from text, one per line' do
+      organization.update!(holidays: "2026-12-25 Christmas\n2026-01-01\nnot a date\n2026-12-25")
+
+      expect(organization.reload.business_calendar[:holidays]).to eq([ '2026-01-01', '2026-12-25' ])
+    end
+
+    it 'rejects malformed working hours' do
+      organization.workday_start = '9am'
+
+      expect(organization).not_to be_valid
+      expect(organization.errors[:workday_start]).to be_present
+    end
+
+    it 'requires the working day to end after it starts' do
+      organization.assign_attributes(workday_start: '17:00', workday_end: '09:00')
+
+      expect(organization).not_to be_valid
+      expect(organization.errors[:workday_end]).to be_present
+    end
+  end
+
   describe 'scopes' do
     describe '.active' do
       it 'returns only active organizations' do
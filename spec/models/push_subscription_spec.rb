@@ -0,0 +1,33 @@
+require 'rails_helper'
+
+RSpec.describe PushSubscription, type: :model do
+  describe "associations" do
+    it { should belong_to(:user) }
+  end
+
+  describe "validations" do
+    subject { build(:push_subscription) }
+
+    it { should validate_presence_of(:endpoint) }
+    it { should validate_uniqueness_of(:endpoint) }
+    it { should validate_presence_of(:p256dh_key) }
+    it { should validate_presence_of(:auth_key) }
+
+    it "requires an https endpoint" do
+      subject.endpoint = "http://fcm.googleapis.com/fcm/send/1"
+      expect(subject).not_to be_valid
+      expect(subject.errors[:endpoint]).to include("must be an https URL")
+    end
+
+    it "only accepts browser push service hosts" do
+      subject.endpoint = "https://updates.push.services.mozilla.com/wpush/v2/abc"
+      expect(subject).to be_valid
+
+      [ "https://internal.example.com/send/1", "https://fcm.googleapis.com.evil.test/send/1", "https://fcm.googleapis.com:8443/send/1" ].each do |endpoint|
+        subject.endpoint = endpoint
+        expect(subject).not_to be_valid
+        expect(subject.errors[:endpoint]).to include("must be a browser push service URL")
+      end
+    end
+  end
+end
@@ -0,0 +1,145 @@
+require 'rails_helper'
+
+RSpec.describe DashboardController, type: :request do
+  let(:user) { create(:user, :verified) }
+  let(:organization) { create(:organization, creator: user) }
+  let(:list) { create(:list, owner: user, organization: organization) }
+  let(:list_item) { create(:list_item, list: list, priority: :medium, due_date: Time.zone.local(2026, 3, 2, 14, 30)) }
+
+  before do
+    create(:organization_membership, organization: organization, user: user, role: :owner)
+  end
+
+  def login_as(user)
+    post session_path, params: { email: user.email, password: user.password }
+  end
+
+  def execute(action_type, **params)
+    post dashboard_execute_action_path,
+         params: { action_type: action_type, item_id: list_item.id, list_id: list.id, **params },
+         as: :json
+  end
+
+  describe 'POST #execute_action' do
+    before { login_as(user) }
+
+    it 'marks the item complete' do
+      execute('mark_complete')
+
+      expect(response).to have_http_status(:ok)
+      expect(list_item.reload).to be_status_completed
+    end
+
+    context 'snooze' do
+      it 'moves the due date and keeps its time of day' do
+        execute('snooze', until: (Date.current + 1).iso8601)
+
+        expect(response).to have_http_status(:ok)
+        due_date = list_item.reload.due_date
+        expect(due_date.to_date).to eq(Date.current + 1)
+        expect([ due_date.hour, due_date.min ]).to eq([ 14, 30 ])
+      end
+
+      it 'rejects dates in the past' do
+        execute('snooze', until: (Date.current - 1).iso8601)
+
+        expect(response).to have_http_status(:unprocessable_content)
+        expect(list_item.reload.due_date).to eq(Time.zone.local(2026, 3, 2, 14, 30))
+      end
+
+      it 'rejects an invalid date' do
+        execute('snooze', until: 'someday')
+
+        expect(response).to have_http_status(:unprocessable_content)
+      end
+    end
+
+    context 'reassign' do
+      let(:collaborator) { create(:user, :verified) }
+
+      before { create(:collaborator, collaboratable: list, user: collaborator, permission: :write) }
+
+      it 'assigns the item to a collaborator' do
+        execute('reassign', assigned_user_id: collaborator.id)
+
+        expect(response).to have_http_status(:ok)
+        expect(list_item.reload.assigned_user_id).to eq(collaborator.id)
+      end
+
+      it 'unassigns the item when no one is given' do
+        list_item.update!(assigned_user_id: collaborator.id)
+
+        execute('reassign', assigned_user_id: '')
+
+        expect(list_item.reload.assigned_user_id).to be_nil
+      end
+
+      it 'refuses users without access to the list' do
+        stranger = create(:user, :verified)
+
+        execute('reassign', assigned_user_id: stranger.id)
+
+        expect(response).to have_http_status(:unprocessable_content)
+        expect(list_item.reload.assigned_user_id).to be_nil
+      end
+    end
+
+    context 'bump_priority' do
+      it 'raises the priority one step' do
+        execute('bump_priority')
+
+        expect(response).to have_http_status(:ok)
+        expect(list_item.reload).to be_priority_high
+      end
+
+      it 'leaves urgent items alone' do
+        list_item.update!(priority: :urgent)
+
+        execute('bump_priority')
+
+        expect(response).to have_http_status(:unprocessable_content)
+        expect(list_item.reload).to be_priority_urgent
+      end
+    end
+
+    context 'convert_to_event' do
+      it 'turns the item into a meeting' do
+        execute('convert_to_event')
+
+        expect(response).to have_http_status(:ok)
+        expect(list_item.reload).to be_item_type_meeting
+        expect(list_item.start_date).to be_present
+      end
+
+      it 'pushes the event to a connected calendar' do
+        account = create(:connectors_account, user: user, organization: organization)
+        allow(Connectors::PushItemEventJob).to receive(:perform_later)
+
+        execute('convert_to_event')
+
+        expect(Connectors::PushItemEventJob).to have_received(:perform_later)
+          .with(connector_account_id: account.id, list_item_id: list_item.id)
+      end
+
+      it 'skips the calendar when none is connected' do
+        allow(Connectors::PushItemEventJob).to receive(:perform_later)
+
+        execute('convert_to_event')
+
+        expect(Connectors::PushItemEventJob).not_to have_received(:perform_later)
+      end
+    end
+
+    it 'does not touch items on lists the user cannot access' do
+      other_user = create(:user, :verified)
+      other_org = create(:organization, creator: other_user)
+      other_item = create(:list_item, list: create(:list, owner: other_user, organization: other_org), priority: :low)
+
+      post dashboard_execute_action_path,
+           params: { action_type: 'bump_priority', item_id: other_item.id, list_id: other_item.list_id },
+           as: :json
+
+      expect(other_item.reload).to be_priority_low
+    end
+  end
+end
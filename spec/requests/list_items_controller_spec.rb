@@ -93,6 +93,18 @@ RSpec.describe ListItemsController, type: :request do
           expect([ 200, 406 ]).to include(response.status)
         end
       end
+
+      context 'from a kanban column' do
+        let(:board_column) { list.board_columns.first || create(:board_column, list: list) }
+
+        it 'places the item in the board column' do
+          post list_list_items_path(list),
+               params: { list_item: { title: 'Card', board_column_id: board_column.id } },
+               headers: { 'Accept' => Mime[:turbo_stream].to_s }
+          expect(list.list_items.find_by(title: 'Card').board_column).to eq(board_column)
+          expect(response.body).to include("#column_#{board_column.id}")
+        end
+      end
     end
 
     context 'with invalid parameters' do
@@ -206,6 +218,32 @@ RSpec.describe ListItemsController, type: :request do
         expect([ 302, 422 ]).to include(response.status)
       end
     end
+
+    context 'with a record version (auto-save)' do
+      let(:version) { list_item.updated_at.utc.iso8601(6) }
+
+      it 'saves and returns the new version when the version is current' do
+        patch list_list_item_path(list, list_item, format: :json),
+              params: { list_item: { title: 'Autosaved' } },
+              headers: { 'X-Record-Version' => version }
+
+        expect(response).to have_http_status(:ok)
+        expect(response.headers['X-Record-Version']).to eq(list_item.reload.updated_at.utc.iso8601(6))
+      end
+
+      it 'refuses stale writes with the stored values' do
+        stale_version = version
+        list_item.update!(title: 'Changed elsewhere')
+
+        patch list_list_item_path(list, list_item, format: :json),
+              params: { list_item: { title: 'Autosaved' } },
+              headers: { 'X-Record-Version' => stale_version }
+
+        expect(response).to have_http_status(:conflict)
+        expect(response.parsed_body['current']).to eq('title' => 'Changed elsewhere')
+        expect(list_item.reload.title).to eq('Changed elsewhere')
+      end
+    end
   end
 
   describe 'PATCH #inline_update' do
@@ -300,6 +338,164 @@ RSpec.describe ListItemsController, type: :request do
            params: { list_item: { title: 'Test', status: 'completed', item_type: 'task' } }
       expect(ListItem.last.status).to eq('completed')
     end
+
+    it 'accepts tag_list' do
+      post list_list_items_path(list),
+           params: { list_item: { title: 'Test', tag_list: 'ops, release', item_type: 'task' } }
+      expect(ListItem.last.tag_list).to contain_exactly('ops', 'release')
+    end
+  end
+
+  describe 'POST #bulk_create' do
+    before { login_as(user) }
+
+    let(:items) do
+      [
+        { title: 'Book flights', status: 'pending' },
+        { title: 'Compare prices', status: 'completed', parent_index: 0 },
+        { title: 'Renew passport' }
+      ]
+    end
+
+    it 'creates one item per entry with its status' do
+      expect {
+        post bulk_create_list_list_items_path(list), params: { items: items }, as: :json
+      }.to change(list.list_items, :count).by(3)
+
+      expect(response).to have_http_status(:created)
+      expect(list.list_items.find_by(title: 'Compare prices')).to be_status_completed
+      expect(list.list_items.find_by(title: 'Renew passport')).to be_status_pending
+    end
+
+    it 'nests items under their parent' do
+      post bulk_create_list_list_items_path(list), params: { items: items }, as: :json
+
+      parent = list.list_items.find_by(title: 'Book flights')
+      child = list.list_items.find_by(title: 'Compare prices')
+      expect(child.parent_items).to eq([ parent ])
+      expect(child.nesting_depth).to eq(1)
+    end
+
+    it 'keeps deeply indented lines within the maximum nesting depth' do
+      deep_items = (0..ListItem::MAX_NESTING_DEPTH + 1).map do |index|
+        { title: "Level #{index}", parent_index: (index - 1 if index.positive?) }.compact
+      end
+
+      post bulk_create_list_list_items_path(list), params: { items: deep_items }, as: :json
+
+      deepest = list.list_items.find_by(title: "Level #{ListItem::MAX_NESTING_DEPTH + 1}")
+      expect(deepest.nesting_depth).to eq(ListItem::MAX_NESTING_DEPTH)
+      expect(deepest.parent_items.first.title).to eq("Level #{ListItem::MAX_NESTING_DEPTH - 1}")
+    end
+
+    it 'renders the updated list for turbo stream requests' do
+      post bulk_create_list_list_items_path(list),
+           params: { items: items },
+           headers: { 'Accept' => Mime[:turbo_stream].to_s },
+           as: :json
+
+      expect(response.body).to include('Compare prices')
+    end
+  end
+
+  describe 'PATCH #reorder' do
+    let!(:first_item) { create(:list_item, list: list, position: 0) }
+    let!(:second_item) { create(:list_item, list: list, position: 1) }
+
+    before { login_as(user) }
+
+    it 'swaps item positions' do
+      patch reorder_list_list_items_path(list),
+            params: { positions: { first_item.id => 1, second_item.id => 0 } },
+            as: :json
+
+      expect(response).to have_http_status(:no_content)
+      expect(first_item.reload.position).to eq(1)
+      expect(second_item.reload.position).to eq(0)
+    end
+
+    it 'rejects items from another list' do
+      other_item = create(:list_item)
+
+      patch reorder_list_list_items_path(list),
+            params: { positions: { other_item.id => 5 } },
+            as: :json
+
+      expect(response).to have_http_status(:unprocessable_content)
+      expect(other_item.reload.position).not_to eq(5)
+    end
+
+    context 'with the full order' do
+      it 'saves the order and returns the new revision' do
+        patch reorder_list_list_items_path(list),
+              params: { order: [ second_item.id, first_item.id ], revision: list.item_order_revision },
+              as: :json
+
+        expect(response).to have_http_status(:ok)
+        expect(second_item.reload.position).to eq(0)
+        expect(first_item.reload.position).to eq(1)
+        expect(response.parsed_body['revision']).to eq(list.reload.item_order_revision)
+      end
+
+      it 'refuses an order based on an outdated revision' do
+        revision = list.item_order_revision
+        ListItemService.new(list, user).reorder_items(first_item.id => 1, second_item.id => 0)
+
+        patch reorder_list_list_items_path(list),
+              params: { order: [ first_item.id, second_item.id ], revision: revision },
+              as: :json
+
+        expect(response).to have_http_status(:conflict)
+        expect(response.parsed_body['order']).to eq([ second_item.id, first_item.id ])
+        expect(first_item.reload.position).to eq(1)
+      end
+
+      it 'accepts an outdated revision when items were only added or deleted since' do
+        deleted_item = create(:list_item, list: list, position: 2)
+        revision = list.item_order_revision
+        base_order = [ first_item.id, second_item.id, deleted_item.id ]
+        deleted_item.destroy!
+
+        patch reorder_list_list_items_path(list),
+              params: { order: [ second_item.id, first_item.id ], revision: revision, base: { order: base_order, parents: {} } },
+              as: :json
+
+        expect(response).to have_http_status(:ok)
+        expect(second_item.reload.position).to eq(0)
+      end
+
+      it 'nests a dragged item under another one' do
+        patch reorder_list_list_items_path(list),
+              params: { order: [ first_item.id, second_item.id ], parents: { second_item.id => first_item.id } },
+              as: :json
+
+        expect(response).to have_http_status(:ok)
+        expect(second_item.reload.parent_items).to eq([ first_item ])
+      end
+
+      it 'moves a nested item back to the top level' do
+        Relationship.create!(parent: first_item, child: second_item, relationship_type: :parent_child)
+
+        patch reorder_list_list_items_path(list),
+              params: { order: [ first_item.id, second_item.id ], parents: { second_item.id => nil } },
+              as: :json
+
+        expect(response).to have_http_status(:ok)
+        expect(second_item.reload.parent_items).to be_empty
+      end
+
+      it 'refuses to nest an item under its own sub-item' do
+        Relationship.create!(parent: first_item, child: second_item, relationship_type: :parent_child)
+
+        patch reorder_list_list_items_path(list),
+              params: { order: [ second_item.id, first_item.id ], parents: { first_item.id => second_item.id } },
+              as: :json
+
+        expect(response).to have_http_status(:unprocessable_content)
+        expect(first_item.reload.parent_items).to be_empty
+        expect(first_item.position).to eq(0)
+      end
+    end
   end
 
   describe 'nested resource routing' do
@@ -89,6 +89,28 @@ RSpec.describe OrganizationsController, type: :request do
     end
   end
 
+  describe "PATCH #update" do
+    before { login_as(user) }
+
+    it "lets an organization owner set the working calendar" do
+      patch organization_path(org1), params: {
+        organization: { working_days: [ "", "1", "2", "3", "4" ], workday_start: "08:00", workday_end: "16:00", holidays: "2026-12-25" }
+      }
+
+      expect(response).to redirect_to(edit_organization_path(org1))
+      expect(org1.reload.business_calendar).to eq(
+        working_days: [ 1, 2, 3, 4 ], workday_start: "08:00", workday_end: "16:00", holidays: [ "2026-12-25" ]
+      )
+    end
+
+    it "refuses members who aren't owners or admins" do
+      patch organization_path(org2), params: { organization: { workday_start: "08:00" } }
+
+      expect(response.status).to eq(403)
+      expect(org2.reload.workday_start).to be_nil
+    end
+  end
+
   describe "authentication" do
     it "requires user to be signed in to access switcher" do
       get switcher_organizations_path, params: {}, headers: { "Accept" => Mime[:turbo_stream].to_s }
@@ -0,0 +1,75 @@
+require 'rails_helper'
+
+RSpec.describe PushSubscriptionsController, type: :request do
+  let(:user) { create(:user, :verified) }
+  let(:subscription_params) do
+    attributes = attributes_for(:push_subscription)
+    {
+      subscription: {
+        endpoint: attributes[:endpoint],
+        keys: { p256dh: attributes[:p256dh_key], auth: attributes[:auth_key] }
+      }
+    }
+  end
+
+  def login_as(user)
+    post session_path, params: { email: user.email, password: user.password }
+  end
+
+  it 'requires user to be signed in' do
+    post push_subscription_path, params: subscription_params, as: :json
+    expect(response).not_to have_http_status(:created)
+    expect(PushSubscription.count).to eq(0)
+  end
+
+  describe 'POST #create' do
+    before { login_as(user) }
+
+    it 'stores the subscription and turns push on' do
+      expect {
+        post push_subscription_path, params: subscription_params, as: :json
+      }.to change(user.push_subscriptions, :count).by(1)
+
+      expect(response).to have_http_status(:created)
+      expect(user.notification_preferences.reload.push_notifications?).to be true
+    end
+
+    it 'moves an existing endpoint to the current user' do
+      existing = create(:push_subscription, endpoint: subscription_params[:subscription][:endpoint])
+
+      expect {
+        post push_subscription_path, params: subscription_params, as: :json
+      }.not_to change(PushSubscription, :count)
+
+      expect(existing.reload.user).to eq(user)
+    end
+
+    it 'rejects incomplete subscriptions' do
+      subscription_params[:subscription][:keys].delete(:auth)
+      post push_subscription_path, params: subscription_params, as: :json
+
+      expect(response).to have_http_status(:unprocessable_content)
+    end
+  end
+
+  describe 'DELETE #destroy' do
+    let!(:subscription) { create(:push_subscription, user: user) }
+
+    before { login_as(user) }
+
+    it 'removes the subscription for this browser' do
+      delete push_subscription_path, params: { endpoint: subscription.endpoint }, as: :json
+
+      expect(response).to have_http_status(:no_content)
+      expect(PushSubscription.exists?(subscription.id)).to be false
+      expect(user.notification_preferences.reload.push_notifications?).to be false
+    end
+
+    it "doesn't remove other users' subscriptions" do
+      other = create(:push_subscription)
+      delete push_subscription_path, params: { endpoint: other.endpoint }, as: :json
+
+      expect(PushSubscription.exists?(other.id)).to be true
+    end
+  end
+end
@@ -0,0 +1,62 @@
+require 'rails_helper'
+
+RSpec.describe 'PWA', type: :request do
+  it 'serves the service worker' do
+    get pwa_service_worker_path(format: :js)
+
+    expect(response).to have_http_status(:ok)
+    expect(response.body).to include('replayMutations')
+  end
+
+  it 'precaches a static offline page rather than the redirecting home page' do
+    get pwa_service_worker_path(format: :js)
+
+    expect(response.body).to include('const OFFLINE_PAGE = "/offline.html"')
+    expect(Rails.public_path.join('offline.html')).to exist
+  end
+
+  it 'serves the manifest' do
+    get pwa_manifest_path(format: :json)
+
+    expect(response).to have_http_status(:ok)
+    expect(response.parsed_body['start_url']).to eq('/')
+  end
+
+  describe 'offline queue' do
+    let(:user) { create(:user, :verified) }
+    let(:list) { create(:list, owner: user) }
+    let!(:item) { create(:list_item, list: list) }
+
+    before { post session_path, params: { email: user.email, password: user.password } }
+
+    # QUEUEABLE_MUTATIONS from the served service worker, as [method, path pattern] pairs
+    def queueable_mutations
+      get pwa_service_worker_path(format: :js)
+      response.body.scan(%r{\{ method: "(\w+)", path: /(.+?)/ \}}).map { |method, path| [ method, Regexp.new(path) ] }
+    end
+
+    # Whether the service worker queues what the form submits: browsers and Turbo send the
+    # form's own method, and Rails (like requestMethod in the worker) reads _method from the body
+    def queued?(form)
+      method = (form.at_css('input[name="_method"]')&.[]('value') || form['method']).upcase
+      path = URI(form['action']).path
+      queueable_mutations.any? { |queued_method, pattern| queued_method == method && pattern.match?(path) }
+    end
+
+    it 'queues the item toggle on the list page' do
+      get list_path(list)
+      toggle = Nokogiri::HTML(response.body).css('form').find { |form| form['action'] == toggle_completion_list_list_item_path(list, item) }
+
+      expect(toggle['method']).to eq('post')
+      expect(queued?(toggle)).to be true
+    end
+
+    it 'queues the inline edit form' do
+      get edit_list_list_item_path(list, item), headers: { 'Accept' => Mime[:turbo_stream].to_s }
+      edit_form = Nokogiri::HTML(response.body).css('form').find { |form| form['action'] == list_list_item_path(list, item) }
+
+      expect(edit_form['method']).to eq('post')
+      expect(queued?(edit_form)).to be true
+    end
+  end
+end
@@ -90,6 +90,24 @@ RSpec.describe SearchController, type: :request do
       end
     end
 
+    context 'with type parameter' do
+      it 'limits the search to the faceted model' do
+        expect(SearchService).to receive(:call).with(
+          hash_including(models: ListItem)
+        ).and_return(double(success?: true, data: []))
+
+        get search_path(q: 'test', type: 'item')
+      end
+
+      it 'searches every model for an unknown type' do
+        expect(SearchService).to receive(:call).with(
+          hash_including(models: nil)
+        ).and_return(double(success?: true, data: []))
+
+        get search_path(q: 'test', type: 'comment')
+      end
+    end
+
     context 'when SearchService succeeds' do
       it 'assigns results' do
         list = create(:list, owner: user, organization: organization)
@@ -215,6 +233,37 @@ RSpec.describe SearchController, type: :request do
       # Verify it's rendering the partial
       expect(response.body).to include('spotlight')
     end
+
+    it 'includes lists and other organizations for command mode' do
+      list = create(:list, owner: user, organization: organization, title: 'Groceries')
+      other = create(:organization, name: 'Other Workspace')
+      create(:organization_membership, organization: other, user: user, role: :member)
+
+      get spotlight_modal_path
+
+      expect(response.body).to include('data-spotlight-search-lists-value')
+      expect(response.body).to include(list_list_items_path(list))
+      expect(response.body).to include('Other Workspace')
+      expect(response.body).to include(switch_organizations_path)
+    end
+
+    it 'only offers lists in the current organization the user can add items to' do
+      other_user = create(:user, :verified)
+      create(:organization_membership, organization: organization, user: other_user, role: :member)
+      shared = create(:list, owner: other_user, organization: organization)
+      create(:collaborator, collaboratable: shared, user: user, permission: :write)
+      read_only = create(:list, owner: other_user, organization: organization)
+      create(:collaborator, collaboratable: read_only, user: user, permission: :read)
+      public_list = create(:list, owner: create(:user, :verified), is_public: true, public_permission: :public_write)
+      elsewhere = create(:list, owner: user, organization: create(:organization))
+
+      get spotlight_modal_path
+
+      expect(response.body).to include(list_list_items_path(shared))
+      expect(response.body).not_to include(list_list_items_path(read_only))
+      expect(response.body).not_to include(list_list_items_path(public_list))
+      expect(response.body).not_to include(list_list_items_path(elsewhere))
+    end
   end
 
   describe 'result formatting' do
@@ -0,0 +1,42 @@
+require 'rails_helper'
+
+RSpec.describe ChatBranchService do
+  let(:chat) { create(:chat, metadata: { 'model' => 'gpt-5', 'pending_list_intent' => 'x' }) }
+  let(:user) { chat.user }
+  let!(:first_prompt) { create(:message, :user, chat: chat, user: user, content: 'Plan a trip', created_at: 3.minutes.ago) }
+  let!(:first_reply) { create(:message, :assistant, chat: chat, content: 'Where to?', created_at: 2.minutes.ago) }
+  let!(:second_prompt) { create(:message, :user, chat: chat, user: user, content: 'To Lisbon', created_at: 1.minute.ago) }
+  let!(:second_reply) { create(:message, :assistant, chat: chat, content: 'Great choice') }
+
+  def branch(message: second_prompt, content: 'To Porto')
+    described_class.call(chat: chat, message: message, content: content, user: user)
+  end
+
+  it 'copies the messages before the edited one and adds the new prompt' do
+    result = branch
+
+    expect(result).to be_success
+    branch_chat = result.data[:chat]
+    expect(branch_chat.messages.ordered.map(&:content)).to eq([ 'Plan a trip', 'Where to?', 'To Porto' ])
+    expect(result.data[:user_message]).to be_user_message
+  end
+
+  it 'links the branch to the original and leaves the original alone' do
+    branch_chat = branch.data[:chat]
+
+    expect(branch_chat.parent_chat).to eq(chat)
+    expect(branch_chat.branched_from_message).to eq(second_prompt)
+    expect(branch_chat.metadata).to eq('model' => 'gpt-5')
+    expect(chat.messages.count).to eq(4)
+    expect(chat.branch_family).to eq([ chat, branch_chat ])
+  end
+
+  it 'rejects blank content' do
+    expect(branch(content: '  ')).to be_failure
+  end
+
+  it 'only branches at user messages in the chat' do
+    expect(branch(message: second_reply)).to be_failure
+    expect(branch(message: create(:message, :user, user: user))).to be_failure
+  end
+end
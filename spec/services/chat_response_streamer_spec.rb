@@ -0,0 +1,38 @@
+require 'rails_helper'
+
+RSpec.describe ChatResponseStreamer do
+  let(:chat) { create(:chat) }
+  let(:user_message) { create(:message, :user, chat: chat, user: chat.user) }
+  let(:streamer) { described_class.new(chat: chat, user_message: user_message) }
+
+  before do
+    stub_const('ChatResponseStreamer::FLUSH_INTERVAL', 0)
+    stub_const('ChatResponseStreamer::STOP_CHECK_INTERVAL', 0)
+    allow(Turbo::StreamsChannel).to receive(:broadcast_append_to)
+  end
+
+  it 'appends escaped chunks to the streaming bubble' do
+    streamer << 'Use <b>bold</b>'
+
+    expect(Turbo::StreamsChannel).to have_received(:broadcast_append_to).with(
+      "chat_#{chat.id}",
+      target: "chat-stream-#{chat.id}",
+      html: 'Use &lt;b&gt;bold&lt;/b&gt;'
+    )
+    expect(streamer.content).to eq('Use <b>bold</b>')
+  end
+
+  it 'holds back structured JSON responses' do
+    streamer << ' {"response": "Hi"'
+
+    expect(Turbo::StreamsChannel).not_to have_received(:broadcast_append_to)
+  end
+
+  it 'stops once the user message is flagged, keeping the partial content' do
+    streamer << 'Partial '
+    user_message.update(metadata: user_message.metadata.merge('stop_requested' => true))
+
+    expect { streamer << 'answer' }.to raise_error(described_class::Stopped)
+    expect(streamer.content).to eq('Partial answer')
+  end
+end
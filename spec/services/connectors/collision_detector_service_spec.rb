@@ -0,0 +1,100 @@
+require "rails_helper"
+
+RSpec.describe Connectors::CollisionDetectorService, type: :service do
+  include ActiveSupport::Testing::TimeHelpers
+
+  let(:user) { create(:user) }
+  let(:organization) { create(:organization, creator: user) }
+  let(:account) { create(:connectors_account, user: user, organization: organization, provider: "google_calendar") }
+
+  # Tuesday 10:00-11:00
+  let(:start_time) { Time.zone.local(2026, 3, 10, 10, 0) }
+  let(:end_time) { Time.zone.local(2026, 3, 10, 11, 0) }
+
+  def event(id, summary, from, to, **attributes)
+    { "id" => id, "summary" => summary, "start" => { "dateTime" => from.iso8601 }, "end" => { "dateTime" => to.iso8601 } }.merge(attributes)
+  end
+
+  let(:events) do
+    [
+      event("planning", "Planning", Time.zone.local(2026, 3, 10, 9, 0), Time.zone.local(2026, 3, 10, 10, 0)),
+      event("standup", "Standup", Time.zone.local(2026, 3, 10, 10, 0), Time.zone.local(2026, 3, 10, 10, 30)),
+      event("review", "Review", Time.zone.local(2026, 3, 10, 11, 0), Time.zone.local(2026, 3, 10, 12, 0)),
+      event("cancelled", "Cancelled", start_time, end_time, "status" => "cancelled"),
+      { "id" => "offsite", "summary" => "Offsite", "start" => { "date" => "2026-03-10" }, "end" => { "date" => "2026-03-11" } }
+    ]
+  end
+
+  before do
+    create(:connectors_setting, account: account, key: "default_calendar_id", value: "primary")
+    allow_any_instance_of(Connectors::Google::EventSyncService).to receive(:fetch_events_in_range).and_return(events)
+  end
+
+  before { travel_to(Time.zone.local(2026, 3, 9, 8, 0)) }
+  after { travel_back }
+
+  it "reports the timed events overlapping the requested time" do
+    result = described_class.call(user: user, start_time: start_time, end_time: end_time)
+
+    expect(result).to be_success
+    expect(result.data[:has_conflicts]).to be true
+    expect(result.data[:collisions].map { |collision| collision[:id] }).to eq([ "standup" ])
+    expect(result.data).not_to have_key(:free_slots)
+  end
+
+  it "reports no conflicts when the time is free" do
+    result = described_class.call(user: user, start_time: Time.zone.local(2026, 3, 10, 14, 0), end_time: Time.zone.local(2026, 3, 10, 15, 0))
+
+    expect(result.data[:has_conflicts]).to be false
+  end
+
+  it "skips the excluded event" do
+    result = described_class.call(user: user, start_time: start_time, end_time: end_time, exclude_external_id: "standup")
+
+    expect(result.data[:has_conflicts]).to be false
+  end
+
+  describe "free slot suggestions" do
+    it "suggests the nearest free slots of the same length within working hours" do
+      result = described_class.call(user: user, start_time: start_time, end_time: end_time, suggest_slots: 3)
+
+      expect(result.data[:free_slots]).to eq([
+        { start: Time.zone.local(2026, 3, 10, 8, 0), end: Time.zone.local(2026, 3, 10, 9, 0) },
+        { start: Time.zone.local(2026, 3, 10, 12, 0), end: Time.zone.local(2026, 3, 10, 13, 0) },
+        { start: Time.zone.local(2026, 3, 10, 12, 30), end: Time.zone.local(2026, 3, 10, 13, 30) }
+      ])
+    end
+
+    it "does not suggest slots in the past" do
+      travel_to(Time.zone.local(2026, 3, 10, 9, 45))
+
+      result = described_class.call(user: user, start_time: start_time, end_time: end_time, suggest_slots: 1)
+
+      expect(result.data[:free_slots].first[:start]).to eq(Time.zone.local(2026, 3, 10, 12, 0))
+    end
+
+    context "when the user is in another time zone" do
+      let(:user) { create(:user, timezone: "Asia/Tokyo") }
+      # Tuesday 09:00-10:00 in Tokyo
+      let(:start_time) { Time.utc(2026, 3, 10, 0, 0) }
+      let(:end_time) { Time.utc(2026, 3, 10, 1, 0) }
+      let(:events) { [ event("busy", "Busy", start_time, end_time) ] }
+
+      it "keeps suggestions to the user's working hours" do
+        result = described_class.call(user: user, start_time: start_time, end_time: end_time, suggest_slots: 2)
+
+        # 08:00-09:00 and 10:00-11:00 in Tokyo, both outside working hours in UTC
+        expect(result.data[:free_slots]).to eq([
+          { start: Time.utc(2026, 3, 9, 23, 0), end: Time.utc(2026, 3, 10, 0, 0) },
+          { start: Time.utc(2026, 3, 10, 1, 0), end: Time.utc(2026, 3, 10, 2, 0) }
+        ])
+      end
+    end
+
+    it "returns no suggestions when there is no conflict" do
+      result = described_class.call(user: user, start_time: Time.zone.local(2026, 3, 10, 14, 0), end_time: Time.zone.local(2026, 3, 10, 15, 0), suggest_slots: 3)
+
+      expect(result.data[:free_slots]).to eq([])
+    end
+  end
+end
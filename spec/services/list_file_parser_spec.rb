@@ -0,0 +1,54 @@
+require 'rails_helper'
+
+RSpec.describe ListFileParser do
+  def parse(filename, content)
+    described_class.new(filename: filename, content: content).parse
+  end
+
+  describe 'markdown' do
+    it 'nests indented lines and reads checkboxes' do
+      result = parse('trip.md', "# Trip plan\n\n- [ ] Book flights\n  - [x] Compare prices\n- Pack\n")
+
+      expect(result[:title]).to eq('Trip plan')
+      expect(result[:items]).to eq([
+        { title: 'Book flights', status: 'pending', parent_index: nil },
+        { title: 'Compare prices', status: 'completed', parent_index: 0 },
+        { title: 'Pack', status: 'pending', parent_index: nil }
+      ])
+    end
+
+    it 'turns later headings into items with their lines nested inside' do
+      result = parse('trip.md', "# Trip\n## Day 1\n1. Museum\n   * Tickets\n")
+
+      expect(result[:items]).to eq([
+        { title: 'Day 1', status: 'pending', parent_index: nil },
+        { title: 'Museum', status: 'pending', parent_index: 0 },
+        { title: 'Tickets', status: 'pending', parent_index: 1 }
+      ])
+    end
+  end
+
+  describe 'CSV' do
+    it 'uses the title, description and status columns of a header row' do
+      result = parse('q3-launch_plan.csv', "Task,Notes,Done\nWrite copy,,yes\nShip,Friday,\n")
+
+      expect(result[:title]).to eq('Q3 launch plan')
+      expect(result[:items]).to eq([
+        { title: 'Write copy', status: 'completed' },
+        { title: 'Ship', description: 'Friday', status: 'pending' }
+      ])
+    end
+
+    it 'takes the first column of every row without a header' do
+      result = parse('groceries.csv', "Milk\nEggs,12\n")
+
+      expect(result[:items].map { |item| item[:title] }).to eq(%w[Milk Eggs])
+    end
+  end
+
+  it 'returns nil for other files, malformed CSV and files without items' do
+    expect(parse('notes.txt', 'Milk')).to be_nil
+    expect(parse('broken.csv', "a,\"b\n")).to be_nil
+    expect(parse('empty.md', "# Title only\n")).to be_nil
+  end
+end
@@ -0,0 +1,93 @@
+require 'rails_helper'
+
+RSpec.describe Recurring::Rule do
+  # Monday
+  let(:monday) { Time.zone.local(2026, 3, 9, 9, 0) }
+
+  describe '.parse' do
+    it 'parses presets' do
+      rule = described_class.parse('biweekly')
+
+      expect(rule.frequency).to eq('WEEKLY')
+      expect(rule.interval).to eq(2)
+    end
+
+    it 'parses custom rules' do
+      rule = described_class.parse('FREQ=WEEKLY;INTERVAL=3;BYDAY=WE,MO;COUNT=4')
+
+      expect(rule.interval).to eq(3)
+      expect(rule.weekdays).to eq([ 1, 3 ])
+      expect(rule.count).to eq(4)
+    end
+
+    it 'parses the nth weekday of the month' do
+      rule = described_class.parse('FREQ=MONTHLY;BYDAY=-1FR')
+
+      expect(rule.nth).to eq(-1)
+      expect(rule.weekdays).to eq([ 5 ])
+    end
+
+    it 'returns nil for none and invalid rules' do
+      [
+        'none', '', 'hourly', 'FREQ=HOURLY', 'FREQ=DAILY;INTERVAL=0', 'FREQ=DAILY;INTERVAL=x',
+        'FREQ=DAILY;BYDAY=MO', 'FREQ=MONTHLY;BYDAY=5MO', 'FREQ=WEEKLY;BYDAY=XX', 'FREQ=WEEKLY;UNTIL=20270101',
+        'FREQ=WEEKLY;COUNT=0'
+      ].each do |value|
+        expect(described_class.parse(value)).to be_nil, "expected #{value.inspect} to be rejected"
+      end
+    end
+  end
+
+  describe '#next_after' do
+    it 'adds the interval for simple rules' do
+      expect(described_class.parse('FREQ=DAILY;INTERVAL=3').next_after(monday)).to eq(monday + 3.days)
+      expect(described_class.parse('monthly').next_after(monday)).to eq(monday + 1.month)
+    end
+
+    it 'moves to the next chosen weekday in the same week' do
+      rule = described_class.parse('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')
+
+      expect(rule.next_after(monday)).to eq(Time.zone.local(2026, 3, 11, 9, 0))
+    end
+
+    it 'skips ahead by the interval after the last chosen weekday of the week' do
+      rule = described_class.parse('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')
+
+      expect(rule.next_after(Time.zone.local(2026, 3, 11, 9, 0))).to eq(Time.zone.local(2026, 3, 23, 9, 0))
+    end
+
+    it 'finds the nth weekday of the following month' do
+      rule = described_class.parse('FREQ=MONTHLY;BYDAY=2TU')
+
+      expect(rule.next_after(Time.zone.local(2026, 3, 10, 10, 0))).to eq(Time.zone.local(2026, 4, 14, 10, 0))
+    end
+
+    it 'finds the last weekday of the month' do
+      rule = described_class.parse('FREQ=MONTHLY;BYDAY=-1FR')
+
+      expect(rule.next_after(Time.zone.local(2026, 3, 2, 10, 0))).to eq(Time.zone.local(2026, 3, 27, 10, 0))
+      expect(rule.next_after(Time.zone.local(2026, 3, 27, 10, 0))).to eq(Time.zone.local(2026, 4, 24, 10, 0))
+    end
+  end
+
+  describe '#summary' do
+    it 'describes the rule' do
+      expect(described_class.parse('daily').summary).to eq('Daily')
+      expect(described_class.parse('biweekly').summary).to eq('Every 2 weeks')
+      expect(described_class.parse('FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=10').summary).to eq('Weekly on Monday, Wednesday, and Friday, 10 times')
+      expect(described_class.parse('FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR').summary).to eq('Every 2 months on the last Friday')
+    end
+  end
+
+  describe '#to_s' do
+    it 'round-trips custom rules' do
+      value = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5'
+
+      expect(described_class.parse(value).to_s).to eq(value)
+    end
+
+    it 'writes presets out in full' do
+      expect(described_class.parse('biweekly').to_s).to eq('FREQ=WEEKLY;INTERVAL=2')
+    end
+  end
+end
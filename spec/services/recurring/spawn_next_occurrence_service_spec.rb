@@ -121,5 +121,23 @@ RSpec.describe Recurring::SpawnNextOccurrenceService, type: :service do
         expect(new_item.due_date).to eq(item.due_date + 1.month)
       end
     end
+
+    context 'with a rule that counts occurrences' do
+      it 'passes on one fewer occurrence' do
+        item.update!(recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=3')
+        result = Recurring::SpawnNextOccurrenceService.new(item).call
+
+        expect(result.data.recurrence_rule).to eq('FREQ=WEEKLY;BYDAY=MO,TH;COUNT=2')
+        expect(result.data.due_date).to eq(item.next_due_date)
+      end
+
+      it 'stops after the last occurrence' do
+        item.update!(recurrence_rule: 'FREQ=WEEKLY;COUNT=1')
+
+        expect {
+          Recurring::SpawnNextOccurrenceService.new(item).call
+        }.not_to change(ListItem, :count)
+      end
+    end
   end
 end